@@ -40,6 +40,7 @@ let paymentHandler;
 let dashboardHandler;
 let webhookHandler;
 let antakshariHandler;
+let flowHandler;
 
 function getAuthHandler() {
   if (!authHandler) authHandler = require(path.join(PROJECT_ROOT, 'src/auth-api/app.js')).handler;
@@ -62,6 +63,11 @@ function getAntakshariHandler() {
   return antakshariHandler;
 }
 
+function getFlowHandler() {
+  if (!flowHandler) flowHandler = require(path.join(PROJECT_ROOT, 'src/meta-webhook/flowApi.js')).handler;
+  return flowHandler;
+}
+
 function parseQuery(urlStr) {
   const u = new URL(urlStr || '', 'http://localhost');
   const q = {};
@@ -94,6 +100,7 @@ function route(pathname, method) {
   if (pathname.startsWith('/payment')) return 'payment';
   if (pathname.startsWith('/dashboard')) return 'dashboard';
   if (pathname.startsWith('/antakshari')) return 'antakshari';
+  if (pathname.startsWith('/api/flows') || pathname === '/api/flow-routing') return 'flow';
   if (pathname === '/webhook/inbound') return 'webhook';
   return null;
 }
@@ -116,6 +123,7 @@ const server = http.createServer(async (req, res) => {
     else if (routeType === 'payment') result = await getPaymentHandler()(event);
     else if (routeType === 'dashboard') result = await getDashboardHandler()(event);
     else if (routeType === 'antakshari') result = await getAntakshariHandler()(event);
+    else if (routeType === 'flow') result = await getFlowHandler()(event);
     else if (routeType === 'webhook') result = await getWebhookHandler()(event);
     else {
       res.writeHead(404, { 'Content-Type': 'application/json' });
@@ -142,6 +150,7 @@ server.listen(PORT, () => {
   console.log('Auth:       http://localhost:' + PORT + '/auth/otp/request');
   console.log('Payment:    http://localhost:' + PORT + '/payment/orders');
   console.log('Antakshari: http://localhost:' + PORT + '/antakshari/team');
+  console.log('Flows:      http://localhost:' + PORT + '/api/flows');
   console.log('Webhook:    http://localhost:' + PORT + '/webhook/inbound');
   console.log('');
   console.log('Press Ctrl+C to stop');
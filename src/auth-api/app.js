@@ -5,7 +5,8 @@ const {
   createOTPAttempt,
   getLatestOTPAttemptByMobile,
   updateOTPAttemptStatus,
-  getAuthConfig
+  getAuthConfig,
+  getConsent
 } = require('./utils/dynamodb');
 const { sendOtpTemplate } = require('./utils/meta');
 const { signAccess, signRefresh, verifyAccess, verifyRefresh, getAccessExpirySeconds } = require('./utils/jwt');
@@ -129,6 +130,21 @@ async function handleOtpRequest(event) {
   }
 
   try {
+    // Users who sent STOP get no WhatsApp messages, OTPs included; replying START lifts it
+    let consent = null;
+    try {
+      consent = await getConsent(mobile);
+    } catch (err) {
+      console.warn(JSON.stringify({ message: 'Auth consent check failed', mobile, error: err.message }));
+    }
+    if (consent && consent.status === 'opted_out') {
+      console.log(JSON.stringify({ message: 'Auth OTP skipped: user opted out', mobile }));
+      return respond(403, {
+        success: false,
+        error: 'This number has opted out of WhatsApp messages. Send START to our WhatsApp number to opt back in.'
+      });
+    }
+
     const now = Date.now();
     const latest = await getLatestOTPAttemptByMobile(mobile);
     if (latest && latest.requestedAt > now - OTP_RATE_LIMIT_MS) {
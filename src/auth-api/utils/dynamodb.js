@@ -14,6 +14,7 @@ const dynamoClient = DynamoDBDocumentClient.from(new DynamoDBClient({}), {
 const AUTH_USER_TABLE = process.env.AUTH_USER_TABLE_NAME;
 const OTP_ATTEMPT_TABLE = process.env.OTP_ATTEMPT_TABLE_NAME;
 const BOT_CONFIG_TABLE = process.env.BOT_CONFIG_TABLE_NAME || '';
+const USER_CONSENT_TABLE = process.env.USER_CONSENT_TABLE_NAME || '';
 
 const GSI_MOBILE_REQUESTED_AT = 'mobile-requestedAt-index';
 
@@ -112,6 +113,22 @@ async function getAuthConfig() {
   }
 }
 
+/**
+ * Get the user's WhatsApp messaging consent (UserConsent). No record means the user never opted out.
+ * @param {string} mobile - E.164 mobile
+ * @returns {Promise<object|null>} { mobile, status: 'opted_in'|'opted_out', ... } or null
+ */
+async function getConsent(mobile) {
+  if (!USER_CONSENT_TABLE) return null;
+  const result = await dynamoClient.send(
+    new GetCommand({
+      TableName: USER_CONSENT_TABLE,
+      Key: { mobile }
+    })
+  );
+  return result.Item || null;
+}
+
 /**
  * Update OTP attempt status (e.g. to 'verified').
  * @param {string} attemptId - UUID
@@ -136,5 +153,6 @@ module.exports = {
   createOTPAttempt,
   getLatestOTPAttemptByMobile,
   updateOTPAttemptStatus,
-  getAuthConfig
+  getAuthConfig,
+  getConsent
 };
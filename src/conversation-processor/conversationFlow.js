@@ -1,5 +1,5 @@
-const { getMessage } = require('./utils/messages');
-const { calculateAge, isValidDOB, extractMessageText } = require('./utils/helpers');
+const { getLocalizedMessage, normalizeLanguage } = require('./utils/messages');
+const { calculateAge, isValidDOB, extractMessageText, detectScriptLanguage } = require('./utils/helpers');
 const { getUserProfile, saveUserProfile, updateUserProfile, getLatestConversationState, saveConversationState, createEscalation } = require('./utils/dynamodb');
 const { matchMessageIntent, shouldEscalate, extractName, extractDOB, extractCity, extractParentDetails, getMenuOption, isYes, isNo, isGreeting } = require('./utils/messageMatcher');
 
@@ -41,6 +41,29 @@ async function processConversationFlow(messageData) {
     hasNameInState: !!conversationState?.userProfile?.name
   }));
   
+  // Reply language: saved on the profile, else picked earlier in this conversation, else the script of this message
+  // (null replies in English)
+  const language = normalizeLanguage(userProfile?.language) ||
+    normalizeLanguage(conversationState?.language) ||
+    detectScriptLanguage(messageText);
+  if (language && conversationState) {
+    conversationState.language = language;
+  }
+  
+  // Save the language on the CRM profile so later conversations start in it (new users get it at registration)
+  if (isExistingUser && language && userProfile.language !== language) {
+    try {
+      await updateUserProfile(USER_PROFILE_TABLE, mobile, { language });
+    } catch (error) {
+      console.error(JSON.stringify({
+        message: '❌ Failed to save language',
+        mobile,
+        language,
+        error: error.message
+      }));
+    }
+  }
+  
   // If existing user is in any collection step, move them to registered immediately
   if (isExistingUser && conversationState && 
       ['greeting', 'collect_name', 'collect_dob', 'collect_city'].includes(conversationState.currentStep)) {
@@ -59,7 +82,7 @@ async function processConversationFlow(messageData) {
     return {
       nextStep: 'registered',
       flowState: 'registered',
-      responseMessage: getMessage('welcomeBack', userProfile.name),
+      responseMessage: getLocalizedMessage(language, 'welcomeBack', userProfile.name),
       conversationState
     };
   }
@@ -83,6 +106,7 @@ async function processConversationFlow(messageData) {
         waNumber
       },
       stepData: {},
+      ...(language && { language }),
       lastInteraction: now,
       createdAt: now
     };
@@ -94,7 +118,7 @@ async function processConversationFlow(messageData) {
     return {
       nextStep: 'registered',
       flowState: 'registered',
-      responseMessage: getMessage('welcomeBack', userProfile.name)
+      responseMessage: getLocalizedMessage(language, 'welcomeBack', userProfile.name)
     };
   } else if (isExistingUser && conversationState && conversationState.currentStep === 'greeting') {
     // If existing user somehow ended up in greeting step, move them to registered
@@ -113,7 +137,7 @@ async function processConversationFlow(messageData) {
     return {
       nextStep: 'registered',
       flowState: 'registered',
-      responseMessage: getMessage('welcomeBack', userProfile.name)
+      responseMessage: getLocalizedMessage(language, 'welcomeBack', userProfile.name)
     };
   } else if (!conversationState) {
     // New user - start from greeting
@@ -127,6 +151,7 @@ async function processConversationFlow(messageData) {
         waNumber
       },
       stepData: {},
+      ...(language && { language }),
       lastInteraction: now,
       createdAt: now
     };
@@ -138,7 +163,7 @@ async function processConversationFlow(messageData) {
     return {
       nextStep: 'greeting',
       flowState: 'new',
-      responseMessage: getMessage('initialGreeting')
+      responseMessage: getLocalizedMessage(language, 'initialGreeting')
     };
   }
   
@@ -378,7 +403,7 @@ async function processStep(state, messageText, messageData, isExistingUser = fal
         mobile: state.userProfile.mobile,
         waNumber: state.userProfile.waNumber
       },
-      responseMessage: getMessage('welcomeBack', dbUserProfile.name)
+      responseMessage: getLocalizedMessage(state.language, 'welcomeBack', dbUserProfile.name)
     };
   }
   
@@ -387,7 +412,7 @@ async function processStep(state, messageText, messageData, isExistingUser = fal
     return {
       nextStep: 'human_escalation',
       flowState: 'completed',
-      responseMessage: getMessage('humanEscalation', name),
+      responseMessage: getLocalizedMessage(state.language, 'humanEscalation', name),
       shouldEscalate: true,
       escalationReason: 'explicit_request'
     };
@@ -420,7 +445,7 @@ async function processStep(state, messageText, messageData, isExistingUser = fal
           mobile: state.userProfile.mobile,
           waNumber: state.userProfile.waNumber
         },
-        responseMessage: getMessage('welcomeBack', dbUserProfile.name)
+        responseMessage: getLocalizedMessage(state.language, 'welcomeBack', dbUserProfile.name)
       };
     }
     
@@ -453,7 +478,7 @@ async function processStep(state, messageText, messageData, isExistingUser = fal
           userProfile: {
             name: extractedName
           },
-          responseMessage: getMessage('askDOB', extractedName)
+          responseMessage: getLocalizedMessage(state.language, 'askDOB', extractedName)
         };
       }
     }
@@ -462,7 +487,7 @@ async function processStep(state, messageText, messageData, isExistingUser = fal
     return {
       nextStep: 'greeting',
       flowState: 'collecting',
-      responseMessage: getMessage('initialGreeting')
+      responseMessage: getLocalizedMessage(state.language, 'initialGreeting')
     };
   }
   
@@ -481,7 +506,7 @@ async function processStep(state, messageText, messageData, isExistingUser = fal
   switch (currentStep) {
     case 'pre_check':
     case 'greeting':
-      return processGreeting(messageText, intent, isExistingUser, dbUserProfile);
+      return processGreeting(messageText, intent, isExistingUser, dbUserProfile, state.language);
     
     case 'collect_name':
       return processCollectName(messageText, state, intent);
@@ -518,7 +543,7 @@ async function processStep(state, messageText, messageData, isExistingUser = fal
       return {
         nextStep: 'completed',
         flowState: 'completed',
-        responseMessage: getMessage('closing', name)
+        responseMessage: getLocalizedMessage(state.language, 'closing', name)
       };
     
     default:
@@ -526,7 +551,7 @@ async function processStep(state, messageText, messageData, isExistingUser = fal
       return {
         nextStep: 'human_escalation',
         flowState: 'completed',
-        responseMessage: getMessage('humanEscalation', name),
+        responseMessage: getLocalizedMessage(state.language, 'humanEscalation', name),
         shouldEscalate: true,
         escalationReason: 'unknown_step'
       };
@@ -539,8 +564,9 @@ async function processStep(state, messageText, messageData, isExistingUser = fal
  * @param {object} intent - Matched intent
  * @param {boolean} isExistingUser - Whether user exists in database
  * @param {object} dbUserProfile - User profile from database (if exists)
+ * @param {string} language - Reply language (null for English)
  */
-function processGreeting(messageText, intent, isExistingUser = false, dbUserProfile = null) {
+function processGreeting(messageText, intent, isExistingUser = false, dbUserProfile = null, language = null) {
   // If existing user sends greeting, show welcome back instead
   if (isExistingUser && dbUserProfile) {
     return {
@@ -552,7 +578,7 @@ function processGreeting(messageText, intent, isExistingUser = false, dbUserProf
         city: dbUserProfile.city,
         age: dbUserProfile.age
       },
-      responseMessage: getMessage('welcomeBack', dbUserProfile.name)
+      responseMessage: getLocalizedMessage(language, 'welcomeBack', dbUserProfile.name)
     };
   }
   
@@ -586,7 +612,7 @@ function processGreeting(messageText, intent, isExistingUser = false, dbUserProf
           userProfile: {
             name: extractedName
           },
-          responseMessage: getMessage('askDOB', extractedName)
+          responseMessage: getLocalizedMessage(language, 'askDOB', extractedName)
         };
       }
     }
@@ -594,19 +620,19 @@ function processGreeting(messageText, intent, isExistingUser = false, dbUserProf
     return {
       nextStep: 'greeting',
       flowState: 'collecting',
-      responseMessage: getMessage('initialGreeting')
+      responseMessage: getLocalizedMessage(language, 'initialGreeting')
     };
   } else if (intent.intent === 'yes' || isYes(messageText)) {
     return {
       nextStep: 'collect_name',
       flowState: 'collecting',
-      responseMessage: getMessage('askName')
+      responseMessage: getLocalizedMessage(language, 'askName')
     };
   } else if (intent.intent === 'no' || isNo(messageText)) {
     return {
       nextStep: 'completed',
       flowState: 'completed',
-      responseMessage: getMessage('closing', 'there')
+      responseMessage: getLocalizedMessage(language, 'closing', 'there')
     };
   } else {
     // Try to extract name even if not a clear greeting, but only if it has name keywords
@@ -635,14 +661,14 @@ function processGreeting(messageText, intent, isExistingUser = false, dbUserProf
           userProfile: {
             name: extractedName
           },
-          responseMessage: getMessage('askDOB', extractedName)
+          responseMessage: getLocalizedMessage(language, 'askDOB', extractedName)
         };
       }
     }
     
     return {
       nextStep: 'greeting',
-      responseMessage: getMessage('invalidResponse')
+      responseMessage: getLocalizedMessage(language, 'invalidResponse')
     };
   }
 }
@@ -657,7 +683,7 @@ function processCollectName(messageText, state, intent) {
   if (!name || name.length < 2) {
     return {
       nextStep: 'collect_name',
-      responseMessage: 'Please provide your full name.'
+      responseMessage: getLocalizedMessage(state.language, 'askNameRetry')
     };
   }
   
@@ -672,7 +698,7 @@ function processCollectName(messageText, state, intent) {
     userProfile: {
       name
     },
-    responseMessage: getMessage('askDOB', name)
+    responseMessage: getLocalizedMessage(state.language, 'askDOB', name)
   };
 }
 
@@ -686,7 +712,7 @@ function processCollectDOB(messageText, state, intent) {
   if (!isValidDOB(dob)) {
     return {
       nextStep: 'collect_dob',
-      responseMessage: getMessage('invalidDOB')
+      responseMessage: getLocalizedMessage(state.language, 'invalidDOB')
     };
   }
   
@@ -694,7 +720,7 @@ function processCollectDOB(messageText, state, intent) {
   if (age === null) {
     return {
       nextStep: 'collect_dob',
-      responseMessage: getMessage('invalidDOB')
+      responseMessage: getLocalizedMessage(state.language, 'invalidDOB')
     };
   }
   
@@ -713,7 +739,7 @@ function processCollectDOB(messageText, state, intent) {
       dob: dob,
       age
     },
-    responseMessage: getMessage('askCity', state.userProfile.name)
+    responseMessage: getLocalizedMessage(state.language, 'askCity', state.userProfile.name)
   };
 }
 
@@ -727,7 +753,7 @@ async function processCollectCity(messageText, state, intent) {
   if (!city || city.length < 2) {
     return {
       nextStep: 'collect_city',
-      responseMessage: 'Please provide your city name.'
+      responseMessage: getLocalizedMessage(state.language, 'askCityRetry')
     };
   }
   
@@ -756,7 +782,7 @@ async function processCollectCity(messageText, state, intent) {
         city
       },
       shouldRegister: true, // Register all users regardless of age
-      responseMessage: getMessage('ageUnder50', name)
+      responseMessage: getLocalizedMessage(state.language, 'ageUnder50', name)
     };
   } else {
     // Age >= 50, proceed to registration
@@ -769,7 +795,7 @@ async function processCollectCity(messageText, state, intent) {
         city
       },
       shouldRegister: true,
-      responseMessage: getMessage('registrationComplete', name)
+      responseMessage: getLocalizedMessage(state.language, 'registrationComplete', name)
     };
   }
 }
@@ -785,7 +811,7 @@ function processAgeValidation(state) {
     return {
       nextStep: 'age_under_50',
       flowState: 'collecting',
-      responseMessage: getMessage('ageUnder50', name)
+      responseMessage: getLocalizedMessage(state.language, 'ageUnder50', name)
     };
   } else {
     // Age >= 50, proceed to registration
@@ -793,7 +819,7 @@ function processAgeValidation(state) {
       nextStep: 'registered',
       flowState: 'registered',
       shouldRegister: true,
-      responseMessage: getMessage('registrationComplete', name)
+      responseMessage: getLocalizedMessage(state.language, 'registrationComplete', name)
     };
   }
 }
@@ -806,20 +832,20 @@ function processAgeUnder50(messageText, state, intent) {
     return {
       nextStep: 'referral_collect',
       flowState: 'collecting',
-      responseMessage: getMessage('referralCollect')
+      responseMessage: getLocalizedMessage(state.language, 'referralCollect')
     };
   } else if (intent.intent === 'no' || isNo(messageText)) {
     // User declined to provide referral - still register them
     return {
       nextStep: 'completed',
       flowState: 'completed',
-      responseMessage: getMessage('referralThankYou'),
+      responseMessage: getLocalizedMessage(state.language, 'referralThankYou'),
       shouldRegister: true // Register user even if they declined referral
     };
   } else {
     return {
       nextStep: 'age_under_50',
-      responseMessage: getMessage('invalidResponse')
+      responseMessage: getLocalizedMessage(state.language, 'invalidResponse')
     };
   }
 }
@@ -861,7 +887,7 @@ function processReferralCollect(messageText, state) {
     nextStep: 'completed',
     flowState: 'completed',
     stepData: stepData,
-    responseMessage: getMessage('referralThankYou'),
+    responseMessage: getLocalizedMessage(state.language, 'referralThankYou'),
     shouldEscalate: true,
     escalationReason: 'referral_submitted',
     shouldRegister: true // Register the user (child) who provided referral
@@ -878,7 +904,7 @@ function processRegistered(messageText, state, intent, isExistingUser = false, d
     return {
       nextStep: 'registered',
       flowState: 'registered',
-      responseMessage: getMessage('welcomeBack', userName)
+      responseMessage: getLocalizedMessage(state.language, 'welcomeBack', userName)
     };
   }
   
@@ -892,7 +918,7 @@ function processRegistered(messageText, state, intent, isExistingUser = false, d
       return {
         nextStep: 'human_escalation',
         flowState: 'completed',
-        responseMessage: getMessage('humanEscalation', userName),
+        responseMessage: getLocalizedMessage(state.language, 'humanEscalation', userName),
         shouldEscalate: true,
         escalationReason: 'unknown_option'
       };
@@ -900,7 +926,7 @@ function processRegistered(messageText, state, intent, isExistingUser = false, d
     
     return {
       nextStep: 'registered',
-      responseMessage: getMessage('invalidMenuOption')
+      responseMessage: getLocalizedMessage(state.language, 'invalidMenuOption')
     };
   }
   
@@ -911,34 +937,34 @@ function processRegistered(messageText, state, intent, isExistingUser = false, d
       preferenceUpdate = { holidays: true };
       return {
         nextStep: 'holidays',
-        responseMessage: getMessage('holidays'),
+        responseMessage: getLocalizedMessage(state.language, 'holidays'),
         updatePreference: preferenceUpdate
       };
     case 2:
       preferenceUpdate = { events: true };
       return {
         nextStep: 'events',
-        responseMessage: getMessage('events', state.userProfile.city || 'your city'),
+        responseMessage: getLocalizedMessage(state.language, 'events', state.userProfile.city || 'your city'),
         updatePreference: preferenceUpdate
       };
     case 3:
       preferenceUpdate = { health: true };
       return {
         nextStep: 'health',
-        responseMessage: getMessage('health'),
+        responseMessage: getLocalizedMessage(state.language, 'health'),
         updatePreference: preferenceUpdate
       };
     case 4:
       preferenceUpdate = { community: true };
       return {
         nextStep: 'community',
-        responseMessage: getMessage('community'),
+        responseMessage: getLocalizedMessage(state.language, 'community'),
         updatePreference: preferenceUpdate
       };
     default:
       return {
         nextStep: 'registered',
-        responseMessage: getMessage('invalidMenuOption')
+        responseMessage: getLocalizedMessage(state.language, 'invalidMenuOption')
       };
   }
 }
@@ -951,7 +977,7 @@ function processHolidays(messageText, state, intent) {
     return {
       nextStep: 'completed',
       flowState: 'completed',
-      responseMessage: getMessage('holidaysYes'),
+      responseMessage: getLocalizedMessage(state.language, 'holidaysYes'),
       shouldEscalate: true,
       escalationReason: 'holidays_interest'
     };
@@ -959,12 +985,12 @@ function processHolidays(messageText, state, intent) {
     return {
       nextStep: 'completed',
       flowState: 'completed',
-      responseMessage: getMessage('holidaysNo')
+      responseMessage: getLocalizedMessage(state.language, 'holidaysNo')
     };
   } else {
     return {
       nextStep: 'holidays',
-      responseMessage: getMessage('invalidResponse')
+      responseMessage: getLocalizedMessage(state.language, 'invalidResponse')
     };
   }
 }
@@ -979,7 +1005,7 @@ function processEvents(messageText, state, intent) {
     return {
       nextStep: 'completed',
       flowState: 'completed',
-      responseMessage: getMessage('eventsYes', city),
+      responseMessage: getLocalizedMessage(state.language, 'eventsYes', city),
       shouldEscalate: true,
       escalationReason: 'events_interest'
     };
@@ -987,12 +1013,12 @@ function processEvents(messageText, state, intent) {
     return {
       nextStep: 'completed',
       flowState: 'completed',
-      responseMessage: getMessage('eventsNo')
+      responseMessage: getLocalizedMessage(state.language, 'eventsNo')
     };
   } else {
     return {
       nextStep: 'events',
-      responseMessage: getMessage('invalidResponse')
+      responseMessage: getLocalizedMessage(state.language, 'invalidResponse')
     };
   }
 }
@@ -1005,7 +1031,7 @@ function processHealth(messageText, state, intent) {
     return {
       nextStep: 'completed',
       flowState: 'completed',
-      responseMessage: getMessage('healthYes'),
+      responseMessage: getLocalizedMessage(state.language, 'healthYes'),
       shouldEscalate: true,
       escalationReason: 'health_callback_request'
     };
@@ -1013,12 +1039,12 @@ function processHealth(messageText, state, intent) {
     return {
       nextStep: 'completed',
       flowState: 'completed',
-      responseMessage: getMessage('healthNo')
+      responseMessage: getLocalizedMessage(state.language, 'healthNo')
     };
   } else {
     return {
       nextStep: 'health',
-      responseMessage: getMessage('invalidResponse')
+      responseMessage: getLocalizedMessage(state.language, 'invalidResponse')
     };
   }
 }
@@ -1031,18 +1057,18 @@ function processCommunity(messageText, state, intent) {
     return {
       nextStep: 'completed',
       flowState: 'completed',
-      responseMessage: getMessage('communityYes')
+      responseMessage: getLocalizedMessage(state.language, 'communityYes')
     };
   } else if (intent.intent === 'no' || isNo(messageText)) {
     return {
       nextStep: 'completed',
       flowState: 'completed',
-      responseMessage: getMessage('communityNo')
+      responseMessage: getLocalizedMessage(state.language, 'communityNo')
     };
   } else {
     return {
       nextStep: 'community',
-      responseMessage: getMessage('invalidResponse')
+      responseMessage: getLocalizedMessage(state.language, 'invalidResponse')
     };
   }
 }
@@ -1098,6 +1124,7 @@ async function registerUser(conversationState) {
     ageEligible: ageEligible, // Boolean: true if age >= 50, false otherwise
     waNumber: userProfile.waNumber || userProfile.mobile,
     savedBy: savedBy, // Mobile number of parent/relative who referred them (if applicable)
+    ...(conversationState.language && { language: conversationState.language }), // Reply language (hi, kn, ta)
     registrationDate: now,
     status: 'active',
     source: 'WhatsApp Bot',
@@ -262,10 +262,10 @@ async function createEscalation(tableName, escalation) {
 }
 
 /**
- * Update user preferences and interactions
+ * Update user preferences, interactions and language
  * @param {string} tableName - Table name
  * @param {string} mobile - Mobile number
- * @param {object} updates - Updates object with preferences and/or interactions
+ * @param {object} updates - Updates object with preferences, interactions and/or language
  * @returns {Promise<void>}
  */
 async function updateUserProfile(tableName, mobile, updates) {
@@ -338,6 +338,13 @@ async function updateUserProfile(tableName, mobile, updates) {
       updateExpressions.push('#interactions = :interactions');
     }
     
+    // Update language if provided
+    if (updates.language) {
+      expressionAttributeNames['#language'] = 'language';
+      expressionAttributeValues[':language'] = updates.language;
+      updateExpressions.push('#language = :language');
+    }
+    
     // Always update updatedAt
     expressionAttributeNames['#updatedAt'] = 'updatedAt';
     expressionAttributeValues[':updatedAt'] = now;
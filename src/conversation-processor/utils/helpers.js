@@ -154,6 +154,33 @@ function extractMessageText(messageData) {
   return '';
 }
 
+// Language written in each Indic script we reply in; Marathi shares Devanagari, Hindi is the better guess
+const SCRIPT_LANGUAGES = [
+  { language: 'hi', re: /[\u0900-\u097f]/g },
+  { language: 'kn', re: /[\u0c80-\u0cff]/g },
+  { language: 'ta', re: /[\u0b80-\u0bff]/g }
+];
+
+/**
+ * Detect language from the script a message is written in
+ * Latin text returns null (English and romanized Hindi can't be told apart reliably)
+ * @param {string} message - User message
+ * @returns {string|null} 'hi', 'kn', 'ta' or null
+ */
+function detectScriptLanguage(message) {
+  if (!message || typeof message !== 'string') return null;
+  let best = null;
+  let bestCount = 0;
+  for (const { language, re } of SCRIPT_LANGUAGES) {
+    const count = (message.match(re) || []).length;
+    if (count > bestCount) {
+      best = language;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
 module.exports = {
   calculateAge,
   isValidDOB,
@@ -162,6 +189,7 @@ module.exports = {
   isNo,
   getMenuOption,
   generateConversationId,
-  extractMessageText
+  extractMessageText,
+  detectScriptLanguage
 };
 
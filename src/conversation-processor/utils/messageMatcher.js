@@ -13,7 +13,7 @@ function normalizeText(text) {
   return text
     .toLowerCase()
     .trim()
-    .replace(/[^\w\s]/g, '') // Remove special characters
+    .replace(/[^\p{L}\p{M}\p{N}_\s]/gu, '') // Remove special characters (keeps Hindi / Kannada / Tamil letters)
     .replace(/\s+/g, ' '); // Normalize whitespace
 }
 
@@ -27,12 +27,27 @@ function isGreeting(message) {
   const greetingPatterns = [
     'hello', 'hi', 'hey', 'hii', 'hiii', 'hey there', 'hi there',
     'good morning', 'good afternoon', 'good evening', 'gm', 'ga', 'ge',
-    'namaste', 'namaskar', 'greetings', 'greeting'
+    'namaste', 'namaskar', 'greetings', 'greeting',
+    'नमस्ते', 'नमस्कार', 'ನಮಸ್ಕಾರ', 'வணக்கம்'
   ];
   
   return greetingPatterns.some(pattern => normalized === pattern || normalized.startsWith(pattern + ' '));
 }
 
+// Whole words only: Hindi / Kannada / Tamil answers, romanized or in their own script
+const YES_WORDS = ['haan', 'han', 'haa', 'हाँ', 'हां', 'हा', 'ಹೌದು', 'ಹೂಂ', 'ஆமாம்', 'ஆம்'];
+const NO_WORDS = ['nahi', 'nahin', 'नहीं', 'नही', 'ना', 'ಇಲ್ಲ', 'ಬೇಡ', 'இல்லை', 'வேண்டாம்'];
+
+/**
+ * Check if normalized message contains one of the words
+ * @param {string} normalized - Normalized message
+ * @param {string[]} words - Whole words to look for
+ * @returns {boolean} True if any word is present
+ */
+function hasWord(normalized, words) {
+  return normalized.split(' ').some(word => words.includes(word));
+}
+
 /**
  * Check if message matches "Yes" intent
  * @param {string} message - User message
@@ -47,7 +62,7 @@ function isYes(message) {
     'proceed', 'lets go', 'lets do it', 'sounds good'
   ];
   
-  return yesPatterns.some(pattern => normalized.includes(pattern));
+  return yesPatterns.some(pattern => normalized.includes(pattern)) || hasWord(normalized, YES_WORDS);
 }
 
 /**
@@ -63,7 +78,7 @@ function isNo(message) {
     'not now', 'maybe later', 'no thanks', 'no thank you'
   ];
   
-  return noPatterns.some(pattern => normalized.includes(pattern));
+  return noPatterns.some(pattern => normalized.includes(pattern)) || hasWord(normalized, NO_WORDS);
 }
 
 /**
@@ -1,5 +1,6 @@
 /**
  * Message templates for conversation flow
+ * MESSAGES is the English catalog; TRANSLATIONS holds the Hindi, Kannada and Tamil ones (same keys and arguments)
  */
 
 // Constants for links and contact information
@@ -98,29 +99,338 @@ const MESSAGES = {
     "Please share your Date of Birth in DD-MM-YYYY format (e.g., 15-06-1965).",
 
   invalidMenuOption: () =>
-    "Please reply with a number from 1-4 to select an option."
+    "Please reply with a number from 1-4 to select an option.",
+
+  askNameRetry: () =>
+    "Please provide your full name.",
+
+  askCityRetry: () =>
+    "Please provide your city name."
+};
+
+// Languages the bot replies in; MESSAGES is the English catalog and the fallback for missing keys
+const DEFAULT_LANGUAGE = 'en';
+const SUPPORTED_LANGUAGES = ['en', 'hi', 'kn', 'ta'];
+
+const TRANSLATIONS = {
+  // Hindi
+  hi: {
+    welcomeBack: (name) =>
+      `नमस्ते *${name}*! 👋\n\nमार्ज़ी में आपका फिर से स्वागत है! हमारी टीम जल्द से जल्द आपसे संपर्क करेगी।\n\nतब तक, हमारी कम्युनिटी देखिए:\n\n🔗 हमारी WhatsApp कम्युनिटी से जुड़ें: ${WHATSAPP_COMMUNITY_LINK}\n\nआप ये देख सकते हैं:\n\n1️⃣ मार्ज़ी हॉलिडेज़\n2️⃣ मार्ज़ी इवेंट्स\n3️⃣ मार्ज़ी हेल्थ\n4️⃣ मार्ज़ी कम्युनिटी\n\n👉 *नंबर (1–4)* लिखकर जवाब दें।`,
+
+    greeting: () =>
+      "नमस्ते, मैं *मार्ज़ी सपोर्ट* हूँ, मार्ज़ी से आपका दोस्त — 50 से अधिक उम्र के लोगों के लिए भारत का सबसे भरोसेमंद समुदाय, जो उन्हें ज़्यादा खुश, स्वस्थ और जुड़ा हुआ जीवन जीने में मदद करता है।\n\nक्या आप जानना चाहेंगे कि हम क्या करते हैं?\n👉 आगे बढ़ने के लिए *हाँ* या बाहर निकलने के लिए *नहीं* लिखें।",
+
+    initialGreeting: () =>
+      "नमस्ते, मैं *मार्ज़ी सपोर्ट* हूँ, मार्ज़ी से आपका दोस्त — 50 से अधिक उम्र के लोगों के लिए भारत का सबसे भरोसेमंद समुदाय, जो उन्हें ज़्यादा खुश, स्वस्थ और जुड़ा हुआ जीवन जीने में मदद करता है।\n\nक्या आप जानना चाहेंगे कि हम क्या करते हैं?\n👉 आगे बढ़ने के लिए *हाँ* या बाहर निकलने के लिए *नहीं* लिखें।",
+
+    askName: () =>
+      "आपका पूरा नाम क्या है?",
+
+    askDOB: (name) =>
+      `आपसे मिलकर खुशी हुई, *${name}* 😊\nकृपया अपनी जन्मतिथि (DD-MM-YYYY) बताएँ।`,
+
+    askCity: (name) =>
+      `धन्यवाद, *${name}*!\nआप किस शहर में रहते हैं?`,
+
+    ageUnder50: (name) =>
+      `धन्यवाद, *${name}*!\nमार्ज़ी खास तौर पर 50+ उम्र के लोगों का समुदाय है।\nक्या आप अपने माता-पिता या किसी रिश्तेदार की जानकारी साझा करना चाहेंगे, जिन्हें इससे फ़ायदा हो सकता है?\n👉 *हाँ* या *नहीं* लिखें`,
+
+    referralCollect: () =>
+      "कृपया उनका *नाम*, *मोबाइल नंबर* और *शहर* बताएँ।\nहमारी टीम जल्द ही उनसे संपर्क करेगी। खुशियाँ बाँटने के लिए धन्यवाद!",
+
+    referralThankYou: () =>
+      "संपर्क करने के लिए धन्यवाद। हमारे सोशल मीडिया पेजों के ज़रिए जुड़े रहें!",
+
+    registrationComplete: (name) =>
+      `बहुत बढ़िया, *${name}*! अब आप मार्ज़ी में रजिस्टर हो गए हैं! 🎉\n\nआप ये देख सकते हैं:\n\n1️⃣ मार्ज़ी हॉलिडेज़\n2️⃣ मार्ज़ी इवेंट्स\n3️⃣ मार्ज़ी हेल्थ\n4️⃣ मार्ज़ी कम्युनिटी\n\n👉 *नंबर (1–4)* लिखकर जवाब दें।`,
+
+    holidays: () =>
+      "मार्ज़ी हॉलिडेज़ वरिष्ठों के अनुकूल यात्राएँ हैं, जिन्हें आराम, सुरक्षा और मज़े को ध्यान में रखकर बनाया गया है।\n\nक्या आप हमारे आने वाले टूर देखना चाहेंगे? (हाँ/नहीं)",
+
+    holidaysYes: () =>
+      `बढ़िया! मैं आपको हमारी ट्रैवल टीम से जोड़ रहा हूँ। यह रहा हमारा WhatsApp ट्रैवल ग्रुप:\n\n🔗 ${WHATSAPP_HOLIDAYS_LINK}\n\nहमारी टीम जल्द ही आपसे संपर्क करेगी!`,
+
+    holidaysNo: () =>
+      `कोई बात नहीं! यह रहा हमारे WhatsApp ट्रैवल ग्रुप का लिंक:\n\n🔗 ${WHATSAPP_HOLIDAYS_LINK}\n\nबेझिझक जुड़ें और हमारे आने वाले टूर देखें।`,
+
+    events: (city) =>
+      `हमारे इवेंट्स लोगों को साथ लाते हैं — संगीत, फ़िल्में, सैर, वर्कशॉप।\n\nक्या आप *${city}* में आने वाले इवेंट्स देखना चाहेंगे? (हाँ/नहीं)`,
+
+    eventsYes: (city) =>
+      `बहुत बढ़िया! मैं आपको *${city}* के लिए हमारी इवेंट्स टीम से जोड़ रहा हूँ। यह रहा हमारा WhatsApp इवेंट्स ग्रुप:\n\n🔗 ${WHATSAPP_EVENTS_LINK}\n\nहमारी टीम जल्द ही आपसे संपर्क करेगी!`,
+
+    eventsNo: () =>
+      `कोई बात नहीं! यह रहा हमारे WhatsApp इवेंट्स ग्रुप का लिंक:\n\n🔗 ${WHATSAPP_EVENTS_LINK}\n\nबेझिझक जुड़ें और आने वाले इवेंट्स देखें।`,
+
+    health: () =>
+      "हमारे वेलनेस प्लान योग, पोषण और फ़िज़ियोथेरेपी को मिलाकर दर्द को प्राकृतिक रूप से संभालने में मदद करते हैं।\n\nक्या आप चाहेंगे कि कोई केयर मैनेजर आपको कॉल करे? (हाँ/नहीं)",
+
+    healthYes: () =>
+      `बहुत बढ़िया! मैंने केयर मैनेजर से आपको कॉल करने का अनुरोध कर दिया है। हमारा सपोर्ट नंबर है: ${SUPPORT_NUMBER}\n\nहमारी टीम जल्द ही आपसे संपर्क करेगी!`,
+
+    healthNo: () =>
+      `कोई बात नहीं! यह रहा हमारा सपोर्ट नंबर: ${SUPPORT_NUMBER}\n\nकभी भी बेझिझक संपर्क करें।`,
+
+    community: () =>
+      "मार्ज़ी 10,000+ वरिष्ठों का बढ़ता हुआ परिवार है, जो कहानियों और उद्देश्य के ज़रिए जुड़ते हैं।\n\nक्या आप हमारी WhatsApp कम्युनिटी से जुड़ना चाहेंगे? (हाँ/नहीं)",
+
+    communityYes: () =>
+      `शानदार! यह रहा हमारी WhatsApp कम्युनिटी का लिंक:\n\n🔗 ${WHATSAPP_COMMUNITY_LINK}\n\nमार्ज़ी परिवार में आपका स्वागत है! 🎉`,
+
+    communityNo: () =>
+      `कोई बात नहीं! अगर आपका मन बदले, तो यह रहा हमारी WhatsApp कम्युनिटी का लिंक:\n\n🔗 ${WHATSAPP_COMMUNITY_LINK}\n\nकभी भी बेझिझक जुड़ें!`,
+
+    humanEscalation: (name) =>
+      `बहुत अच्छा सवाल है, *${name}*।\nमैं आपको हमारी सपोर्ट टीम से जोड़ रहा हूँ।`,
+
+    closing: (name) =>
+      `आपसे बात करके बहुत अच्छा लगा, *${name}*। आगे ढेर सारे मार्ज़ी पलों की शुभकामनाएँ!`,
+
+    invalidResponse: () =>
+      "मैं समझ नहीं पाया। कृपया दिए गए विकल्पों में से जवाब दें।",
+
+    invalidDOB: () =>
+      "कृपया अपनी जन्मतिथि DD-MM-YYYY फ़ॉर्मैट में बताएँ (जैसे 15-06-1965)।",
+
+    invalidMenuOption: () =>
+      "कोई विकल्प चुनने के लिए कृपया 1-4 में से कोई नंबर लिखें।",
+
+    askNameRetry: () =>
+      "कृपया अपना पूरा नाम बताएँ।",
+
+    askCityRetry: () =>
+      "कृपया अपने शहर का नाम बताएँ।"
+  },
+
+  // Kannada
+  kn: {
+    welcomeBack: (name) =>
+      `ನಮಸ್ಕಾರ *${name}*! 👋\n\nಮಾರ್ಜಿಗೆ ಮತ್ತೆ ಸ್ವಾಗತ! ನಮ್ಮ ತಂಡ ಆದಷ್ಟು ಬೇಗ ನಿಮ್ಮನ್ನು ಸಂಪರ್ಕಿಸುತ್ತದೆ.\n\nಅಲ್ಲಿಯವರೆಗೆ, ನಮ್ಮ ಸಮುದಾಯವನ್ನು ನೋಡಿ:\n\n🔗 ನಮ್ಮ WhatsApp ಸಮುದಾಯಕ್ಕೆ ಸೇರಿ: ${WHATSAPP_COMMUNITY_LINK}\n\nನೀವು ಇವುಗಳನ್ನು ನೋಡಬಹುದು:\n\n1️⃣ ಮಾರ್ಜಿ ಹಾಲಿಡೇಸ್\n2️⃣ ಮಾರ್ಜಿ ಈವೆಂಟ್ಸ್\n3️⃣ ಮಾರ್ಜಿ ಹೆಲ್ತ್\n4️⃣ ಮಾರ್ಜಿ ಕಮ್ಯುನಿಟಿ\n\n👉 *ಸಂಖ್ಯೆ (1–4)* ಬರೆದು ಉತ್ತರಿಸಿ.`,
+
+    greeting: () =>
+      "ನಮಸ್ಕಾರ, ನಾನು *ಮಾರ್ಜಿ ಸಪೋರ್ಟ್*, ಮಾರ್ಜಿಯಿಂದ ನಿಮ್ಮ ಸ್ನೇಹಿತ — 50 ವರ್ಷ ಮೇಲ್ಪಟ್ಟವರು ಹೆಚ್ಚು ಸಂತೋಷ, ಆರೋಗ್ಯ ಮತ್ತು ಒಡನಾಟದಿಂದ ಬದುಕಲು ನೆರವಾಗುವ ಭಾರತದ ಅತ್ಯಂತ ವಿಶ್ವಾಸಾರ್ಹ ಸಮುದಾಯ.\n\nನಾವು ಏನು ಮಾಡುತ್ತೇವೆ ಎಂದು ತಿಳಿಯಲು ಬಯಸುವಿರಾ?\n👉 ಮುಂದುವರಿಯಲು *ಹೌದು* ಅಥವಾ ನಿರ್ಗಮಿಸಲು *ಇಲ್ಲ* ಎಂದು ಉತ್ತರಿಸಿ.",
+
+    initialGreeting: () =>
+      "ನಮಸ್ಕಾರ, ನಾನು *ಮಾರ್ಜಿ ಸಪೋರ್ಟ್*, ಮಾರ್ಜಿಯಿಂದ ನಿಮ್ಮ ಸ್ನೇಹಿತ — 50 ವರ್ಷ ಮೇಲ್ಪಟ್ಟವರು ಹೆಚ್ಚು ಸಂತೋಷ, ಆರೋಗ್ಯ ಮತ್ತು ಒಡನಾಟದಿಂದ ಬದುಕಲು ನೆರವಾಗುವ ಭಾರತದ ಅತ್ಯಂತ ವಿಶ್ವಾಸಾರ್ಹ ಸಮುದಾಯ.\n\nನಾವು ಏನು ಮಾಡುತ್ತೇವೆ ಎಂದು ತಿಳಿಯಲು ಬಯಸುವಿರಾ?\n👉 ಮುಂದುವರಿಯಲು *ಹೌದು* ಅಥವಾ ನಿರ್ಗಮಿಸಲು *ಇಲ್ಲ* ಎಂದು ಉತ್ತರಿಸಿ.",
+
+    askName: () =>
+      "ನಿಮ್ಮ ಪೂರ್ಣ ಹೆಸರೇನು?",
+
+    askDOB: (name) =>
+      `ನಿಮ್ಮನ್ನು ಭೇಟಿಯಾಗಿ ಸಂತೋಷವಾಯಿತು, *${name}* 😊\nದಯವಿಟ್ಟು ನಿಮ್ಮ ಜನ್ಮ ದಿನಾಂಕವನ್ನು (DD-MM-YYYY) ತಿಳಿಸಿ.`,
+
+    askCity: (name) =>
+      `ಧನ್ಯವಾದಗಳು, *${name}*!\nನೀವು ಯಾವ ನಗರದಲ್ಲಿ ವಾಸಿಸುತ್ತೀರಿ?`,
+
+    ageUnder50: (name) =>
+      `ಧನ್ಯವಾದಗಳು, *${name}*!\nಮಾರ್ಜಿ ವಿಶೇಷವಾಗಿ 50+ ವಯಸ್ಸಿನವರ ಸಮುದಾಯ.\nಇದರಿಂದ ಪ್ರಯೋಜನ ಪಡೆಯಬಹುದಾದ ನಿಮ್ಮ ತಂದೆ-ತಾಯಿ ಅಥವಾ ಸಂಬಂಧಿಕರ ವಿವರಗಳನ್ನು ಹಂಚಿಕೊಳ್ಳಲು ಬಯಸುವಿರಾ?\n👉 *ಹೌದು* ಅಥವಾ *ಇಲ್ಲ* ಎಂದು ಉತ್ತರಿಸಿ`,
+
+    referralCollect: () =>
+      "ದಯವಿಟ್ಟು ಅವರ *ಹೆಸರು*, *ಮೊಬೈಲ್ ಸಂಖ್ಯೆ* ಮತ್ತು *ನಗರ* ತಿಳಿಸಿ.\nನಮ್ಮ ತಂಡ ಶೀಘ್ರದಲ್ಲೇ ಅವರನ್ನು ಸಂಪರ್ಕಿಸುತ್ತದೆ. ಸಂತೋಷ ಹಂಚಿದ್ದಕ್ಕೆ ಧನ್ಯವಾದಗಳು!",
+
+    referralThankYou: () =>
+      "ಸಂಪರ್ಕಿಸಿದ್ದಕ್ಕೆ ಧನ್ಯವಾದಗಳು. ನಮ್ಮ ಸೋಶಿಯಲ್ ಮೀಡಿಯಾ ಪುಟಗಳ ಮೂಲಕ ಸಂಪರ್ಕದಲ್ಲಿರಿ!",
+
+    registrationComplete: (name) =>
+      `ಅದ್ಭುತ, *${name}*! ನೀವು ಈಗ ಮಾರ್ಜಿಯಲ್ಲಿ ನೋಂದಾಯಿಸಿಕೊಂಡಿದ್ದೀರಿ! 🎉\n\nನೀವು ಇವುಗಳನ್ನು ನೋಡಬಹುದು:\n\n1️⃣ ಮಾರ್ಜಿ ಹಾಲಿಡೇಸ್\n2️⃣ ಮಾರ್ಜಿ ಈವೆಂಟ್ಸ್\n3️⃣ ಮಾರ್ಜಿ ಹೆಲ್ತ್\n4️⃣ ಮಾರ್ಜಿ ಕಮ್ಯುನಿಟಿ\n\n👉 *ಸಂಖ್ಯೆ (1–4)* ಬರೆದು ಉತ್ತರಿಸಿ.`,
+
+    holidays: () =>
+      "ಮಾರ್ಜಿ ಹಾಲಿಡೇಸ್ ಆರಾಮ, ಸುರಕ್ಷತೆ ಮತ್ತು ಮೋಜಿಗಾಗಿ ರೂಪಿಸಲಾದ ಹಿರಿಯರ ಸ್ನೇಹಿ ಪ್ರವಾಸಗಳು.\n\nನಮ್ಮ ಮುಂಬರುವ ಪ್ರವಾಸಗಳನ್ನು ನೋಡಲು ಬಯಸುವಿರಾ? (ಹೌದು/ಇಲ್ಲ)",
+
+    holidaysYes: () =>
+      `ಅದ್ಭುತ! ನಿಮ್ಮನ್ನು ನಮ್ಮ ಪ್ರವಾಸ ತಂಡದೊಂದಿಗೆ ಸಂಪರ್ಕಿಸುತ್ತಿದ್ದೇನೆ. ಇದು ನಮ್ಮ WhatsApp ಪ್ರವಾಸ ಗುಂಪು:\n\n🔗 ${WHATSAPP_HOLIDAYS_LINK}\n\nನಮ್ಮ ತಂಡ ಶೀಘ್ರದಲ್ಲೇ ನಿಮ್ಮನ್ನು ಸಂಪರ್ಕಿಸುತ್ತದೆ!`,
+
+    holidaysNo: () =>
+      `ಪರವಾಗಿಲ್ಲ! ಇದು ನಮ್ಮ WhatsApp ಪ್ರವಾಸ ಗುಂಪಿನ ಲಿಂಕ್:\n\n🔗 ${WHATSAPP_HOLIDAYS_LINK}\n\nಸಂಕೋಚವಿಲ್ಲದೆ ಸೇರಿ, ನಮ್ಮ ಮುಂಬರುವ ಪ್ರವಾಸಗಳನ್ನು ನೋಡಿ.`,
+
+    events: (city) =>
+      `ನಮ್ಮ ಕಾರ್ಯಕ್ರಮಗಳು ಜನರನ್ನು ಒಟ್ಟುಗೂಡಿಸುತ್ತವೆ — ಸಂಗೀತ, ಸಿನಿಮಾ, ನಡಿಗೆ, ಕಾರ್ಯಾಗಾರಗಳು.\n\n*${city}* ನಗರದ ಮುಂಬರುವ ಕಾರ್ಯಕ್ರಮಗಳನ್ನು ನೋಡಲು ಬಯಸುವಿರಾ? (ಹೌದು/ಇಲ್ಲ)`,
+
+    eventsYes: (city) =>
+      `ಅದ್ಭುತ! *${city}* ನಗರಕ್ಕಾಗಿ ನಿಮ್ಮನ್ನು ನಮ್ಮ ಕಾರ್ಯಕ್ರಮ ತಂಡದೊಂದಿಗೆ ಸಂಪರ್ಕಿಸುತ್ತಿದ್ದೇನೆ. ಇದು ನಮ್ಮ WhatsApp ಕಾರ್ಯಕ್ರಮ ಗುಂಪು:\n\n🔗 ${WHATSAPP_EVENTS_LINK}\n\nನಮ್ಮ ತಂಡ ಶೀಘ್ರದಲ್ಲೇ ನಿಮ್ಮನ್ನು ಸಂಪರ್ಕಿಸುತ್ತದೆ!`,
+
+    eventsNo: () =>
+      `ಪರವಾಗಿಲ್ಲ! ಇದು ನಮ್ಮ WhatsApp ಕಾರ್ಯಕ್ರಮ ಗುಂಪಿನ ಲಿಂಕ್:\n\n🔗 ${WHATSAPP_EVENTS_LINK}\n\nಸಂಕೋಚವಿಲ್ಲದೆ ಸೇರಿ, ಮುಂಬರುವ ಕಾರ್ಯಕ್ರಮಗಳನ್ನು ನೋಡಿ.`,
+
+    health: () =>
+      "ನಮ್ಮ ವೆಲ್‌ನೆಸ್ ಯೋಜನೆಗಳು ಯೋಗ, ಪೋಷಣೆ ಮತ್ತು ಫಿಸಿಯೋಥೆರಪಿಯನ್ನು ಸೇರಿಸಿ ನೋವನ್ನು ನೈಸರ್ಗಿಕವಾಗಿ ನಿಭಾಯಿಸಲು ನೆರವಾಗುತ್ತವೆ.\n\nಕೇರ್ ಮ್ಯಾನೇಜರ್ ನಿಮಗೆ ಕರೆ ಮಾಡಬೇಕೆ? (ಹೌದು/ಇಲ್ಲ)",
+
+    healthYes: () =>
+      `ಅದ್ಭುತ! ನಿಮಗೆ ಕರೆ ಮಾಡುವಂತೆ ಕೇರ್ ಮ್ಯಾನೇಜರ್‌ಗೆ ಕೋರಿದ್ದೇನೆ. ನಮ್ಮ ಸಪೋರ್ಟ್ ಸಂಖ್ಯೆ: ${SUPPORT_NUMBER}\n\nನಮ್ಮ ತಂಡ ಶೀಘ್ರದಲ್ಲೇ ನಿಮ್ಮನ್ನು ಸಂಪರ್ಕಿಸುತ್ತದೆ!`,
+
+    healthNo: () =>
+      `ಪರವಾಗಿಲ್ಲ! ಇದು ನಮ್ಮ ಸಪೋರ್ಟ್ ಸಂಖ್ಯೆ: ${SUPPORT_NUMBER}\n\nಯಾವಾಗ ಬೇಕಾದರೂ ಸಂಪರ್ಕಿಸಿ.`,
+
+    community: () =>
+      "ಮಾರ್ಜಿ ಕಥೆಗಳು ಮತ್ತು ಉದ್ದೇಶದ ಮೂಲಕ ಒಂದಾಗುವ 10,000+ ಹಿರಿಯರ ಬೆಳೆಯುತ್ತಿರುವ ಕುಟುಂಬ.\n\nನಮ್ಮ WhatsApp ಸಮುದಾಯಕ್ಕೆ ಸೇರಲು ಬಯಸುವಿರಾ? (ಹೌದು/ಇಲ್ಲ)",
+
+    communityYes: () =>
+      `ಅದ್ಭುತ! ಇದು ನಮ್ಮ WhatsApp ಸಮುದಾಯದ ಲಿಂಕ್:\n\n🔗 ${WHATSAPP_COMMUNITY_LINK}\n\nಮಾರ್ಜಿ ಕುಟುಂಬಕ್ಕೆ ಸ್ವಾಗತ! 🎉`,
+
+    communityNo: () =>
+      `ಪರವಾಗಿಲ್ಲ! ನಿಮ್ಮ ಮನಸ್ಸು ಬದಲಾದರೆ, ಇದು ನಮ್ಮ WhatsApp ಸಮುದಾಯದ ಲಿಂಕ್:\n\n🔗 ${WHATSAPP_COMMUNITY_LINK}\n\nಯಾವಾಗ ಬೇಕಾದರೂ ಸೇರಿ!`,
+
+    humanEscalation: (name) =>
+      `ಒಳ್ಳೆಯ ಪ್ರಶ್ನೆ, *${name}*.\nನಿಮ್ಮನ್ನು ನಮ್ಮ ಸಪೋರ್ಟ್ ತಂಡದೊಂದಿಗೆ ಸಂಪರ್ಕಿಸುತ್ತಿದ್ದೇನೆ.`,
+
+    closing: (name) =>
+      `ನಿಮ್ಮೊಂದಿಗೆ ಮಾತನಾಡಿ ತುಂಬಾ ಸಂತೋಷವಾಯಿತು, *${name}*. ಮುಂದೆ ನಿಮಗೆ ಸಾಕಷ್ಟು ಮಾರ್ಜಿ ಕ್ಷಣಗಳು ಸಿಗಲಿ!`,
+
+    invalidResponse: () =>
+      "ನನಗೆ ಅರ್ಥವಾಗಲಿಲ್ಲ. ದಯವಿಟ್ಟು ನೀಡಲಾದ ಆಯ್ಕೆಗಳಲ್ಲಿ ಒಂದರಿಂದ ಉತ್ತರಿಸಿ.",
+
+    invalidDOB: () =>
+      "ದಯವಿಟ್ಟು ನಿಮ್ಮ ಜನ್ಮ ದಿನಾಂಕವನ್ನು DD-MM-YYYY ರೂಪದಲ್ಲಿ ತಿಳಿಸಿ (ಉದಾ: 15-06-1965).",
+
+    invalidMenuOption: () =>
+      "ಆಯ್ಕೆ ಮಾಡಲು ದಯವಿಟ್ಟು 1-4 ರಲ್ಲಿ ಒಂದು ಸಂಖ್ಯೆಯನ್ನು ಬರೆಯಿರಿ.",
+
+    askNameRetry: () =>
+      "ದಯವಿಟ್ಟು ನಿಮ್ಮ ಪೂರ್ಣ ಹೆಸರನ್ನು ತಿಳಿಸಿ.",
+
+    askCityRetry: () =>
+      "ದಯವಿಟ್ಟು ನಿಮ್ಮ ನಗರದ ಹೆಸರನ್ನು ತಿಳಿಸಿ."
+  },
+
+  // Tamil
+  ta: {
+    welcomeBack: (name) =>
+      `வணக்கம் *${name}*! 👋\n\nமார்ஸிக்கு மீண்டும் வரவேற்கிறோம்! எங்கள் குழு விரைவில் உங்களைத் தொடர்புகொள்ளும்.\n\nஅதுவரை, எங்கள் சமூகத்தைப் பாருங்கள்:\n\n🔗 எங்கள் WhatsApp சமூகத்தில் சேருங்கள்: ${WHATSAPP_COMMUNITY_LINK}\n\nநீங்கள் பார்க்கக்கூடியவை:\n\n1️⃣ மார்ஸி ஹாலிடேஸ்\n2️⃣ மார்ஸி ஈவென்ட்ஸ்\n3️⃣ மார்ஸி ஹெல்த்\n4️⃣ மார்ஸி கம்யூனிட்டி\n\n👉 *எண்ணை (1–4)* அனுப்பிப் பதிலளிக்கவும்.`,
+
+    greeting: () =>
+      "வணக்கம், நான் *மார்ஸி சப்போர்ட்*, மார்ஸியிலிருந்து உங்கள் நண்பர் — 50 வயதுக்கு மேற்பட்டவர்கள் மகிழ்ச்சியாகவும், ஆரோக்கியமாகவும், இணைந்தும் வாழ உதவும் இந்தியாவின் மிக நம்பகமான சமூகம்.\n\nநாங்கள் என்ன செய்கிறோம் என்று தெரிந்துகொள்ள விரும்புகிறீர்களா?\n👉 தொடர *ஆமாம்* அல்லது வெளியேற *இல்லை* என்று பதிலளிக்கவும்.",
+
+    initialGreeting: () =>
+      "வணக்கம், நான் *மார்ஸி சப்போர்ட்*, மார்ஸியிலிருந்து உங்கள் நண்பர் — 50 வயதுக்கு மேற்பட்டவர்கள் மகிழ்ச்சியாகவும், ஆரோக்கியமாகவும், இணைந்தும் வாழ உதவும் இந்தியாவின் மிக நம்பகமான சமூகம்.\n\nநாங்கள் என்ன செய்கிறோம் என்று தெரிந்துகொள்ள விரும்புகிறீர்களா?\n👉 தொடர *ஆமாம்* அல்லது வெளியேற *இல்லை* என்று பதிலளிக்கவும்.",
+
+    askName: () =>
+      "உங்கள் முழுப் பெயர் என்ன?",
+
+    askDOB: (name) =>
+      `உங்களைச் சந்தித்ததில் மகிழ்ச்சி, *${name}* 😊\nதயவுசெய்து உங்கள் பிறந்த தேதியை (DD-MM-YYYY) பகிரவும்.`,
+
+    askCity: (name) =>
+      `நன்றி, *${name}*!\nநீங்கள் எந்த நகரத்தில் வசிக்கிறீர்கள்?`,
+
+    ageUnder50: (name) =>
+      `நன்றி, *${name}*!\nமார்ஸி சிறப்பாக 50+ வயதினருக்கான சமூகம்.\nஇதனால் பயன்பெறக்கூடிய உங்கள் பெற்றோர் அல்லது உறவினரின் தொடர்பு விவரங்களைப் பகிர விரும்புகிறீர்களா?\n👉 *ஆமாம்* அல்லது *இல்லை* என்று பதிலளிக்கவும்`,
+
+    referralCollect: () =>
+      "தயவுசெய்து அவர்களின் *பெயர்*, *மொபைல் எண்* மற்றும் *நகரம்* பகிரவும்.\nஎங்கள் குழு விரைவில் அவர்களைத் தொடர்புகொள்ளும். மகிழ்ச்சியைப் பகிர்ந்ததற்கு நன்றி!",
+
+    referralThankYou: () =>
+      "தொடர்புகொண்டதற்கு நன்றி. எங்கள் சமூக ஊடகப் பக்கங்கள் வழியாக இணைந்திருங்கள்!",
+
+    registrationComplete: (name) =>
+      `அருமை, *${name}*! நீங்கள் இப்போது மார்ஸியில் பதிவு செய்யப்பட்டுள்ளீர்கள்! 🎉\n\nநீங்கள் பார்க்கக்கூடியவை:\n\n1️⃣ மார்ஸி ஹாலிடேஸ்\n2️⃣ மார்ஸி ஈவென்ட்ஸ்\n3️⃣ மார்ஸி ஹெல்த்\n4️⃣ மார்ஸி கம்யூனிட்டி\n\n👉 *எண்ணை (1–4)* அனுப்பிப் பதிலளிக்கவும்.`,
+
+    holidays: () =>
+      "மார்ஸி ஹாலிடேஸ் என்பது வசதி, பாதுகாப்பு மற்றும் மகிழ்ச்சியை மனதில் கொண்டு வடிவமைக்கப்பட்ட மூத்தோருக்கு ஏற்ற பயணங்கள்.\n\nஎங்கள் வரவிருக்கும் சுற்றுலாக்களைப் பார்க்க விரும்புகிறீர்களா? (ஆமாம்/இல்லை)",
+
+    holidaysYes: () =>
+      `அருமை! உங்களை எங்கள் பயணக் குழுவுடன் இணைக்கிறேன். இதோ எங்கள் WhatsApp பயணக் குழு:\n\n🔗 ${WHATSAPP_HOLIDAYS_LINK}\n\nஎங்கள் குழு விரைவில் உங்களைத் தொடர்புகொள்ளும்!`,
+
+    holidaysNo: () =>
+      `பரவாயில்லை! இதோ எங்கள் WhatsApp பயணக் குழுவின் இணைப்பு:\n\n🔗 ${WHATSAPP_HOLIDAYS_LINK}\n\nதயங்காமல் சேர்ந்து, எங்கள் வரவிருக்கும் சுற்றுலாக்களைப் பாருங்கள்.`,
+
+    events: (city) =>
+      `எங்கள் நிகழ்ச்சிகள் மக்களை ஒன்றிணைக்கின்றன — இசை, திரைப்படங்கள், நடைப்பயணங்கள், பயிலரங்குகள்.\n\n*${city}* நகரில் வரவிருக்கும் நிகழ்ச்சிகளைப் பார்க்க விரும்புகிறீர்களா? (ஆமாம்/இல்லை)`,
+
+    eventsYes: (city) =>
+      `அருமை! *${city}* நகரத்திற்கான எங்கள் நிகழ்ச்சிக் குழுவுடன் உங்களை இணைக்கிறேன். இதோ எங்கள் WhatsApp நிகழ்ச்சிக் குழு:\n\n🔗 ${WHATSAPP_EVENTS_LINK}\n\nஎங்கள் குழு விரைவில் உங்களைத் தொடர்புகொள்ளும்!`,
+
+    eventsNo: () =>
+      `பரவாயில்லை! இதோ எங்கள் WhatsApp நிகழ்ச்சிக் குழுவின் இணைப்பு:\n\n🔗 ${WHATSAPP_EVENTS_LINK}\n\nதயங்காமல் சேர்ந்து, வரவிருக்கும் நிகழ்ச்சிகளைப் பாருங்கள்.`,
+
+    health: () =>
+      "எங்கள் நலவாழ்வுத் திட்டங்கள் யோகா, ஊட்டச்சத்து மற்றும் பிசியோதெரபியை இணைத்து வலியை இயற்கையாகக் கையாள உதவுகின்றன.\n\nஒரு கேர் மேனேஜர் உங்களை அழைக்க வேண்டுமா? (ஆமாம்/இல்லை)",
+
+    healthYes: () =>
+      `அருமை! உங்களை அழைக்கும்படி ஒரு கேர் மேனேஜரிடம் கேட்டுள்ளேன். எங்கள் சப்போர்ட் எண்: ${SUPPORT_NUMBER}\n\nஎங்கள் குழு விரைவில் உங்களைத் தொடர்புகொள்ளும்!`,
+
+    healthNo: () =>
+      `பரவாயில்லை! இதோ எங்கள் சப்போர்ட் எண்: ${SUPPORT_NUMBER}\n\nஎப்போது வேண்டுமானாலும் தொடர்புகொள்ளுங்கள்.`,
+
+    community: () =>
+      "மார்ஸி என்பது கதைகள் மற்றும் நோக்கத்தின் மூலம் இணையும் 10,000+ மூத்தோரின் வளர்ந்து வரும் குடும்பம்.\n\nஎங்கள் WhatsApp சமூகத்தில் சேர விரும்புகிறீர்களா? (ஆமாம்/இல்லை)",
+
+    communityYes: () =>
+      `அற்புதம்! இதோ எங்கள் WhatsApp சமூகத்தின் இணைப்பு:\n\n🔗 ${WHATSAPP_COMMUNITY_LINK}\n\nமார்ஸி குடும்பத்திற்கு வரவேற்கிறோம்! 🎉`,
+
+    communityNo: () =>
+      `பரவாயில்லை! உங்கள் மனம் மாறினால், இதோ எங்கள் WhatsApp சமூகத்தின் இணைப்பு:\n\n🔗 ${WHATSAPP_COMMUNITY_LINK}\n\nஎப்போது வேண்டுமானாலும் சேரலாம்!`,
+
+    humanEscalation: (name) =>
+      `நல்ல கேள்வி, *${name}*.\nஉங்களை எங்கள் சப்போர்ட் குழுவுடன் இணைக்கிறேன்.`,
+
+    closing: (name) =>
+      `உங்களுடன் பேசியதில் மிக்க மகிழ்ச்சி, *${name}*. இனி வரும் நாட்களில் நிறைய மார்ஸி தருணங்கள் அமையட்டும்!`,
+
+    invalidResponse: () =>
+      "எனக்குப் புரியவில்லை. தயவுசெய்து கொடுக்கப்பட்ட விருப்பங்களில் ஒன்றைக் கொண்டு பதிலளிக்கவும்.",
+
+    invalidDOB: () =>
+      "தயவுசெய்து உங்கள் பிறந்த தேதியை DD-MM-YYYY வடிவில் பகிரவும் (எ.கா. 15-06-1965).",
+
+    invalidMenuOption: () =>
+      "ஒரு விருப்பத்தைத் தேர்ந்தெடுக்க, தயவுசெய்து 1-4 இல் ஒரு எண்ணை அனுப்பவும்.",
+
+    askNameRetry: () =>
+      "தயவுசெய்து உங்கள் முழுப் பெயரைப் பகிரவும்.",
+
+    askCityRetry: () =>
+      "தயவுசெய்து உங்கள் நகரத்தின் பெயரைப் பகிரவும்."
+  }
 };
 
 /**
- * Get message template
+ * Supported language for a profile / state value, or null
+ * @param {string} language - Language code (e.g. 'hi')
+ * @returns {string|null} Language code or null
+ */
+function normalizeLanguage(language) {
+  return SUPPORTED_LANGUAGES.includes(language) ? language : null;
+}
+
+/**
+ * Get message template in the user's language, falling back to English for unknown languages and missing keys
+ * @param {string} language - Language code (en, hi, kn, ta)
  * @param {string} key - Message key
  * @param {...any} args - Arguments for template
  * @returns {string} Formatted message
  */
-function getMessage(key, ...args) {
-  const template = MESSAGES[key];
+function getLocalizedMessage(language, key, ...args) {
+  const catalog = TRANSLATIONS[language] || {};
+  const template = catalog[key] || MESSAGES[key];
   if (!template) {
     console.error(JSON.stringify({
       message: 'Message template not found',
-      key
+      key,
+      language
     }));
-    return MESSAGES.invalidResponse();
+    return (catalog.invalidResponse || MESSAGES.invalidResponse)();
   }
   return typeof template === 'function' ? template(...args) : template;
 }
 
+/**
+ * Get message template (English)
+ * @param {string} key - Message key
+ * @param {...any} args - Arguments for template
+ * @returns {string} Formatted message
+ */
+function getMessage(key, ...args) {
+  return getLocalizedMessage(DEFAULT_LANGUAGE, key, ...args);
+}
+
 module.exports = {
   getMessage,
-  MESSAGES
+  getLocalizedMessage,
+  normalizeLanguage,
+  MESSAGES,
+  TRANSLATIONS,
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES
 };
 
@@ -5,19 +5,34 @@ const {
   getAllConversationStates,
   getUserMessages,
   getConversationMessages,
+  getMessage,
+  getConsent,
+  setConsent,
   getPendingEscalations,
   getUserEscalations,
   resolveEscalation,
   getDashboardStats,
   deleteUserAndConversations,
-  deleteAllUsersAndConversations
+  deleteAllUsersAndConversations,
+  getFlowFunnel
 } = require('./utils/dynamodb');
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const { DynamoDBDocumentClient, GetCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
 const { SSMClient, GetParameterCommand } = require('@aws-sdk/client-ssm');
+const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const {
+  SQSClient,
+  GetQueueAttributesCommand,
+  ReceiveMessageCommand,
+  SendMessageCommand,
+  DeleteMessageCommand
+} = require('@aws-sdk/client-sqs');
 
 const dynamoClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
 const ssmClient = new SSMClient({});
+const s3Client = new S3Client({});
+const sqsClient = new SQSClient({});
 
 // Environment variables
 const USER_PROFILE_TABLE = process.env.USER_PROFILE_TABLE_NAME;
@@ -28,7 +43,14 @@ const BOT_CONFIG_TABLE = process.env.BOT_CONFIG_TABLE_NAME;
 const META_PAT_SSM_NAME = process.env.META_PAGE_ACCESS_TOKEN_SSM_NAME || '';
 const META_GRAPH_VERSION = process.env.META_GRAPH_API_VERSION || 'v25.0';
 const META_PHONE_NUMBER_ID = process.env.META_PHONE_NUMBER_ID || '';
-const KNOWN_FLOW_IDS = ['marzi-lead'];
+const MEDIA_BUCKET = process.env.META_WEBHOOK_S3_BUCKET || '';
+const CONSENT_TABLE = process.env.USER_CONSENT_TABLE_NAME || '';
+const FUNNEL_TABLE = process.env.FLOW_FUNNEL_TABLE_NAME || '';
+const META_INBOUND_QUEUE_URL = process.env.META_INBOUND_QUEUE_URL || '';
+const META_INBOUND_DLQ_URL = process.env.META_INBOUND_DLQ_URL || '';
+const DLQ_REPLAY_DEFAULT = 10;
+const DLQ_REPLAY_MAX = 100;
+const MEDIA_URL_TTL_SECONDS = 15 * 60;
 
 /** Get Meta phone number ID: BotConfig meta.phoneNumberId or env. */
 async function getMetaPhoneNumberId() {
@@ -44,6 +66,65 @@ async function getMetaPhoneNumberId() {
   return fromConfig || META_PHONE_NUMBER_ID || '';
 }
 
+/** Approximate message counts of an SQS queue. */
+async function getQueueDepth(queueUrl) {
+  const out = await sqsClient.send(new GetQueueAttributesCommand({
+    QueueUrl: queueUrl,
+    AttributeNames: ['ApproximateNumberOfMessages', 'ApproximateNumberOfMessagesNotVisible']
+  }));
+  return {
+    waiting: Number(out.Attributes?.ApproximateNumberOfMessages || 0),
+    inFlight: Number(out.Attributes?.ApproximateNumberOfMessagesNotVisible || 0)
+  };
+}
+
+/**
+ * Move up to max messages from the Meta inbound dead-letter queue back to the worker queue, oldest first,
+ * keeping each user's message group (so their order holds). A fresh deduplication id lets SQS accept a message
+ * it saw within the last 5 minutes.
+ * @param {number} max
+ * @returns {Promise<{ replayed: number, failed: number, messages: Array<{ mobile: string, messageId: string|null, receiveCount: number }> }>}
+ */
+async function replayMetaDeadLetters(max) {
+  const result = { replayed: 0, failed: 0, messages: [] };
+  while (result.replayed + result.failed < max) {
+    const out = await sqsClient.send(new ReceiveMessageCommand({
+      QueueUrl: META_INBOUND_DLQ_URL,
+      MaxNumberOfMessages: Math.min(10, max - result.replayed - result.failed),
+      AttributeNames: ['MessageGroupId', 'ApproximateReceiveCount'],
+      VisibilityTimeout: 60,
+      WaitTimeSeconds: 0
+    }));
+    const received = out.Messages || [];
+    if (!received.length) break;
+    for (const msg of received) {
+      const mobile = msg.Attributes?.MessageGroupId || 'unknown';
+      let messageId = null;
+      try {
+        messageId = JSON.parse(msg.Body).event?.messageId || null;
+      } catch {
+        // replayed as is; the worker reports it again
+      }
+      try {
+        await sqsClient.send(new SendMessageCommand({
+          QueueUrl: META_INBOUND_QUEUE_URL,
+          MessageBody: msg.Body,
+          MessageGroupId: mobile,
+          MessageDeduplicationId: `${msg.MessageId}_replay_${Date.now()}`
+        }));
+        await sqsClient.send(new DeleteMessageCommand({ QueueUrl: META_INBOUND_DLQ_URL, ReceiptHandle: msg.ReceiptHandle }));
+        result.replayed++;
+        result.messages.push({ mobile, messageId, receiveCount: Number(msg.Attributes?.ApproximateReceiveCount) || 0 });
+      } catch (err) {
+        // Left in the dead-letter queue; visible again after the visibility timeout
+        result.failed++;
+        console.warn(JSON.stringify({ message: 'dlq_replay_failed', mobile, messageId, error: err.message }));
+      }
+    }
+  }
+  return result;
+}
+
 /** Get Meta Page Access Token from SSM for manual send. */
 async function getMetaPat() {
   if (!META_PAT_SSM_NAME) return '';
@@ -67,10 +148,39 @@ function normalizeMobile(mobile) {
   return digits.slice(-15);
 }
 
-/** Send text via Meta WhatsApp Cloud API. Returns { success, metaMessageId, error }. */
-async function sendMetaWhatsAppText(phoneNumberId, to, body) {
+/** Consent statuses an agent can set. */
+const CONSENT_STATUSES = ['opted_in', 'opted_out'];
+
+/** Funnel days are India time, like the FlowFunnel stream Lambda that counts them. */
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FUNNEL_DEFAULT_DAYS = 7;
+const FUNNEL_MAX_DAYS = 92;
+
+/**
+ * Days from..to inclusive (YYYY-MM-DD); default the last 7 days.
+ * @returns {{ days: string[] }|{ error: string }}
+ */
+function funnelDays(from, to) {
+  const isDay = (d) => /^\d{4}-\d{2}-\d{2}$/.test(d) && !Number.isNaN(Date.parse(`${d}T00:00:00Z`));
+  const today = new Date(Date.now() + IST_OFFSET_MS).toISOString().slice(0, 10);
+  const end = to || today;
+  const start = from || new Date(Date.parse(`${end}T00:00:00Z`) - (FUNNEL_DEFAULT_DAYS - 1) * DAY_MS).toISOString().slice(0, 10);
+  if (!isDay(start) || !isDay(end)) return { error: 'from and to must be dates (YYYY-MM-DD)' };
+  const count = (Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / DAY_MS + 1;
+  if (count < 1) return { error: 'from must not be after to' };
+  if (count > FUNNEL_MAX_DAYS) return { error: `date range can be at most ${FUNNEL_MAX_DAYS} days` };
+  const first = Date.parse(`${start}T00:00:00Z`);
+  return { days: Array.from({ length: count }, (_, i) => new Date(first + i * DAY_MS).toISOString().slice(0, 10)) };
+}
+
+/** Media types agents can send (Graph message type). */
+const MEDIA_TYPES = ['image', 'document', 'video'];
+
+/** POST one message (type-specific part in `message`) via Meta WhatsApp Cloud API. Returns { success, metaMessageId, error }. */
+async function sendMetaMessage(phoneNumberId, to, message) {
   const pid = phoneNumberId || META_PHONE_NUMBER_ID;
-  if (!pid || !to || body == null) return { success: false, error: 'missing phoneNumberId, to, or body' };
+  if (!pid || !to) return { success: false, error: 'missing phoneNumberId or to' };
   const token = await getMetaPat();
   if (!token) return { success: false, error: 'no access token' };
   const toE164 = normalizeMobile(to);
@@ -79,8 +189,7 @@ async function sendMetaWhatsAppText(phoneNumberId, to, body) {
     messaging_product: 'whatsapp',
     recipient_type: 'individual',
     to: toE164,
-    type: 'text',
-    text: { preview_url: false, body: String(body).slice(0, 4096) }
+    ...message
   };
   try {
     const res = await fetch(url, {
@@ -102,6 +211,30 @@ async function sendMetaWhatsAppText(phoneNumberId, to, body) {
   }
 }
 
+/** Send text via Meta WhatsApp Cloud API. Returns { success, metaMessageId, error }. */
+async function sendMetaWhatsAppText(phoneNumberId, to, body) {
+  if (body == null) return { success: false, error: 'missing phoneNumberId, to, or body' };
+  return sendMetaMessage(phoneNumberId, to, {
+    type: 'text',
+    text: { preview_url: false, body: String(body).slice(0, 4096) }
+  });
+}
+
+/**
+ * Send image/document/video by public https URL or uploaded Meta media id, with optional caption.
+ * @param {{ type: string, url?: string, id?: string, filename?: string }} media
+ */
+async function sendMetaWhatsAppMedia(phoneNumberId, to, media, caption) {
+  return sendMetaMessage(phoneNumberId, to, {
+    type: media.type,
+    [media.type]: {
+      ...(media.id ? { id: String(media.id) } : { link: media.url }),
+      ...(caption && { caption: String(caption).slice(0, 1024) }),
+      ...(media.type === 'document' && media.filename && { filename: String(media.filename).slice(0, 240) })
+    }
+  });
+}
+
 /**
  * CORS headers
  */
@@ -147,7 +280,8 @@ exports.handler = async (event) => {
         userProfile: USER_PROFILE_TABLE,
         conversationState: CONVERSATION_STATE_TABLE,
         escalation: ESCALATION_TABLE,
-        messageLog: MESSAGE_LOG_TABLE
+        messageLog: MESSAGE_LOG_TABLE,
+        funnelStats: FUNNEL_TABLE
       });
       
     } else if (path === '/dashboard/users' && method === 'GET') {
@@ -223,6 +357,164 @@ exports.handler = async (event) => {
         };
       }
       
+    } else if (path === '/dashboard/messages/media' && method === 'GET') {
+      // Presigned URL for media a user sent (stored to S3 by meta-webhook)
+      const mobile = queryParams.mobile;
+      const timestamp = Number(queryParams.timestamp);
+      if (!mobile || !Number.isFinite(timestamp)) {
+        return {
+          statusCode: 400,
+          headers: corsHeaders,
+          body: JSON.stringify({
+            error: 'Bad Request',
+            message: 'mobile and timestamp parameters are required'
+          })
+        };
+      }
+      if (!MEDIA_BUCKET) {
+        return {
+          statusCode: 503,
+          headers: corsHeaders,
+          body: JSON.stringify({ success: false, error: 'META_WEBHOOK_S3_BUCKET not configured' })
+        };
+      }
+      const message = await getMessage(MESSAGE_LOG_TABLE, mobile, timestamp);
+      if (!message || !message.mediaS3Key) {
+        return {
+          statusCode: 404,
+          headers: corsHeaders,
+          body: JSON.stringify({
+            error: 'Not Found',
+            message: message && message.mediaId
+              ? 'Media was not stored (download failed or file too large)'
+              : 'No stored media for this message',
+            ...(message && message.mediaError && { detail: message.mediaError })
+          })
+        };
+      }
+      const url = await getSignedUrl(s3Client, new GetObjectCommand({
+        Bucket: MEDIA_BUCKET,
+        Key: message.mediaS3Key
+      }), { expiresIn: MEDIA_URL_TTL_SECONDS });
+      result = {
+        url,
+        expiresIn: MEDIA_URL_TTL_SECONDS,
+        type: message.type,
+        mimeType: message.mimeType || null,
+        filename: message.mediaFilename || null,
+        caption: message.messageText || ''
+      };
+
+    } else if (path === '/dashboard/consent' && (method === 'GET' || method === 'PUT')) {
+      // Messaging consent per mobile (UserConsent); PUT overrides it, e.g. after a phone call
+      if (!CONSENT_TABLE) {
+        return {
+          statusCode: 503,
+          headers: corsHeaders,
+          body: JSON.stringify({ success: false, error: 'USER_CONSENT_TABLE_NAME not configured' })
+        };
+      }
+      let body = {};
+      if (method === 'PUT') {
+        try {
+          body = typeof event.body === 'string' ? JSON.parse(event.body || '{}') : (event.body || {});
+        } catch {
+          return {
+            statusCode: 400,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: 'Bad Request', message: 'Invalid JSON body' })
+          };
+        }
+      }
+      const rawMobile = method === 'PUT' ? body.mobile : queryParams.mobile;
+      const mobile = rawMobile ? normalizeMobile(rawMobile) : '';
+      if (!mobile) {
+        return {
+          statusCode: 400,
+          headers: corsHeaders,
+          body: JSON.stringify({ error: 'Bad Request', message: 'mobile is required' })
+        };
+      }
+      if (method === 'PUT' && !CONSENT_STATUSES.includes(body.status)) {
+        return {
+          statusCode: 400,
+          headers: corsHeaders,
+          body: JSON.stringify({ error: 'Bad Request', message: `status must be one of ${CONSENT_STATUSES.join(', ')}` })
+        };
+      }
+      const consent = method === 'PUT'
+        ? await setConsent(CONSENT_TABLE, mobile, {
+          status: body.status,
+          source: 'dashboard',
+          by: body.by != null ? String(body.by).slice(0, 100) : undefined,
+          note: body.note != null ? String(body.note).slice(0, 500) : undefined
+        })
+        : await getConsent(CONSENT_TABLE, mobile);
+      result = { mobile, canMessage: consent?.status !== 'opted_out', consent: consent || null };
+
+    } else if (path.match(/^\/dashboard\/flows\/[^/]+\/funnel$/) && method === 'GET') {
+      // Per-node entries, retries, transitions and exits per day (FlowFunnelStats, fed by the message log stream)
+      if (!FUNNEL_TABLE) {
+        return {
+          statusCode: 503,
+          headers: corsHeaders,
+          body: JSON.stringify({ success: false, error: 'FLOW_FUNNEL_TABLE_NAME not configured' })
+        };
+      }
+      const flowId = (event.pathParameters && event.pathParameters.flowId) ||
+        decodeURIComponent(path.split('/')[3]);
+      const range = funnelDays(queryParams.from, queryParams.to);
+      if (range.error) {
+        return {
+          statusCode: 400,
+          headers: corsHeaders,
+          body: JSON.stringify({ error: 'Bad Request', message: range.error })
+        };
+      }
+      const funnel = await getFlowFunnel(FUNNEL_TABLE, flowId, range.days);
+      result = { flowId, from: range.days[0], to: range.days[range.days.length - 1], ...funnel };
+
+    } else if (path === '/dashboard/queues/meta-inbound' && method === 'GET') {
+      // Backlog of the Meta webhook worker queue and its dead-letter queue
+      if (!META_INBOUND_QUEUE_URL || !META_INBOUND_DLQ_URL) {
+        return {
+          statusCode: 503,
+          headers: corsHeaders,
+          body: JSON.stringify({ success: false, error: 'META_INBOUND_QUEUE_URL / META_INBOUND_DLQ_URL not configured' })
+        };
+      }
+      const [queue, deadLetter] = await Promise.all([getQueueDepth(META_INBOUND_QUEUE_URL), getQueueDepth(META_INBOUND_DLQ_URL)]);
+      result = { queue, deadLetter };
+
+    } else if (path === '/dashboard/queues/meta-inbound/replay' && method === 'POST') {
+      // Send dead-lettered Meta messages back to the worker (after fixing whatever made them fail)
+      if (!META_INBOUND_QUEUE_URL || !META_INBOUND_DLQ_URL) {
+        return {
+          statusCode: 503,
+          headers: corsHeaders,
+          body: JSON.stringify({ success: false, error: 'META_INBOUND_QUEUE_URL / META_INBOUND_DLQ_URL not configured' })
+        };
+      }
+      let body = {};
+      try {
+        body = typeof event.body === 'string' ? JSON.parse(event.body || '{}') : (event.body || {});
+      } catch {
+        return {
+          statusCode: 400,
+          headers: corsHeaders,
+          body: JSON.stringify({ error: 'Bad Request', message: 'Invalid JSON body' })
+        };
+      }
+      const max = body.max == null ? DLQ_REPLAY_DEFAULT : Number(body.max);
+      if (!Number.isInteger(max) || max < 1 || max > DLQ_REPLAY_MAX) {
+        return {
+          statusCode: 400,
+          headers: corsHeaders,
+          body: JSON.stringify({ error: 'Bad Request', message: `max must be an integer from 1 to ${DLQ_REPLAY_MAX}` })
+        };
+      }
+      result = await replayMetaDeadLetters(max);
+
     } else if (path === '/dashboard/escalations' && method === 'GET') {
       // Get escalations
       const mobile = queryParams.mobile;
@@ -413,59 +705,7 @@ exports.handler = async (event) => {
       }));
       result = { botEnabled: enabled };
 
-    } else if (path === '/api/flows' && method === 'GET') {
-      result = { flowIds: KNOWN_FLOW_IDS };
-
-    } else if (path.startsWith('/api/flows/') && method === 'GET') {
-      const flowId = (event.pathParameters && event.pathParameters.flowId) || path.replace(/^\/api\/flows\//, '').split('/')[0];
-      if (!flowId) {
-        return {
-          statusCode: 400,
-          headers: corsHeaders,
-          body: JSON.stringify({ error: 'Bad Request', message: 'flowId required' })
-        };
-      }
-      if (!BOT_CONFIG_TABLE) {
-        return {
-          statusCode: 503,
-          headers: corsHeaders,
-          body: JSON.stringify({ error: 'Bot config not configured' })
-        };
-      }
-      const getRes = await dynamoClient.send(new GetCommand({
-        TableName: BOT_CONFIG_TABLE,
-        Key: { configKey: `flow_${flowId}` }
-      }));
-      const item = getRes.Item;
-      if (!item || item.flow == null) {
-        return {
-          statusCode: 404,
-          headers: corsHeaders,
-          body: JSON.stringify({
-            error: 'Not Found',
-            message: 'Flow not customized in DB; meta-webhook uses default from repo.',
-            flowId
-          })
-        };
-      }
-      result = typeof item.flow === 'string' ? JSON.parse(item.flow) : item.flow;
-
-    } else if (path.startsWith('/api/flows/') && method === 'PUT') {
-      const flowId = (event.pathParameters && event.pathParameters.flowId) || path.replace(/^\/api\/flows\//, '').split('/')[0];
-      if (!flowId) {
-        return {
-          statusCode: 400,
-          headers: corsHeaders,
-          body: JSON.stringify({ error: 'Bad Request', message: 'flowId required' })
-        };
-      }
-      if (!BOT_CONFIG_TABLE) {
-        return {
-          statusCode: 503,
-          headers: corsHeaders,
-          body: JSON.stringify({ error: 'Bot config not configured' })
-        };
-      }
+    } else if (path === '/dashboard/messages/send' && method === 'POST') {
       let body;
       try {
         body = typeof event.body === 'string' ? JSON.parse(event.body || '{}') : (event.body || {});
@@ -476,37 +716,27 @@ exports.handler = async (event) => {
           body: JSON.stringify({ error: 'Bad Request', message: 'Invalid JSON body' })
         };
       }
-      await dynamoClient.send(new PutCommand({
-        TableName: BOT_CONFIG_TABLE,
-        Item: {
-          configKey: `flow_${flowId}`,
-          flow: body,
-          updatedAt: Date.now()
-        }
-      }));
-      result = { flowId, saved: true };
-
-    } else if (path === '/dashboard/messages/send' && method === 'POST') {
-      let body;
-      try {
-        body = typeof event.body === 'string' ? JSON.parse(event.body || '{}') : (event.body || {});
-      } catch {
+      const mobile = body.mobile || body.to;
+      const messageBody = body.body || body.text || body.message || body.caption;
+      const media = body.media || null;
+      const phoneNumberId = body.phone_number_id || body.phoneNumberId || (await getMetaPhoneNumberId());
+      if (!mobile || (messageBody == null && !media)) {
         return {
           statusCode: 400,
           headers: corsHeaders,
-          body: JSON.stringify({ error: 'Bad Request', message: 'Invalid JSON body' })
+          body: JSON.stringify({
+            error: 'Bad Request',
+            message: 'body must include mobile (or to) and body (or text or message), or media'
+          })
         };
       }
-      const mobile = body.mobile || body.to;
-      const messageBody = body.body || body.text || body.message;
-      const phoneNumberId = body.phone_number_id || body.phoneNumberId || (await getMetaPhoneNumberId());
-      if (!mobile || messageBody == null) {
+      if (media && (!MEDIA_TYPES.includes(media.type) || (!media.id && !/^https:\/\//.test(media.url || '')))) {
         return {
           statusCode: 400,
           headers: corsHeaders,
           body: JSON.stringify({
             error: 'Bad Request',
-            message: 'body must include mobile (or to) and body (or text or message)'
+            message: `media must be { "type": ${MEDIA_TYPES.join('|')}, "url": "https://..." or "id": "<Meta media id>", "filename"? }`
           })
         };
       }
@@ -520,7 +750,22 @@ exports.handler = async (event) => {
           })
         };
       }
-      const sendResult = await sendMetaWhatsAppText(phoneNumberId, mobile, messageBody);
+      const consent = CONSENT_TABLE ? await getConsent(CONSENT_TABLE, normalizeMobile(mobile)) : null;
+      if (consent?.status === 'opted_out') {
+        return {
+          statusCode: 403,
+          headers: corsHeaders,
+          body: JSON.stringify({
+            success: false,
+            error: 'Recipient opted out',
+            message: 'This user asked not to be messaged. Change it with PUT /dashboard/consent if they opted back in.',
+            optedOutAt: consent.optedOutAt || null
+          })
+        };
+      }
+      const sendResult = media
+        ? await sendMetaWhatsAppMedia(phoneNumberId, mobile, media, messageBody)
+        : await sendMetaWhatsAppText(phoneNumberId, mobile, messageBody);
       if (!sendResult.success) {
         return {
           statusCode: 502,
@@ -561,9 +806,13 @@ exports.handler = async (event) => {
               conversationId,
               direction: 'outbound',
               source: 'manual',
-              type: 'text',
-              messageText: String(messageBody).slice(0, 4096),
-              metaMessageId: sendResult.metaMessageId || null,
+              type: media ? media.type : 'text',
+              messageText: messageBody != null ? String(messageBody).slice(0, 4096) : '',
+              ...(media && media.url && { mediaUrl: media.url }),
+              ...(media && media.id && { mediaId: String(media.id) }),
+              ...(media && media.filename && { mediaFilename: String(media.filename) }),
+              // Omitted rather than null: it is the key of the metaMessageId-index
+              ...(sendResult.metaMessageId && { metaMessageId: sendResult.metaMessageId }),
               waNumber: conversationId
             }
           }));
@@ -586,6 +835,12 @@ exports.handler = async (event) => {
             'GET /dashboard/conversations?mobile={mobile}&limit={limit}&lastKey={key}',
             'GET /dashboard/messages?mobile={mobile}&limit={limit}&lastTimestamp={ts}',
             'GET /dashboard/messages?conversationId={id}&limit={limit}&lastTimestamp={ts}',
+            'GET /dashboard/messages/media?mobile={mobile}&timestamp={ts} (presigned URL for media the user sent)',
+            'GET /dashboard/consent?mobile={mobile}',
+            'PUT /dashboard/consent (body: { "mobile", "status": "opted_in"|"opted_out", "note"?, "by"? })',
+            'GET /dashboard/flows/{flowId}/funnel?from={YYYY-MM-DD}&to={YYYY-MM-DD} (default last 7 days, max 92)',
+            'GET /dashboard/queues/meta-inbound (worker queue and dead-letter queue depth)',
+            'POST /dashboard/queues/meta-inbound/replay (body: { "max"?: 1-100, default 10 }; dead-lettered messages back to the worker)',
             'GET /dashboard/escalations?status=pending&limit={limit}&lastKey={key}',
             'GET /dashboard/escalations?mobile={mobile}&limit={limit}',
             'PATCH /dashboard/escalations/{escalationId} (resolve - bot resumes for user)',
@@ -595,10 +850,7 @@ exports.handler = async (event) => {
             'PATCH /dashboard/config/meta (body: { "phoneNumberId": "YOUR_ID" } - fix "Object does not exist" error)',
             'GET /dashboard/bot/status',
             'PATCH /dashboard/bot/status (body: { "enabled": true|false } or { "botEnabled": true|false })',
-            'GET /api/flows',
-            'GET /api/flows/{flowId}',
-            'PUT /api/flows/{flowId} (body: flow JSON)',
-            'POST /dashboard/messages/send (body: { "mobile", "body" })'
+            'POST /dashboard/messages/send (body: { "mobile", "body" } or { "mobile", "media": { "type": "image|document|video", "url" | "id", "filename"? }, "body"?: caption })'
           ]
         })
       };
@@ -121,6 +121,22 @@ async function getAllConversationStates(tableName, limit = 50, lastEvaluatedKey
   }
 }
 
+/**
+ * Delivery status of a logged message for the dashboard. Outbound Meta messages carry the latest status from the
+ * webhooks (sent, delivered, read, failed; statusHistory and statusError hold the details); one with no status yet
+ * is 'accepted' by Meta, 'retrying' / 'queued' while meta-webhook retries the send, or 'failed' when the send
+ * failed for good (sendFailedReason, sendError). Inbound and Gupshup-sent messages have none.
+ * @param {object} item - WhatsAppMessageLog item
+ * @returns {string|undefined}
+ */
+function deliveryStatusOf(item) {
+  if (item.direction !== 'outbound') return undefined;
+  if (item.deliveryStatus) return item.deliveryStatus;
+  if (item.sendStatus === 'retrying' || item.sendStatus === 'queued') return item.sendStatus;
+  if (item.sendStatus === 'failed' || item.sendError) return 'failed';
+  return item.metaMessageId ? 'accepted' : undefined;
+}
+
 /**
  * Get all messages for a user
  * @param {string} tableName - Table name
@@ -155,7 +171,8 @@ async function getUserMessages(tableName, mobile, limit = 100, lastTimestamp = n
     const items = (result.Items || []).map(item => ({
       ...item,
       phoneNumber: item.mobile || mobile,
-      mobile: item.mobile || mobile
+      mobile: item.mobile || mobile,
+      deliveryStatus: deliveryStatusOf(item)
     }));
     
     return {
@@ -206,7 +223,8 @@ async function getConversationMessages(tableName, conversationId, limit = 100, l
     const items = (result.Items || []).map(item => ({
       ...item,
       phoneNumber: item.mobile || item.phoneNumber,
-      mobile: item.mobile || item.phoneNumber
+      mobile: item.mobile || item.phoneNumber,
+      deliveryStatus: deliveryStatusOf(item)
     }));
     
     return {
@@ -222,6 +240,95 @@ async function getConversationMessages(tableName, conversationId, limit = 100, l
   }
 }
 
+/**
+ * Get one logged message by its key
+ * @param {string} tableName - WhatsAppMessageLog table name
+ * @param {string} mobile - Mobile number (PK)
+ * @param {number} timestamp - Message timestamp (SK)
+ * @returns {Promise<object|null>} Message item
+ */
+async function getMessage(tableName, mobile, timestamp) {
+  try {
+    const result = await dynamoClient.send(new GetCommand({
+      TableName: tableName,
+      Key: { mobile, timestamp: Number(timestamp) }
+    }));
+    return result.Item || null;
+  } catch (error) {
+    throw new Error(`Error getting message: ${error.message}`);
+  }
+}
+
+/**
+ * Get messaging consent for a mobile
+ * @param {string} tableName - UserConsent table name
+ * @param {string} mobile - Mobile number
+ * @returns {Promise<object|null>} Consent record (no record: never opted out)
+ */
+async function getConsent(tableName, mobile) {
+  try {
+    const result = await dynamoClient.send(new GetCommand({
+      TableName: tableName,
+      Key: { mobile }
+    }));
+    return result.Item || null;
+  } catch (error) {
+    throw new Error(`Error getting consent: ${error.message}`);
+  }
+}
+
+/** Tries of a consent read-modify-write that loses the race to a concurrent change */
+const CONSENT_WRITE_ATTEMPTS = 3;
+
+/**
+ * Set messaging consent (dashboard override); keeps the last 50 changes in history.
+ * The put is conditioned on the updatedAt that was read; a concurrent change (e.g. a STOP arriving on the
+ * webhook) makes it re-read and retry instead of being overwritten
+ * @param {string} tableName - UserConsent table name
+ * @param {string} mobile - Mobile number
+ * @param {object} change - { status: 'opted_in'|'opted_out', source, by?, note? }
+ * @returns {Promise<object>} Saved consent record
+ */
+async function setConsent(tableName, mobile, change) {
+  try {
+    for (let attempt = 1; ; attempt++) {
+      const existing = (await getConsent(tableName, mobile)) || {};
+      const now = Date.now();
+      const optingOut = change.status === 'opted_out';
+      const item = {
+        ...existing,
+        mobile,
+        channel: existing.channel || 'whatsapp',
+        status: change.status,
+        ...(optingOut
+          ? { optOutSource: change.source, optedOutAt: now }
+          : { optInSource: change.source, optedInAt: now }),
+        history: [
+          ...(existing.history || []),
+          { status: change.status, source: change.source, by: change.by, note: change.note, at: now }
+        ].slice(-50),
+        updatedAt: now,
+        createdAt: existing.createdAt || now
+      };
+      try {
+        await dynamoClient.send(new PutCommand({
+          TableName: tableName,
+          Item: item,
+          // Unchanged since we read it (no updatedAt when the record is new)
+          ...(existing.updatedAt == null
+            ? { ConditionExpression: 'attribute_not_exists(updatedAt)' }
+            : { ConditionExpression: 'updatedAt = :prev', ExpressionAttributeValues: { ':prev': existing.updatedAt } })
+        }));
+        return item;
+      } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException' || attempt >= CONSENT_WRITE_ATTEMPTS) throw error;
+      }
+    }
+  } catch (error) {
+    throw new Error(`Error saving consent: ${error.message}`);
+  }
+}
+
 /**
  * Get pending escalations
  * @param {string} tableName - Table name
@@ -330,6 +437,31 @@ async function resolveEscalation(tableName, escalationId) {
   return updated;
 }
 
+/**
+ * Delivery and read rates of outbound Meta messages since a time, from the hourly counters the DeliveryStats stream
+ * Lambda keeps in FlowFunnelStats (statsKey 'delivery', itemKey YYYY-MM-DDTHH UTC, by the hour a message was sent;
+ * the hour holding since counts whole).
+ * deliveryRate = delivered / sent, readRate = read / delivered; read counts as delivered (Meta may skip delivered).
+ * @param {string} tableName - FlowFunnelStats table name
+ * @param {number} since - Timestamp (ms)
+ * @returns {Promise<object|null>} { sent, delivered, read, failed, pending, deliveryRate, readRate }; null without a table
+ */
+async function getDeliveryStats(tableName, since) {
+  if (!tableName) return null;
+  const stats = { sent: 0, delivered: 0, read: 0, failed: 0 };
+  const result = await dynamoClient.send(new QueryCommand({
+    TableName: tableName,
+    KeyConditionExpression: 'statsKey = :statsKey AND itemKey >= :fromHour',
+    ExpressionAttributeValues: { ':statsKey': 'delivery', ':fromHour': new Date(since).toISOString().slice(0, 13) }
+  }));
+  for (const item of result.Items || []) {
+    for (const attr of Object.keys(stats)) stats[attr] += item[attr] || 0;
+  }
+  const pending = Math.max(0, stats.sent - stats.delivered - stats.failed);
+  const rate = (n, of) => (of ? Math.round((n / of) * 1000) / 1000 : 0);
+  return { ...stats, pending, deliveryRate: rate(stats.delivered, stats.sent), readRate: rate(stats.read, stats.delivered) };
+}
+
 /**
  * Get dashboard statistics
  * @param {object} tables - Table names object
@@ -338,7 +470,8 @@ async function resolveEscalation(tableName, escalationId) {
 async function getDashboardStats(tables) {
   try {
     // Get actual counts using COUNT scans
-    const [usersResult, eligibleUsersResult, conversationsResult, escalationsResult, messagesResult] = await Promise.all([
+    const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000);
+    const [usersResult, eligibleUsersResult, conversationsResult, escalationsResult, messagesResult, deliveryLast24h] = await Promise.all([
       // Count all users with status='active' and profileType='PRIMARY'
       dynamoClient.send(new ScanCommand({
         TableName: tables.userProfile,
@@ -392,10 +525,12 @@ async function getDashboardStats(tables) {
           '#timestamp': 'timestamp'
         },
         ExpressionAttributeValues: {
-          ':oneDayAgo': Date.now() - (24 * 60 * 60 * 1000)
+          ':oneDayAgo': oneDayAgo
         },
         Select: 'COUNT'
-      }))
+      })),
+      // Delivery / read rates of outbound messages in last 24 hours
+      getDeliveryStats(tables.funnelStats, oneDayAgo)
     ]);
     
     return {
@@ -404,6 +539,7 @@ async function getDashboardStats(tables) {
       activeConversations: conversationsResult.Count || 0,
       pendingEscalations: escalationsResult.Count || 0,
       messagesLast24h: messagesResult.Count || 0,
+      deliveryLast24h, // { sent, delivered, read, failed, pending, deliveryRate, readRate }
       timestamp: Date.now()
     };
   } catch (error) {
@@ -548,6 +684,71 @@ async function deleteAllUsersAndConversations(tables) {
   return { deleted: results };
 }
 
+/**
+ * Flow funnel for a date range, from the counters the FlowFunnel stream Lambda keeps in FlowFunnelStats
+ * (statsKey {flowId}#{day}, itemKey node#{nodeId} / edge#{from}>{to})
+ * @param {string} tableName - FlowFunnelStats table name
+ * @param {string} flowId - Flow id
+ * @param {string[]} days - YYYY-MM-DD (India time), oldest first
+ * @returns {Promise<object>} { nodes, transitions, daily } - nodes sorted by entries; exits = entries that did not move on
+ */
+async function getFlowFunnel(tableName, flowId, days) {
+  try {
+    const perDay = await Promise.all(days.map(async (day) => {
+      const items = [];
+      let startKey;
+      do {
+        const result = await dynamoClient.send(new QueryCommand({
+          TableName: tableName,
+          KeyConditionExpression: 'statsKey = :statsKey',
+          ExpressionAttributeValues: { ':statsKey': `${flowId}#${day}` },
+          ExclusiveStartKey: startKey
+        }));
+        items.push(...(result.Items || []));
+        startKey = result.LastEvaluatedKey;
+      } while (startKey);
+      return { day, items };
+    }));
+
+    const withExits = (n) => {
+      const exits = Math.max(0, n.entries - n.transitionsOut);
+      return { ...n, exits, dropOffRate: n.entries ? Math.round((exits / n.entries) * 1000) / 1000 : 0 };
+    };
+    const emptyNode = (nodeId) => ({ nodeId, entries: 0, replies: 0, retries: 0, transitionsOut: 0 });
+    const totals = new Map();
+    const edges = new Map();
+    const daily = perDay.map(({ day, items }) => {
+      const nodes = [];
+      for (const item of items) {
+        if (item.itemKey.startsWith('edge#')) {
+          const [from, to] = item.itemKey.slice('edge#'.length).split('>');
+          const key = `${from}>${to}`;
+          edges.set(key, { from, to, count: (edges.get(key)?.count || 0) + (item.count || 0) });
+        } else if (item.itemKey.startsWith('node#')) {
+          const nodeId = item.itemKey.slice('node#'.length);
+          const node = { ...emptyNode(nodeId) };
+          const total = totals.get(nodeId) || emptyNode(nodeId);
+          for (const attr of ['entries', 'replies', 'retries', 'transitionsOut']) {
+            node[attr] = item[attr] || 0;
+            total[attr] += node[attr];
+          }
+          totals.set(nodeId, total);
+          nodes.push(withExits(node));
+        }
+      }
+      return { day, nodes: nodes.sort((a, b) => b.entries - a.entries) };
+    });
+
+    return {
+      nodes: [...totals.values()].map(withExits).sort((a, b) => b.entries - a.entries),
+      transitions: [...edges.values()].sort((a, b) => b.count - a.count),
+      daily
+    };
+  } catch (error) {
+    throw new Error(`Error getting flow funnel: ${error.message}`);
+  }
+}
+
 module.exports = {
   getUserProfile,
   getAllUserProfiles,
@@ -555,12 +756,16 @@ module.exports = {
   getAllConversationStates,
   getUserMessages,
   getConversationMessages,
+  getMessage,
+  getConsent,
+  setConsent,
   getPendingEscalations,
   getUserEscalations,
   getEscalationById,
   resolveEscalation,
   getDashboardStats,
   deleteUserAndConversations,
-  deleteAllUsersAndConversations
+  deleteAllUsersAndConversations,
+  getFlowFunnel
 };
 
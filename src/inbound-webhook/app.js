@@ -1,5 +1,5 @@
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, PutCommand, GetCommand } = require('@aws-sdk/lib-dynamodb');
+const { DynamoDBDocumentClient, PutCommand, GetCommand, QueryCommand, UpdateCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
 const { SQSClient, SendMessageCommand } = require('@aws-sdk/client-sqs');
 const querystring = require('querystring');
 
@@ -13,6 +13,9 @@ const INBOUND_QUEUE_URL = process.env.INBOUND_QUEUE_URL;
 const WHATSAPP_BUSINESS_NUMBER = process.env.WHATSAPP_BUSINESS_NUMBER || '916366743602';
 const SKIP_AWS_CALLS = process.env.SKIP_AWS_CALLS === 'true' || process.env.AWS_SAM_LOCAL === 'true';
 const BOT_CONFIG_TABLE_NAME = process.env.BOT_CONFIG_TABLE_NAME;
+const USER_CONSENT_TABLE_NAME = process.env.USER_CONSENT_TABLE_NAME;
+const DEDUPE_TABLE_NAME = process.env.DEDUPE_TABLE_NAME;
+const DEDUPE_TTL_HOURS = Number(process.env.DEDUPE_TTL_HOURS || '168') || 168;
 /** Default from env: when true, do not send to SQS (no reply). API override stored in BotConfig. */
 const GUPSHUP_IGNORE_REPLY_DEFAULT = process.env.GUPSHUP_IGNORE_REPLY === 'true' || process.env.GUPSHUP_IGNORE_REPLY === '1';
 
@@ -48,6 +51,111 @@ async function getGupshupIgnoreReply() {
   return gupshupIgnoreReplyCached;
 }
 
+const OPT_OUT_KEYWORDS = ['stop', 'unsubscribe', 'opt out', 'optout', 'band karo', 'बंद करो'];
+const OPT_IN_KEYWORDS = ['start', 'unstop', 'subscribe', 'opt in', 'optin', 'shuru karo', 'शुरू करो'];
+const CONSENT_HISTORY_MAX = 50;
+const CONSENT_WRITE_ATTEMPTS = 3;
+
+/**
+ * Consent keyword: the whole message is an opt-out / opt-in word (same list as meta-webhook).
+ * @param {string} text - Message text
+ * @returns {'opted_out'|'opted_in'|null} Status the keyword asks for
+ */
+function getConsentKeyword(text) {
+  const n = String(text || '').toLowerCase().trim().replace(/\s+/g, ' ').replace(/^[\s\p{P}]+|[\s\p{P}]+$/gu, '');
+  if (OPT_OUT_KEYWORDS.includes(n)) return 'opted_out';
+  if (OPT_IN_KEYWORDS.includes(n)) return 'opted_in';
+  return null;
+}
+
+/**
+ * Apply consent for an inbound message (UserConsent): a STOP / START keyword updates the record,
+ * first contact records the implicit opt-in. The put is conditioned on the updatedAt that was read, and the
+ * whole decision is re-made on a fresh read when a concurrent change (dashboard, meta-webhook) got there first.
+ * @param {string} mobile
+ * @param {string} messageText
+ * @returns {Promise<{ optedOut: boolean, keyword: string|null }>} optedOut after this message
+ */
+async function applyInboundConsent(mobile, messageText) {
+  for (let attempt = 1; ; attempt++) {
+    const res = await dynamoClient.send(new GetCommand({ TableName: USER_CONSENT_TABLE_NAME, Key: { mobile } }));
+    const existing = res.Item || null;
+    const wasOptedOut = existing?.status === 'opted_out';
+    let status = getConsentKeyword(messageText);
+    if (status === 'opted_in' && !wasOptedOut) status = null; // "start" from a subscribed user is a normal message
+    if (!status && existing) return { optedOut: wasOptedOut, keyword: null };
+    const now = Date.now();
+    const change = status || 'opted_in';
+    const source = status ? 'webhook_keyword' : 'inbound_message';
+    const keyword = status ? String(messageText).trim() : undefined;
+    const item = {
+      ...(existing || {}),
+      mobile,
+      channel: 'whatsapp',
+      status: change,
+      ...(change === 'opted_out'
+        ? { optOutSource: source, ...(keyword && { optOutKeyword: keyword }), optedOutAt: now }
+        : { optInSource: source, optedInAt: now }),
+      history: [...(existing?.history || []), { status: change, source, ...(keyword && { keyword }), at: now }].slice(-CONSENT_HISTORY_MAX),
+      updatedAt: now,
+      createdAt: existing?.createdAt || now
+    };
+    try {
+      await dynamoClient.send(new PutCommand({
+        TableName: USER_CONSENT_TABLE_NAME,
+        Item: item,
+        ...(existing?.updatedAt == null
+          ? { ConditionExpression: 'attribute_not_exists(updatedAt)' }
+          : { ConditionExpression: 'updatedAt = :prev', ExpressionAttributeValues: { ':prev': existing.updatedAt } })
+      }));
+      return { optedOut: change === 'opted_out', keyword: status };
+    } catch (err) {
+      if (err.name !== 'ConditionalCheckFailedException' || attempt >= CONSENT_WRITE_ATTEMPTS) throw err;
+    }
+  }
+}
+
+/**
+ * Claim a Gupshup message id (InboundMessageDedupe, conditional put with TTL) so a retried delivery
+ * is not logged or queued for a reply twice.
+ * @param {string} messageId
+ * @param {string} mobile
+ * @returns {Promise<boolean>} false when the message was already claimed
+ */
+async function claimInboundMessage(messageId, mobile) {
+  const now = Date.now();
+  try {
+    await dynamoClient.send(new PutCommand({
+      TableName: DEDUPE_TABLE_NAME,
+      Item: {
+        dedupeKey: `gupshup#${messageId}`,
+        mobile,
+        claimedAt: now,
+        ttl: Math.floor((now + DEDUPE_TTL_HOURS * 60 * 60 * 1000) / 1000)
+      },
+      ConditionExpression: 'attribute_not_exists(dedupeKey)'
+    }));
+    return true;
+  } catch (err) {
+    if (err.name === 'ConditionalCheckFailedException') return false;
+    throw err;
+  }
+}
+
+/**
+ * Release a claim (claimInboundMessage) when the message could not be saved or queued, so Gupshup's retry of
+ * the delivery is processed instead of being acknowledged as a duplicate. Never throws.
+ * @param {string} messageId
+ * @param {string} requestId
+ */
+async function releaseInboundMessage(messageId, requestId) {
+  try {
+    await dynamoClient.send(new DeleteCommand({ TableName: DEDUPE_TABLE_NAME, Key: { dedupeKey: `gupshup#${messageId}` } }));
+  } catch (err) {
+    console.warn(JSON.stringify({ message: 'dedupe_release_failed', requestId: requestId, messageId: messageId, error: err.message }));
+  }
+}
+
 /**
  * Detect Gupshup event type
  * @param {object} gupshupPayload - Gupshup JSON payload
@@ -210,12 +318,77 @@ function handleVerificationEvent(gupshupPayload) {
   };
 }
 
+/** sent -> delivered -> read; failed wins over all of them (same as meta-webhook). */
+const DELIVERY_STATUS_RANK = { sent: 1, delivered: 2, read: 3, failed: 4 };
+
 /**
- * Handle status event (delivery reports)
+ * Record one delivery status on the outbound WhatsAppMessageLog item with that metaMessageId
+ * (GSI metaMessageId-index; same rules as meta-webhook's applyMessageStatus): each status once, appended to
+ * statusHistory with {status}At (and statusError when failed); deliveryStatus only moves forward.
+ * @param {{ metaMessageId: string, status: string, timestamp: number, errors: Array<object> }} update
+ * @returns {Promise<'recorded'|'duplicate'|'unmatched'>}
+ */
+async function applyMessageStatus(update) {
+  const { metaMessageId, status, timestamp, errors } = update;
+  const found = await dynamoClient.send(new QueryCommand({
+    TableName: MESSAGE_LOG_TABLE_NAME,
+    IndexName: 'metaMessageId-index',
+    KeyConditionExpression: 'metaMessageId = :id',
+    ExpressionAttributeValues: { ':id': metaMessageId },
+    Limit: 1
+  }));
+  const item = found.Items && found.Items[0];
+  if (!item) return 'unmatched';
+  const Key = { mobile: item.mobile, timestamp: item.timestamp };
+  try {
+    await dynamoClient.send(new UpdateCommand({
+      TableName: MESSAGE_LOG_TABLE_NAME,
+      Key,
+      UpdateExpression: `SET statusHistory = list_append(if_not_exists(statusHistory, :empty), :entry), #at = :at${errors.length ? ', statusError = :error' : ''}`,
+      ConditionExpression: 'attribute_exists(mobile) AND attribute_not_exists(#at)',
+      ExpressionAttributeNames: { '#at': `${status}At` },
+      ExpressionAttributeValues: {
+        ':empty': [],
+        ':entry': [{ status, timestamp, ...(errors.length && { errors }) }],
+        ':at': timestamp,
+        ...(errors.length && { ':error': errors[0] })
+      }
+    }));
+  } catch (err) {
+    if (err.name === 'ConditionalCheckFailedException') return 'duplicate';
+    throw err;
+  }
+  const earlier = Object.keys(DELIVERY_STATUS_RANK).filter(s => DELIVERY_STATUS_RANK[s] < DELIVERY_STATUS_RANK[status]);
+  try {
+    await dynamoClient.send(new UpdateCommand({
+      TableName: MESSAGE_LOG_TABLE_NAME,
+      Key,
+      UpdateExpression: 'SET deliveryStatus = :status',
+      ConditionExpression: earlier.length
+        ? `attribute_not_exists(deliveryStatus) OR deliveryStatus IN (${earlier.map((_, i) => `:earlier${i}`).join(', ')})`
+        : 'attribute_not_exists(deliveryStatus)',
+      ExpressionAttributeValues: {
+        ':status': status,
+        ...Object.fromEntries(earlier.map((s, i) => [`:earlier${i}`, s]))
+      }
+    }));
+  } catch (err) {
+    // A later status is already there
+    if (err.name !== 'ConditionalCheckFailedException') throw err;
+  }
+  return 'recorded';
+}
+
+/**
+ * Handle status event (delivery reports): sent / delivered / read / failed are matched to the outbound
+ * WhatsAppMessageLog item by metaMessageId (the WhatsApp message id, statuses[].id).
+ * Replies sent through Gupshup's own API are logged on the inbound item (gupshupMessageId) and stay unmatched.
+ * Never throws; a status that could not be stored is logged.
  * @param {object} gupshupPayload - Gupshup JSON payload
- * @returns {object} Response indicating status handled
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<object>} Response indicating status handled, with a count per outcome
  */
-function handleStatusEvent(gupshupPayload) {
+async function handleStatusEvent(gupshupPayload, requestId) {
   const statuses = [];
   
   if (gupshupPayload.entry) {
@@ -232,6 +405,7 @@ function handleStatusEvent(gupshupPayload) {
   
   console.log(JSON.stringify({
     message: '📊 Status event received (delivery reports)',
+    requestId: requestId,
     status_count: statuses.length,
     statuses: statuses.map(s => ({
       id: s.id,
@@ -240,11 +414,54 @@ function handleStatusEvent(gupshupPayload) {
     }))
   }));
   
-  // Status events don't need processing - just acknowledge
+  const counts = { recorded: 0, duplicate: 0, unmatched: 0, skipped: 0, error: 0 };
+  for (const s of statuses) {
+    if (!s.id || !DELIVERY_STATUS_RANK[s.status] || !MESSAGE_LOG_TABLE_NAME || SKIP_AWS_CALLS) {
+      counts.skipped++;
+      continue;
+    }
+    const errors = Array.isArray(s.errors)
+      ? s.errors.slice(0, 5).map(e => ({
+        code: Number(e.code) || 0,
+        title: String(e.title || ''),
+        ...(e.message && { message: String(e.message) }),
+        ...(e.error_data && e.error_data.details && { details: String(e.error_data.details) })
+      }))
+      : [];
+    if (s.status === 'failed') {
+      console.warn(JSON.stringify({
+        message: '⚠️ Outbound message failed',
+        requestId: requestId,
+        metaMessageId: String(s.id),
+        recipient: s.recipient_id,
+        errors: errors
+      }));
+    }
+    try {
+      const outcome = await applyMessageStatus({
+        metaMessageId: String(s.id),
+        status: s.status,
+        timestamp: Number(s.timestamp) ? Number(s.timestamp) * 1000 : Date.now(),
+        errors: errors
+      });
+      counts[outcome]++;
+    } catch (err) {
+      counts.error++;
+      console.error(JSON.stringify({
+        message: '❌ Error storing delivery status',
+        requestId: requestId,
+        metaMessageId: String(s.id),
+        status: s.status,
+        error: err.message
+      }));
+    }
+  }
+  
   return {
     handled: true,
     type: 'status',
-    statusCount: statuses.length
+    statusCount: statuses.length,
+    ...counts
   };
 }
 
@@ -425,6 +642,8 @@ function validatePayload(payload) {
 exports.handler = async (event) => {
   const requestId = event.requestContext?.requestId || `req_${Date.now()}`;
   const startTime = Date.now();
+  // Message id claimed for dedupe; released again if the request fails after the claim
+  let claimedMessageId = null;
   
   try {
     // Log incoming request details
@@ -488,12 +707,17 @@ exports.handler = async (event) => {
             }
           };
         } else if (eventType === 'status') {
-          // Status events (delivery reports) - acknowledge but don't process
-          const result = handleStatusEvent(gupshupPayload);
+          // Status events (delivery reports) - stored on the outbound log items, then acknowledged
+          const result = await handleStatusEvent(gupshupPayload, requestId);
           console.log(JSON.stringify({
             message: '✅ Status event handled',
             requestId: requestId,
-            statusCount: result.statusCount
+            statusCount: result.statusCount,
+            recorded: result.recorded,
+            duplicate: result.duplicate,
+            unmatched: result.unmatched,
+            skipped: result.skipped,
+            error: result.error
           }));
           
           return {
@@ -654,6 +878,32 @@ exports.handler = async (event) => {
       message: '✅ Payload validation passed',
       requestId: requestId
     }));
+
+    // Dedupe: a retried delivery is acknowledged but not saved or queued again (claim errors fail open)
+    if (DEDUPE_TABLE_NAME && !SKIP_AWS_CALLS && parsedPayload.messageId) {
+      let firstDelivery = true;
+      try {
+        firstDelivery = await claimInboundMessage(parsedPayload.messageId, parsedPayload.mobile);
+      } catch (err) {
+        console.warn(JSON.stringify({ message: 'dedupe_claim_failed', requestId: requestId, messageId: parsedPayload.messageId, error: err.message }));
+      }
+      if (firstDelivery) claimedMessageId = parsedPayload.messageId;
+      if (!firstDelivery) {
+        console.log(JSON.stringify({
+          message: '⏭️ Duplicate delivery - already processed',
+          requestId: requestId,
+          mobile: parsedPayload.mobile,
+          messageId: parsedPayload.messageId
+        }));
+        return {
+          statusCode: 200,
+          body: '',
+          headers: {
+            'Content-Type': 'text/plain'
+          }
+        };
+      }
+    }
     
     // Prepare DynamoDB item
     // Convert timestamp to Number for the Sort Key
@@ -698,6 +948,27 @@ exports.handler = async (event) => {
       }));
     }
     
+    // Consent: a user who opted out (or just sent STOP / START) is not queued for an automated reply.
+    // Gupshup has no sender here, so keywords are recorded without a confirmation message.
+    let consentBlocked = false;
+    if (USER_CONSENT_TABLE_NAME && !SKIP_AWS_CALLS && parsedPayload.mobile) {
+      try {
+        const consent = await applyInboundConsent(parsedPayload.mobile, parsedPayload.type === 'text' ? parsedPayload.messageText : '');
+        consentBlocked = consent.optedOut || !!consent.keyword;
+        if (consentBlocked) {
+          console.log(JSON.stringify({
+            message: '🚫 Consent: not queuing reply',
+            requestId: requestId,
+            mobile: parsedPayload.mobile,
+            keyword: consent.keyword,
+            optedOut: consent.optedOut
+          }));
+        }
+      } catch (err) {
+        console.warn(JSON.stringify({ message: 'consent_check_failed', requestId: requestId, mobile: parsedPayload.mobile, error: err.message }));
+      }
+    }
+
     const ignoreReply = await getGupshupIgnoreReply();
     // Send to SQS (skip if in local test mode or ignore-reply = true)
     if (ignoreReply) {
@@ -707,7 +978,7 @@ exports.handler = async (event) => {
         mobile: parsedPayload.mobile,
         type: parsedPayload.type
       }));
-    } else {
+    } else if (!consentBlocked) {
       console.log(JSON.stringify({
         message: '📤 Preparing SQS message',
         requestId: requestId,
@@ -716,7 +987,7 @@ exports.handler = async (event) => {
       }));
     }
 
-    if (!SKIP_AWS_CALLS && !ignoreReply) {
+    if (!SKIP_AWS_CALLS && !ignoreReply && !consentBlocked) {
       const sqsCommand = new SendMessageCommand({
         QueueUrl: INBOUND_QUEUE_URL,
         MessageBody: JSON.stringify(parsedPayload)
@@ -777,6 +1048,8 @@ exports.handler = async (event) => {
       processingTimeMs: processingTime,
       timestamp: new Date().toISOString()
     }));
+
+    if (claimedMessageId) await releaseInboundMessage(claimedMessageId, requestId);
     
     // Return error response (empty body as per Gupshup requirements)
     // Gupshup will retry if we return non-2xx status
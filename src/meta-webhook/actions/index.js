@@ -0,0 +1,101 @@
+/**
+ * Action registry for flowRunner. Each action is a definition object:
+ *   {
+ *     name: 'save_name',
+ *     aliases?: ['...'],                     // older names that behave the same
+ *     consumesInput: true,                   // true: the conversation waits on the node and the reply is passed in
+ *     writes: ['profile.name', 'stepData.name'],
+ *     sideEffects?: ['supportEscalation'],   // result fields the action can raise (see ctx.effects)
+ *     validate?(input, ctx) => value|null,   // consumesInput only: parsed value, null sends the retry message
+ *     run(ctx, value) => void|Promise<void>  // apply writes / side effects
+ *   }
+ * ctx: { input, profile, stepData, userProfile, state, node, flow, effects }.
+ * Side effects are set on ctx.effects (e.g. effects.supportEscalation = true); runFlow returns them with the result
+ * and meta-webhook acts on them (escalations).
+ * New actions: add a module exporting an array of definitions and list it in MODULES.
+ */
+const MODULES = [
+  require('./profile'),
+  require('./referral'),
+  require('./routing')
+];
+
+/** Side effects that hand the user to a human (runFlow sets shouldEscalate). */
+const ESCALATION_EFFECTS = ['supportEscalation', 'referralEscalation'];
+
+const registry = new Map();
+
+/**
+ * Add an action (and its aliases) to the registry.
+ * @param {object} def - Action definition (see file header)
+ */
+function registerAction(def) {
+  if (!def || typeof def.name !== 'string' || !def.name) throw new Error('Action needs a name');
+  if (typeof def.consumesInput !== 'boolean') throw new Error(`Action ${def.name}: consumesInput must be true or false`);
+  if (typeof def.run !== 'function') throw new Error(`Action ${def.name}: run must be a function`);
+  if (def.consumesInput && typeof def.validate !== 'function') throw new Error(`Action ${def.name}: input actions need validate`);
+  for (const name of [def.name, ...(def.aliases || [])]) {
+    if (registry.has(name)) throw new Error(`Action ${name} registered twice`);
+    registry.set(name, def);
+  }
+}
+
+for (const mod of MODULES) mod.forEach(registerAction);
+
+/**
+ * @param {string} name - node.action
+ * @returns {object|null} Action definition
+ */
+function getAction(name) {
+  return registry.get(name) || null;
+}
+
+/** Every registered action name (aliases included) that consumes / does not consume input. */
+function listActionNames(consumesInput) {
+  return [...registry.entries()].filter(([, def]) => def.consumesInput === consumesInput).map(([name]) => name);
+}
+
+/**
+ * Profile / stepData fields any action can write (for the flow validator's known variables and profile persistence).
+ * @param {'profile'|'stepData'} [scope] - Only fields written to this object
+ * @returns {string[]}
+ */
+function listWrittenFields(scope) {
+  const fields = new Set();
+  for (const def of new Set(registry.values())) {
+    for (const w of def.writes || []) {
+      const [where, field] = w.split('.');
+      if (!scope || where === scope) fields.add(field);
+    }
+  }
+  return [...fields];
+}
+
+/**
+ * Run one action node.
+ * @param {object} node - Action node ({ action, ... })
+ * @param {object} ctx - { input, profile, stepData, userProfile, state, flow, effects }
+ * @returns {Promise<boolean>} false when the action is unknown or its input was not accepted
+ */
+async function executeAction(node, ctx) {
+  const def = getAction(node.action);
+  if (!def) return false;
+  const actionCtx = { ...ctx, node };
+  let value;
+  if (def.consumesInput) {
+    if (!ctx.input) return false;
+    value = def.validate(ctx.input, actionCtx);
+    if (value == null) return false;
+  }
+  await def.run(actionCtx, value);
+  return true;
+}
+
+module.exports = {
+  registerAction,
+  getAction,
+  executeAction,
+  listActionNames,
+  listWrittenFields,
+  ESCALATION_EFFECTS
+};
@@ -0,0 +1,83 @@
+/**
+ * Actions that collect the user's own details from their reply (persisted to UserProfile by meta-webhook).
+ */
+const {
+  calculateAge,
+  normalizeDOB,
+  normalizeNameForDisplay,
+  extractName,
+  extractDOB,
+  extractCity,
+  isBangaloreFuzzy
+} = require('../utils/helpers');
+const { validateInput } = require('../utils/inputValidators');
+
+module.exports = [
+  {
+    name: 'save_name',
+    consumesInput: true,
+    writes: ['profile.name', 'stepData.name'],
+    validate: (input) => extractName(input),
+    run({ profile, stepData }, name) {
+      profile.name = stepData.name = name;
+    }
+  },
+  {
+    name: 'save_dob',
+    consumesInput: true,
+    writes: ['profile.dob', 'stepData.dob', 'profile.age', 'stepData.age'],
+    validate: (input) => extractDOB(input) || normalizeDOB(input.trim()) || null,
+    run({ profile, stepData }, dob) {
+      profile.dob = stepData.dob = dob;
+      const age = calculateAge(dob);
+      if (age !== null) profile.age = stepData.age = age;
+    }
+  },
+  {
+    name: 'save_city',
+    consumesInput: true,
+    writes: ['profile.city', 'stepData.city', 'profile.area', 'stepData.area'],
+    validate(input) {
+      const raw = extractCity(input) || input.trim();
+      return raw && raw.length >= 2 ? raw : null;
+    },
+    run({ profile, stepData }, raw) {
+      const bangalore = isBangaloreFuzzy(raw);
+      profile.city = stepData.city = bangalore ? 'Bengaluru' : normalizeNameForDisplay(raw);
+      // Area is asked again for Bengaluru
+      if (bangalore) profile.area = stepData.area = null;
+    }
+  },
+  {
+    name: 'save_area',
+    consumesInput: true,
+    writes: ['profile.area', 'stepData.area'],
+    validate: (input) => normalizeNameForDisplay(input.trim()) || null,
+    run({ profile, stepData }, area) {
+      profile.area = stepData.area = area;
+    }
+  },
+  {
+    name: 'save_email',
+    consumesInput: true,
+    writes: ['profile.email', 'stepData.email'],
+    // Same parsing as input nodes with "validator": "email"
+    validate: (input) => validateInput('email', input),
+    run({ profile, stepData }, email) {
+      profile.email = stepData.email = email;
+    }
+  },
+  {
+    // Free-text interest ("music", "travel"); menus can route to it as well
+    name: 'save_interest',
+    consumesInput: true,
+    writes: ['profile.interest', 'stepData.interest'],
+    validate(input) {
+      const interest = input.trim().slice(0, 100);
+      return interest.length >= 2 ? interest : null;
+    },
+    run({ profile, stepData }, interest) {
+      profile.interest = stepData.interest = interest;
+    }
+  }
+];
@@ -0,0 +1,63 @@
+/**
+ * Referral actions: collect a friend's details, then hand them to the team as a Referral_Lead escalation.
+ */
+const {
+  normalizeNameForDisplay,
+  extractName,
+  extractCity,
+  isBangaloreFuzzy
+} = require('../utils/helpers');
+
+module.exports = [
+  {
+    name: 'save_referral_name',
+    consumesInput: true,
+    writes: ['stepData.referral_name'],
+    validate(input) {
+      const raw = extractName(input) || input.trim();
+      const name = raw ? normalizeNameForDisplay(raw) : '';
+      return name.length >= 2 ? name : null;
+    },
+    run({ stepData }, name) {
+      stepData.referral_name = name;
+    }
+  },
+  {
+    name: 'save_referral_mobile',
+    consumesInput: true,
+    writes: ['stepData.referral_mobile'],
+    validate(input) {
+      const m = String(input).replace(/\D/g, '');
+      return m.length >= 10 ? m : null;
+    },
+    run({ stepData }, mobile) {
+      stepData.referral_mobile = mobile;
+    }
+  },
+  {
+    name: 'save_referral_city',
+    consumesInput: true,
+    writes: ['stepData.referral_city'],
+    validate(input) {
+      const raw = extractCity(input) || input.trim();
+      return raw ? (isBangaloreFuzzy(raw) ? 'Bengaluru' : normalizeNameForDisplay(raw)) || null : null;
+    },
+    run({ stepData }, city) {
+      stepData.referral_city = city;
+    }
+  },
+  {
+    name: 'tag_referral_lead',
+    aliases: ['referral_end'],
+    consumesInput: false,
+    writes: [],
+    sideEffects: ['referralEscalation'],
+    run({ stepData, effects }) {
+      effects.referralEscalation = {
+        referralName: stepData.referral_name,
+        referralMobile: stepData.referral_mobile,
+        referralCity: stepData.referral_city
+      };
+    }
+  }
+];
@@ -0,0 +1,34 @@
+/**
+ * Actions that route the conversation rather than collect data: human support, activation links, end.
+ * Their node's messageKey (e.g. the community link) is what the user sees.
+ */
+module.exports = [
+  {
+    name: 'escalate_support',
+    aliases: ['trigger_support_flow'],
+    consumesInput: false,
+    writes: [],
+    sideEffects: ['supportEscalation'],
+    run({ effects }) {
+      effects.supportEscalation = true;
+    }
+  },
+  {
+    name: 'trigger_activation_meetups',
+    consumesInput: false,
+    writes: [],
+    run() {}
+  },
+  {
+    name: 'trigger_activation_holidays',
+    consumesInput: false,
+    writes: [],
+    run() {}
+  },
+  {
+    name: 'end_conversation',
+    consumesInput: false,
+    writes: [],
+    run() {}
+  }
+];
@@ -3,12 +3,12 @@ const { v4: uuidv4 } = require('uuid');
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const { DynamoDBDocumentClient, PutCommand, GetCommand } = require('@aws-sdk/lib-dynamodb');
 const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
-const { SSMClient, GetParameterCommand } = require('@aws-sdk/client-ssm');
+const { SQSClient, SendMessageBatchCommand } = require('@aws-sdk/client-sqs');
 
 // AWS clients
 const dynamoClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
 const s3Client = new S3Client({});
-const ssmClient = new SSMClient({});
+const sqsClient = new SQSClient({});
 
 // Env
 const EVENT_TABLE = process.env.META_WEBHOOK_EVENT_TABLE_NAME;
@@ -17,29 +17,77 @@ const VERIFY_TOKEN = process.env.META_WEBHOOK_VERIFY_TOKEN || '';
 const APP_SECRET = process.env.META_APP_SECRET || '';
 const SIGNATURE_REQUIRED = process.env.META_SIGNATURE_REQUIRED === 'true' || process.env.META_SIGNATURE_REQUIRED === '1';
 const WEBHOOK_TTL_DAYS = Number(process.env.WEBHOOK_TTL_DAYS || '90') || 90;
-const META_PAT_SSM_NAME = process.env.META_PAGE_ACCESS_TOKEN_SSM_NAME || '';
-const META_PAT_ENV = process.env.META_PAGE_ACCESS_TOKEN || '';
+// UserConversationState ttl: idle conversations are dropped this long after the last message
+const CONVERSATION_TTL_DAYS = Number(process.env.CONVERSATION_TTL_DAYS || '90') || 90;
 const MESSAGE_LOG_TABLE = process.env.MESSAGE_LOG_TABLE_NAME || '';
 const BOT_CONFIG_TABLE = process.env.BOT_CONFIG_TABLE_NAME || '';
-const META_GRAPH_VERSION = process.env.META_GRAPH_API_VERSION || 'v25.0';
 const META_PHONE_NUMBER_ID = process.env.META_PHONE_NUMBER_ID || '';
 const USER_PROFILE_TABLE = process.env.USER_PROFILE_TABLE_NAME || '';
 const CONVERSATION_STATE_TABLE = process.env.CONVERSATION_STATE_TABLE_NAME || '';
 const ESCALATION_TABLE = process.env.ESCALATION_TABLE_NAME || '';
+const CONSENT_TABLE = process.env.USER_CONSENT_TABLE_NAME || '';
 const DEFAULT_FLOW_ID = process.env.DEFAULT_FLOW_ID || 'marzi-lead';
+const DEDUPE_TABLE = process.env.DEDUPE_TABLE_NAME || '';
+const DEDUPE_TTL_HOURS = Number(process.env.DEDUPE_TTL_HOURS || '168') || 168;
+// FIFO queue for worker.js; without it messages are processed inside the webhook request (local runs)
+const INBOUND_QUEUE_URL = process.env.META_INBOUND_QUEUE_URL || '';
+// SendMessageBatch limit
+const QUEUE_BATCH_SIZE = 10;
 
 const { loadFlow } = require('./flowLoader');
-const { runFlow } = require('./flowRunner');
+const { runFlow, buildTemplateMessage, getMessageText, listInputFields, LOCALE_FIELD, MAX_NODE_DELAY_MS } = require('./flowRunner');
+const { getRoutingConfig, selectFlow, isConversationEnded } = require('./flowRouter');
+const { sendFlowMessage, sendTypingIndicator, downloadMetaMedia } = require('./utils/meta');
+const { isRetryableSend, handOffFailedSend } = require('./sendRetry');
+const { listWrittenFields } = require('./actions');
 const {
   getUserProfile,
   getLatestConversationState,
   saveConversationState,
   saveUserProfile,
   createEscalation,
-  hasPendingEscalationForUser
+  hasPendingEscalationForUser,
+  getConsent,
+  setConsent,
+  recordImplicitOptIn,
+  claimInboundMessage,
+  releaseInboundMessage,
+  applyMessageStatus,
+  DELIVERY_STATUS_RANK
 } = require('./utils/dynamodb');
+const { getConsentKeyword, detectScriptLocale } = require('./utils/helpers');
 
 const AGENT_COOLDOWN_MS = 60 * 60 * 1000; // 1 hour
+// Replies sent outside the flow's nodes, as flow message keys (in the user's language) with the English text used
+// when the flow is missing or lacks the key: STOP / START confirmations and the hand-off reply when the flow can't run
+const SYSTEM_REPLIES = {
+  consent_opted_out: "You have been unsubscribed and won't receive any more messages from us. Reply START anytime to subscribe again.",
+  consent_opted_in: "Welcome back! You're subscribed again. Send Hi to continue. 🙏",
+  handoff_ack: 'Got it. We will get back to you shortly.'
+};
+// UserProfile fields copied from conversation state after each step
+const PROFILE_FIELDS = listWrittenFields('profile');
+// Total pause per inbound message, so a chatty flow can't push the webhook towards its 30s timeout
+const MAX_TOTAL_DELAY_MS = 10000;
+// WhatsApp customer service window: free-form messages only within 24h of the user's last message
+const SESSION_WINDOW_MS = 24 * 60 * 60 * 1000;
+// Inbound media we copy to S3 (Meta's download URLs expire after minutes, media ids after 30 days)
+const INBOUND_MEDIA_TYPES = ['image', 'audio', 'document', 'video'];
+// Keeps a large document from eating the webhook's memory / 30s budget; larger files are logged with mediaId only
+const MEDIA_MAX_BYTES = Number(process.env.META_MEDIA_MAX_BYTES || String(25 * 1024 * 1024)) || 25 * 1024 * 1024;
+const MEDIA_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'audio/amr': 'amr',
+  'video/mp4': 'mp4',
+  'video/3gpp': '3gp',
+  'application/pdf': 'pdf'
+};
 
 function normalizeMobile(mobile) {
   const digits = String(mobile).replace(/\D/g, '');
@@ -65,32 +113,96 @@ async function isAgentCooldownActive(tableName, mobile) {
   }
 }
 
-let metaPatCached = null;
-let metaPatCacheTime = 0;
-const META_PAT_CACHE_MS = 5 * 60 * 1000; // 5 minutes
-
 /**
- * Get Meta Page Access Token (for sending messages). Prefers env for local; otherwise SSM SecureString.
- * @returns {Promise<string>} PAT or empty string if not configured
+ * Meta retries a delivery it did not see acknowledged; the message id is claimed before anything runs so a
+ * redelivery is not queued, logged, routed or answered again. The claim stays even if processing then fails (the
+ * queue retries and dead-letters it, and Meta must not make us send the replies twice); it is only released when
+ * queueing fails, so Meta's retry gets through. No dedupe table or a failed claim: process (better than dropping it).
+ * @returns {Promise<boolean>} false for a message already processed
  */
-async function getMetaPageAccessToken() {
-  if (META_PAT_ENV) return META_PAT_ENV;
-  if (!META_PAT_SSM_NAME) return '';
-  if (metaPatCached && Date.now() - metaPatCacheTime < META_PAT_CACHE_MS) return metaPatCached;
+async function isFirstDelivery(ev, requestId) {
+  if (!DEDUPE_TABLE || !ev.messageId) return true;
   try {
-    const out = await ssmClient.send(new GetParameterCommand({
-      Name: META_PAT_SSM_NAME,
-      WithDecryption: true
+    if (await claimInboundMessage(DEDUPE_TABLE, `meta#${ev.messageId}`, { ttlHours: DEDUPE_TTL_HOURS, mobile: ev.from })) return true;
+    console.log(JSON.stringify({ event: 'meta_duplicate_delivery_skipped', requestId, mobile: ev.from, messageId: ev.messageId }));
+    return false;
+  } catch (err) {
+    console.warn(JSON.stringify({ event: 'meta_dedupe_claim_failed', requestId, messageId: ev.messageId, error: err.message }));
+    return true;
+  }
+}
+
+/**
+ * Queue message events for worker.js (FIFO, grouped by mobile so each user's messages run in order).
+ * Throws if any message could not be queued.
+ * @param {Array<object>} messageEvents - From parseMetaMessageEvents
+ * @param {{ requestId: string, eventId: string, receivedAt: number }} meta
+ */
+async function enqueueMessageEvents(messageEvents, meta) {
+  for (let i = 0; i < messageEvents.length; i += QUEUE_BATCH_SIZE) {
+    const batch = messageEvents.slice(i, i + QUEUE_BATCH_SIZE);
+    const res = await sqsClient.send(new SendMessageBatchCommand({
+      QueueUrl: INBOUND_QUEUE_URL,
+      Entries: batch.map((ev, j) => ({
+        Id: String(j),
+        MessageBody: JSON.stringify({ source: 'meta', ...meta, event: ev }),
+        MessageGroupId: ev.from,
+        MessageDeduplicationId: `${ev.messageId || `${meta.eventId}_${i + j}`}${meta.replayId ? `_${meta.replayId}` : ''}`
+      }))
     }));
-    const value = out.Parameter?.Value || '';
-    if (value) {
-      metaPatCached = value;
-      metaPatCacheTime = Date.now();
+    if (res.Failed && res.Failed.length) {
+      throw new Error(`${res.Failed.length} of ${batch.length} messages not queued: ${res.Failed[0].Message || res.Failed[0].Code}`);
+    }
+  }
+}
+
+/**
+ * Hand message events on: dedupe claim, then the worker queue (or processMessageEvent here without a queue).
+ * Throws when queueing fails, or when processing here fails, after releasing the claims of the events not handled
+ * (so Meta's redelivery is not dropped as a duplicate).
+ * @param {Array<object>} messageEvents - From parseMetaMessageEvents
+ * @param {{ requestId: string, eventId: string, receivedAt: number, replayId?: string }} meta - replayId (eventReplay.js)
+ *   skips the dedupe claim and gives the queue a fresh deduplication id
+ * @returns {Promise<{ dispatched: number, duplicates: number, queued: boolean }>}
+ */
+async function dispatchMessageEvents(messageEvents, meta) {
+  const { requestId, eventId } = meta;
+  const fresh = [];
+  for (const ev of messageEvents) {
+    if (meta.replayId || (await isFirstDelivery(ev, requestId))) fresh.push(ev);
+  }
+  if (INBOUND_QUEUE_URL) {
+    try {
+      await enqueueMessageEvents(fresh, meta);
+    } catch (err) {
+      console.error(JSON.stringify({ event: 'meta_webhook_queue_error', requestId, eventId, count: fresh.length, error: err.message }));
+      if (!meta.replayId) await releaseClaims(fresh, requestId);
+      throw err;
+    }
+    if (fresh.length) console.log(JSON.stringify({ event: 'meta_webhook_queued', requestId, eventId, count: fresh.length }));
+  } else {
+    for (let i = 0; i < fresh.length; i++) {
+      try {
+        await processMessageEvent(fresh[i], requestId);
+      } catch (err) {
+        console.error(JSON.stringify({ event: 'meta_webhook_process_error', requestId, eventId, messageId: fresh[i].messageId, remaining: fresh.length - i, error: err.message }));
+        if (!meta.replayId) await releaseClaims(fresh.slice(i), requestId);
+        throw err;
+      }
+    }
+  }
+  return { dispatched: fresh.length, duplicates: messageEvents.length - fresh.length, queued: !!INBOUND_QUEUE_URL };
+}
+
+async function releaseClaims(messageEvents, requestId) {
+  if (!DEDUPE_TABLE) return;
+  for (const ev of messageEvents) {
+    if (!ev.messageId) continue;
+    try {
+      await releaseInboundMessage(DEDUPE_TABLE, `meta#${ev.messageId}`);
+    } catch (err) {
+      console.warn(JSON.stringify({ event: 'meta_dedupe_release_failed', requestId, messageId: ev.messageId, error: err.message }));
     }
-    return value;
-  } catch (err) {
-    console.warn('getMetaPageAccessToken SSM failed:', err.message);
-    return '';
   }
 }
 
@@ -136,7 +248,10 @@ async function getGlobalBotEnabled() {
  * Parse Meta webhook payload into an array of message events (one per user message).
  * Memory: returns minimal objects; no large string duplication.
  * @param {object} parsed - JSON-parsed webhook body
- * @returns {Array<{ from: string, messageId: string, timestamp: number, type: string, body: string, phoneNumberId: string }>}
+ * Button / list replies also carry replyId (the option id we sent) so the menu can match by id instead of title.
+ * Media messages carry media { id, mimeType, ... } and their caption as body; location and contacts are
+ * kept structured and summarised into body so the dashboard and flow still see text.
+ * @returns {Array<{ from: string, messageId: string, timestamp: number, type: string, body: string, replyId?: string, phoneNumberId: string, referral?: object, media?: object, location?: object, contacts?: object[] }>}
  */
 function parseMetaMessageEvents(parsed) {
   const out = [];
@@ -157,22 +272,138 @@ function parseMetaMessageEvents(parsed) {
         const timestamp = typeof ts === 'string' ? parseInt(ts, 10) : Number(ts) || Date.now();
         const type = String(msg.type || 'text');
         let body = '';
+        let replyId = null;
         if (type === 'text' && msg.text && typeof msg.text.body === 'string') {
           body = msg.text.body;
         } else if (msg.button?.text) {
           body = msg.button.text;
+          replyId = msg.button.payload || null;
         } else if (msg.interactive?.type === 'button_reply' && msg.interactive.button_reply?.title) {
           body = msg.interactive.button_reply.title;
+          replyId = msg.interactive.button_reply.id || null;
         } else if (msg.interactive?.type === 'list_reply' && msg.interactive.list_reply?.title) {
           body = msg.interactive.list_reply.title;
+          replyId = msg.interactive.list_reply.id || null;
         }
-        out.push({ from, messageId, timestamp, type, body, phoneNumberId });
+        let media = null;
+        let location = null;
+        let contacts = null;
+        if (INBOUND_MEDIA_TYPES.includes(type) && msg[type]?.id) {
+          const m = msg[type];
+          media = {
+            id: String(m.id),
+            ...(m.mime_type && { mimeType: String(m.mime_type) }),
+            ...(m.sha256 && { sha256: String(m.sha256) }),
+            ...(m.filename && { filename: String(m.filename) }),
+            ...(m.voice && { voice: true })
+          };
+          body = typeof m.caption === 'string' ? m.caption : '';
+        } else if (type === 'location' && msg.location) {
+          const l = msg.location;
+          location = {
+            latitude: Number(l.latitude),
+            longitude: Number(l.longitude),
+            ...(l.name && { name: String(l.name) }),
+            ...(l.address && { address: String(l.address) })
+          };
+          body = [l.name, l.address].filter(Boolean).join(', ') || `${l.latitude},${l.longitude}`;
+        } else if (type === 'contacts' && Array.isArray(msg.contacts)) {
+          contacts = msg.contacts.slice(0, 10).map((c) => ({
+            name: String(c.name?.formatted_name || c.name?.first_name || ''),
+            phones: (c.phones || []).map((p) => String(p.wa_id || p.phone || '')).filter(Boolean)
+          }));
+          body = contacts.map((c) => [c.name, ...c.phones].filter(Boolean).join(' ')).join('; ');
+        }
+        // Click-to-WhatsApp ads attach a referral to the first message; used for campaign routing
+        const r = msg.referral;
+        const referral = r
+          ? {
+            ...(r.source_id && { sourceId: String(r.source_id) }),
+            ...(r.source_type && { sourceType: String(r.source_type) }),
+            ...(r.source_url && { sourceUrl: String(r.source_url) }),
+            ...(r.headline && { headline: String(r.headline) }),
+            ...(r.ctwa_clid && { ctwaClid: String(r.ctwa_clid) })
+          }
+          : null;
+        out.push({
+          from,
+          messageId,
+          timestamp,
+          type,
+          body,
+          ...(replyId && { replyId: String(replyId) }),
+          phoneNumberId,
+          ...(referral && { referral }),
+          ...(media && { media }),
+          ...(location && { location }),
+          ...(contacts && { contacts })
+        });
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Parse the delivery statuses of a Meta webhook payload (replies we sent: sent, delivered, read, failed).
+ * Other statuses (e.g. deleted) are skipped.
+ * @param {object} parsed - JSON-parsed webhook body
+ * @returns {Array<{ metaMessageId: string, status: string, timestamp: number, recipient: string, errors?: Array<{ code: number, title: string, message?: string, details?: string }> }>}
+ */
+function parseMetaStatusEvents(parsed) {
+  const out = [];
+  if (!parsed || !Array.isArray(parsed.entry)) return out;
+  for (const entry of parsed.entry) {
+    for (const change of Array.isArray(entry.changes) ? entry.changes : []) {
+      const statuses = change.value?.statuses;
+      if (!Array.isArray(statuses)) continue;
+      for (const st of statuses) {
+        const status = String(st.status || '');
+        if (!st.id || !DELIVERY_STATUS_RANK[status]) continue;
+        const ts = Number(st.timestamp);
+        const errors = Array.isArray(st.errors)
+          ? st.errors.slice(0, 5).map((e) => ({
+            code: Number(e.code) || 0,
+            title: String(e.title || ''),
+            ...(e.message && { message: String(e.message) }),
+            ...(e.error_data?.details && { details: String(e.error_data.details) })
+          }))
+          : [];
+        out.push({
+          metaMessageId: String(st.id),
+          status,
+          timestamp: ts ? ts * 1000 : Date.now(),
+          recipient: String(st.recipient_id || ''),
+          ...(errors.length && { errors })
+        });
       }
     }
   }
   return out;
 }
 
+/**
+ * Record delivery statuses on their outbound log items. Never throws: a status that could not be stored is logged
+ * (Meta does not redeliver an acknowledged webhook, so it is lost, which only affects the dashboard rates).
+ * @returns {Promise<object>} Count per outcome
+ */
+async function applyStatusEvents(statusEvents, requestId) {
+  const counts = { recorded: 0, duplicate: 0, unmatched: 0, error: 0 };
+  if (!MESSAGE_LOG_TABLE) return counts;
+  for (const st of statusEvents) {
+    try {
+      counts[await applyMessageStatus(MESSAGE_LOG_TABLE, st)]++;
+    } catch (err) {
+      counts.error++;
+      console.error(JSON.stringify({ event: 'meta_status_error', requestId, metaMessageId: st.metaMessageId, status: st.status, error: err.message }));
+    }
+    if (st.status === 'failed') {
+      console.warn(JSON.stringify({ event: 'meta_message_failed', requestId, metaMessageId: st.metaMessageId, recipient: st.recipient, errors: st.errors || [] }));
+    }
+  }
+  return counts;
+}
+
 /**
  * Save one message to WhatsAppMessageLog. Schema: PK=mobile, SK=timestamp; GSI conversationId-timestamp.
  * @param {object} item - { mobile, timestamp, conversationId, direction, ... }
@@ -191,42 +422,142 @@ async function saveMessageToLog(item) {
 }
 
 /**
- * Send a text message via Meta WhatsApp Cloud API (Graph API).
- * @param {string} phoneNumberId - From webhook metadata or env
- * @param {string} to - E.164 without + (e.g. 919876543210)
- * @param {string} body - Plain text body
- * @returns {Promise<{ success: boolean, metaMessageId?: string, error?: string }>}
+ * Copy an inbound media file from Meta to S3: media/{yyyy}/{mm}/{dd}/{mobile}/{messageId}.{ext}.
+ * Never throws; on failure the message is still logged with its mediaId.
+ * @param {{ from: string, messageId: string, media: { id: string, mimeType?: string, filename?: string } }} ev
+ * @param {string} requestId
+ * @returns {Promise<{ mediaS3Key?: string, mimeType?: string, mediaBytes?: number, mediaError?: string }>}
  */
-async function sendMetaWhatsAppText(phoneNumberId, to, body) {
-  const pid = phoneNumberId || META_PHONE_NUMBER_ID;
-  if (!pid || !to || body == null) {
-    return { success: false, error: 'missing phoneNumberId, to, or body' };
-  }
-  const token = await getMetaPageAccessToken();
-  if (!token) return { success: false, error: 'no access token' };
-  const url = `https://graph.facebook.com/${META_GRAPH_VERSION}/${pid}/messages`;
-  const payload = {
-    messaging_product: 'whatsapp',
-    recipient_type: 'individual',
-    to: to.replace(/\D/g, '').slice(-15),
-    type: 'text',
-    text: { preview_url: false, body: String(body).slice(0, 4096) }
-  };
+async function captureInboundMedia(ev, requestId) {
+  if (!S3_BUCKET) return { mimeType: ev.media.mimeType };
+  const dl = await downloadMetaMedia(ev.media.id, { maxBytes: MEDIA_MAX_BYTES });
+  const mimeType = (dl.mimeType || ev.media.mimeType || '').split(';')[0].trim() || undefined;
+  if (!dl.success) {
+    console.warn(JSON.stringify({ event: 'meta_media_download_failed', requestId, mobile: ev.from, mediaId: ev.media.id, error: dl.error }));
+    return { mimeType, mediaError: dl.error };
+  }
+  const d = new Date();
+  const yyyy = d.getUTCFullYear();
+  const mm = String(d.getUTCMonth() + 1).padStart(2, '0');
+  const dd = String(d.getUTCDate()).padStart(2, '0');
+  const fromName = (ev.media.filename || '').match(/\.([A-Za-z0-9]{1,8})$/);
+  const ext = MEDIA_EXTENSIONS[mimeType] || (fromName && fromName[1].toLowerCase()) || 'bin';
+  const key = `media/${yyyy}/${mm}/${dd}/${ev.from}/${ev.messageId.replace(/[^A-Za-z0-9._=-]/g, '_')}.${ext}`;
   try {
-    const res = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
-      body: JSON.stringify(payload)
+    await s3Client.send(new PutObjectCommand({
+      Bucket: S3_BUCKET,
+      Key: key,
+      Body: dl.body,
+      ContentType: mimeType || 'application/octet-stream',
+      ...(ev.media.filename && { ContentDisposition: `inline; filename="${ev.media.filename.replace(/["\\\r\n]/g, '_')}"` })
+    }));
+  } catch (e) {
+    console.error(JSON.stringify({ event: 'meta_media_s3_error', requestId, bucket: S3_BUCKET, key, error: e.message }));
+    return { mimeType, mediaError: e.message };
+  }
+  console.log(JSON.stringify({ event: 'meta_media_stored', requestId, mobile: ev.from, mediaId: ev.media.id, key, bytes: dl.body.length }));
+  return { mediaS3Key: key, mimeType, mediaBytes: dl.body.length };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Send flow output in order, one Graph call per message, each logged with its own metaMessageId.
+ * Log timestamps (sort key) are strictly increasing so messages sent within the same ms don't overwrite each other.
+ * Stops at the first failed send so later messages never arrive without the earlier ones. A retryable failure
+ * hands the failed message and the rest (logged as 'queued') to sendRetry.js; a permanent one drops the rest.
+ * When the last inbound is older than 24h (e.g. a webhook Meta retried late), Meta rejects free-form messages:
+ * only the flow's template messages are sent, or else the flow's fallbackTemplate once.
+ * @param {Array<{ type: string, body: string, delayMs?: number, typing?: boolean }>} replies - From runFlow
+ * @param {object} ctx - { phoneNumberId, mobile, inboundMessageId, requestId, lastInboundAt?, fallbackTemplate?, logFields: { conversationId, flowId, flowStep } }
+ * @returns {Promise<number>} Number of messages sent
+ */
+async function deliverReplies(replies, ctx) {
+  const { phoneNumberId, mobile, inboundMessageId, requestId, logFields } = ctx;
+  let messages = replies;
+  if (ctx.lastInboundAt && Date.now() - ctx.lastInboundAt >= SESSION_WINDOW_MS) {
+    const templates = replies.filter((m) => m.type === 'template');
+    const fallback = templates.length === 0 && ctx.fallbackTemplate ? [{ ...ctx.fallbackTemplate, sessionFallback: true }] : [];
+    console.log(JSON.stringify({
+      event: 'session_window_closed',
+      requestId,
+      mobile,
+      lastInboundAt: ctx.lastInboundAt,
+      dropped: replies.length - templates.length,
+      fallbackTemplate: fallback.length ? fallback[0].template.name : null
+    }));
+    messages = templates.length ? templates : fallback;
+  }
+  let lastTimestamp = 0;
+  let totalDelay = 0;
+  const nextTimestamp = () => {
+    lastTimestamp = Math.max(Date.now(), lastTimestamp + 1);
+    return lastTimestamp;
+  };
+  const logItem = (msg, timestamp) => ({
+    mobile,
+    timestamp,
+    ...logFields,
+    direction: 'outbound',
+    source: 'meta',
+    type: msg.type,
+    messageText: msg.body,
+    ...(msg.type === 'interactive' && { interactive: { render: msg.render, options: msg.options } }),
+    ...(msg.type === 'template' && { templateName: msg.template.name, templateLanguage: msg.template.language }),
+    ...(msg.media && { mediaUrl: msg.media.url, mediaId: msg.media.id, mediaFilename: msg.media.filename }),
+    ...(msg.sessionFallback && { sessionFallback: true }),
+    waNumber: mobile
+  });
+  for (let i = 0; i < messages.length; i++) {
+    const msg = messages[i];
+    const delayMs = Math.min(Number(msg.delayMs) || 0, MAX_NODE_DELAY_MS, MAX_TOTAL_DELAY_MS - totalDelay);
+    if (delayMs > 0) {
+      if (msg.typing) await sendTypingIndicator(phoneNumberId, inboundMessageId);
+      await sleep(delayMs);
+      totalDelay += delayMs;
+    }
+    const sendResult = await sendFlowMessage(phoneNumberId, mobile, msg);
+    if (!sendResult.success) {
+      console.warn(JSON.stringify({
+        event: 'meta_send_failed',
+        requestId,
+        mobile,
+        index: i,
+        of: messages.length,
+        error: sendResult.error,
+        errorCode: sendResult.errorCode,
+        errorClass: sendResult.errorClass
+      }));
+    }
+    const timestamp = nextTimestamp();
+    const retry = !sendResult.success && isRetryableSend(sendResult);
+    await saveMessageToLog({
+      ...logItem(msg, timestamp),
+      metaMessageId: sendResult.metaMessageId || null,
+      ...(!sendResult.success && {
+        sendError: sendResult.error,
+        sendErrorCode: sendResult.errorCode,
+        sendStatus: retry ? 'retrying' : 'failed',
+        sendAttempts: 1,
+        ...(!retry && { sendFailedReason: 'permanent' })
+      })
     });
-    const data = await res.json();
-    if (!res.ok) {
-      return { success: false, error: data.error?.message || res.statusText, metaMessageId: null };
+    if (!sendResult.success) {
+      if (retry) {
+        const entries = [{ message: msg, logKey: { mobile, timestamp } }];
+        for (const next of messages.slice(i + 1)) {
+          const queuedAt = nextTimestamp();
+          await saveMessageToLog({ ...logItem(next, queuedAt), sendStatus: 'queued' });
+          entries.push({ message: next, logKey: { mobile, timestamp: queuedAt } });
+        }
+        await handOffFailedSend({ mobile, phoneNumberId, inboundAt: ctx.lastInboundAt, requestId, entries }, sendResult);
+      } else if (i < messages.length - 1) {
+        console.warn(JSON.stringify({ event: 'meta_send_remaining_skipped', requestId, mobile, skipped: messages.length - i - 1 }));
+      }
+      return i;
     }
-    const metaMessageId = data.messages?.[0]?.id || null;
-    return { success: true, metaMessageId };
-  } catch (err) {
-    return { success: false, error: err.message, metaMessageId: null };
   }
+  return messages.length;
 }
 
 const corsHeaders = {
@@ -451,7 +782,7 @@ async function handlePost(event) {
   );
 
   // -------------------------------------------------------------------------
-  // Message flow: parse -> save inbound -> (if bot enabled) reply -> save outbound
+  // Message flow: parse -> dedupe -> queue for worker.js (or, without a queue, processMessageEvent here) -> statuses
   // -------------------------------------------------------------------------
   const messageEvents = parseMetaMessageEvents(parsed);
   const hasMessages = parsed?.entry?.some(
@@ -470,149 +801,272 @@ async function handlePost(event) {
       entryCount: parsed?.entry?.length ?? 0
     })
   );
-  for (const ev of messageEvents) {
-    const mobile = ev.from;
-    const conversationId = `conv_${mobile}`;
-    const now = Date.now();
-
-    const botEnabled = await getGlobalBotEnabled();
-    let outboundMetaMessageId = null;
-    let replyBody = '';
-    let flowStepAfterReply = null;
-    const phoneNumberId = ev.phoneNumberId || META_PHONE_NUMBER_ID;
-    const flow = await loadFlow(DEFAULT_FLOW_ID);
-    const userProfile = USER_PROFILE_TABLE ? await getUserProfile(USER_PROFILE_TABLE, mobile) : null;
-    let state = CONVERSATION_STATE_TABLE ? await getLatestConversationState(CONVERSATION_STATE_TABLE, mobile) : null;
-
-    const inboundItem = {
-      mobile,
-      timestamp: ev.timestamp,
-      conversationId,
-      direction: 'inbound',
-      source: 'meta',
-      type: ev.type,
-      messageText: ev.body,
-      messageId: ev.messageId,
-      waNumber: mobile,
-      flowId: DEFAULT_FLOW_ID,
-      flowStep: state?.currentStep || state?.flowState || (flow?.start || 'start')
-    };
-    await saveMessageToLog(inboundItem);
+  try {
+    await dispatchMessageEvents(messageEvents, { requestId, eventId, receivedAt });
+  } catch {
+    // Not acknowledged: Meta delivers again, and the released claims let that delivery through
+    return respond(500, { success: false, error: INBOUND_QUEUE_URL ? 'Could not queue messages' : 'Could not process messages' });
+  }
 
-    const agentHandling = ESCALATION_TABLE ? await hasPendingEscalationForUser(ESCALATION_TABLE, mobile) : false;
-    const agentCooldown = BOT_CONFIG_TABLE ? await isAgentCooldownActive(BOT_CONFIG_TABLE, mobile) : false;
-    const skipBot = agentHandling || agentCooldown;
-    if (skipBot) {
-      console.log(JSON.stringify({ event: 'skip_bot', requestId, mobile, reason: agentHandling ? 'pending_escalation' : 'agent_cooldown_1h' }));
-    }
+  // Delivery statuses: sent / delivered / read / failed on the outbound log items
+  const statusEvents = hasStatuses ? parseMetaStatusEvents(parsed) : [];
+  if (statusEvents.length) {
+    const counts = await applyStatusEvents(statusEvents, requestId);
+    console.log(JSON.stringify({ event: 'meta_statuses_applied', requestId, eventId, count: statusEvents.length, ...counts }));
+  }
 
-    if (botEnabled && phoneNumberId && !skipBot) {
-      if (!state && flow) {
-        state = {
-          mobile,
-          conversationId: `conv_${mobile}_${now}`,
-          currentStep: flow.start || 'start',
-          flowState: flow.start || 'start',
-          userProfile: userProfile ? { name: userProfile.name, dob: userProfile.dob, city: userProfile.city, age: userProfile.age, mobile } : {},
-          stepData: {},
-          lastInteraction: now,
-          createdAt: now
-        };
-      }
-      if (flow && state) {
-        try {
-          if (userProfile && (userProfile.name || userProfile.dob || userProfile.city)) {
-            state.userProfile = { ...(state.userProfile || {}), mobile, ...userProfile };
+  return respond(200, { success: true, eventId });
+}
+
+/**
+ * Pick the flow for an inbound message: entry rules (keyword / campaign) win, otherwise stay in the unfinished flow,
+ * otherwise number / CRM rules. A rule pointing at a missing flow falls back to the default flow.
+ * @param {object} ev - From parseMetaMessageEvents
+ * @param {object|null} state - Latest conversation state
+ * @param {object|null} userProfile - CRM profile
+ * @param {string} requestId
+ * @returns {Promise<{ flowId: string, flow: object|null, route: object, activeFlowId: string|null, startsNewConversation: boolean }>}
+ */
+async function routeMessageEvent(ev, state, userProfile, requestId) {
+  const mobile = ev.from;
+  const activeFlowId = state ? (state.flowId || DEFAULT_FLOW_ID) : null;
+  const activeFlow = activeFlowId ? await loadFlow(activeFlowId) : null;
+  const route = selectFlow({
+    config: await getRoutingConfig(),
+    activeFlowId: activeFlow && !isConversationEnded(activeFlow, state) ? activeFlowId : null,
+    text: ev.body,
+    referral: ev.referral,
+    phoneNumberId: ev.phoneNumberId || META_PHONE_NUMBER_ID,
+    userProfile,
+    defaultFlowId: DEFAULT_FLOW_ID
+  });
+  let flowId = route.flowId;
+  let flow = route.flowId === activeFlowId ? activeFlow : await loadFlow(route.flowId);
+  if (!flow && flowId !== DEFAULT_FLOW_ID) {
+    console.warn(JSON.stringify({ event: 'flow_route_target_missing', requestId, mobile, flowId }));
+    flowId = DEFAULT_FLOW_ID;
+    flow = await loadFlow(DEFAULT_FLOW_ID);
+  }
+  const startsNewConversation = route.newConversation || flowId !== activeFlowId;
+  console.log(JSON.stringify({
+    event: 'flow_routed',
+    requestId,
+    mobile,
+    flowId,
+    reason: route.reason,
+    ruleId: route.ruleId,
+    previousFlowId: activeFlowId,
+    newConversation: startsNewConversation
+  }));
+  return { flowId, flow, route, activeFlowId, startsNewConversation };
+}
+
+/**
+ * Text of a SYSTEM_REPLIES key in the user's language, from the flow's catalogs (getMessageText), else the English.
+ * @param {object|null} flow
+ * @param {string} key - Key of SYSTEM_REPLIES
+ * @param {string|null} language - The user's language, if known
+ * @returns {string}
+ */
+function systemReply(flow, key, language) {
+  return (flow && getMessageText(flow, key, { [LOCALE_FIELD]: language })) || SYSTEM_REPLIES[key];
+}
+
+/**
+ * Handle one inbound message: save inbound -> consent -> (if bot enabled) run the flow -> reply -> save outbound.
+ * Runs in worker.js from the queue, or inside the webhook request when no queue is configured.
+ * @param {object} ev - From parseMetaMessageEvents
+ * @param {string} requestId - For the logs (the webhook request that received it)
+ */
+async function processMessageEvent(ev, requestId) {
+  const mobile = ev.from;
+  const conversationId = `conv_${mobile}`;
+  const now = Date.now();
+
+  const botEnabled = await getGlobalBotEnabled();
+  let replies = [];
+  let fallbackTemplate = null;
+  // Meta sends seconds; parseMetaMessageEvents falls back to Date.now() (ms) when missing
+  const inboundAt = ev.timestamp < 1e12 ? ev.timestamp * 1000 : ev.timestamp;
+  let flowStepAfterReply = null;
+  const phoneNumberId = ev.phoneNumberId || META_PHONE_NUMBER_ID;
+  const userProfile = USER_PROFILE_TABLE ? await getUserProfile(USER_PROFILE_TABLE, mobile) : null;
+  let state = CONVERSATION_STATE_TABLE ? await getLatestConversationState(CONVERSATION_STATE_TABLE, mobile) : null;
+
+  const { flowId, flow, startsNewConversation } = await routeMessageEvent(ev, state, userProfile, requestId);
+
+  const inboundItem = {
+    mobile,
+    timestamp: ev.timestamp,
+    conversationId,
+    direction: 'inbound',
+    source: 'meta',
+    type: ev.type,
+    messageText: ev.body,
+    ...(ev.replyId && { replyId: ev.replyId }),
+    messageId: ev.messageId,
+    waNumber: mobile,
+    flowId,
+    flowStep: startsNewConversation ? (flow?.start || 'start') : (state?.currentStep || state?.flowState || (flow?.start || 'start')),
+    ...(ev.referral && { referral: ev.referral }),
+    ...(ev.location && { location: ev.location }),
+    ...(ev.contacts && { contacts: ev.contacts })
+  };
+  if (ev.media) {
+    const stored = await captureInboundMedia(ev, requestId);
+    Object.assign(inboundItem, {
+      mediaId: ev.media.id,
+      mediaFilename: ev.media.filename,
+      ...(ev.media.voice && { voice: true }),
+      ...stored
+    });
+  }
+  await saveMessageToLog(inboundItem);
+
+  // Language of the replies sent outside the flow: the saved one, else the script of this message ("बंद करो")
+  const language = state?.userProfile?.[LOCALE_FIELD] || userProfile?.[LOCALE_FIELD] || detectScriptLocale(ev.body);
+
+  // Consent: STOP / START are answered here, before agents and flows; opted-out users get no automated reply
+  const consent = CONSENT_TABLE ? await getConsent(CONSENT_TABLE, mobile) : null;
+  const optedOut = consent?.status === 'opted_out';
+  const consentKeyword = CONSENT_TABLE && ev.type === 'text' ? getConsentKeyword(ev.body) : null;
+  let consentReply = null;
+  if (consentKeyword === 'opt_out') {
+    await setConsent(CONSENT_TABLE, mobile, { status: 'opted_out', source: 'webhook_keyword', keyword: ev.body.trim() });
+    consentReply = systemReply(flow, 'consent_opted_out', language);
+  } else if (consentKeyword === 'opt_in' && optedOut) {
+    await setConsent(CONSENT_TABLE, mobile, { status: 'opted_in', source: 'webhook_keyword', keyword: ev.body.trim() });
+    consentReply = systemReply(flow, 'consent_opted_in', language);
+  } else if (CONSENT_TABLE && !consent) {
+    await recordImplicitOptIn(CONSENT_TABLE, mobile, 'inbound_message');
+  }
+  if (consentReply) {
+    console.log(JSON.stringify({ event: 'consent_keyword', requestId, mobile, consent: consentKeyword }));
+  }
+
+  const agentHandling = ESCALATION_TABLE ? await hasPendingEscalationForUser(ESCALATION_TABLE, mobile) : false;
+  const agentCooldown = BOT_CONFIG_TABLE ? await isAgentCooldownActive(BOT_CONFIG_TABLE, mobile) : false;
+  const skipBot = agentHandling || agentCooldown || optedOut || !!consentReply;
+  if (skipBot && !consentReply) {
+    const reason = optedOut ? 'opted_out' : agentHandling ? 'pending_escalation' : 'agent_cooldown_1h';
+    console.log(JSON.stringify({ event: 'skip_bot', requestId, mobile, reason }));
+  }
+
+  if (consentReply && phoneNumberId) {
+    replies = [{ type: 'text', body: consentReply }];
+  } else if (botEnabled && phoneNumberId && !skipBot) {
+    if ((!state || startsNewConversation) && flow) {
+      state = {
+        mobile,
+        conversationId: `conv_${mobile}_${now}`,
+        flowId,
+        currentStep: flow.start || 'start',
+        flowState: flow.start || 'start',
+        userProfile: userProfile
+          ? { name: userProfile.name, dob: userProfile.dob, city: userProfile.city, age: userProfile.age, [LOCALE_FIELD]: userProfile[LOCALE_FIELD], mobile }
+          : {},
+        stepData: {},
+        lastInteraction: now,
+        createdAt: now
+      };
+    }
+    if (flow && state) {
+      try {
+        if (userProfile && (userProfile.name || userProfile.dob || userProfile.city)) {
+          state.userProfile = { ...(state.userProfile || {}), mobile, ...userProfile };
+        }
+        const result = await runFlow(state, ev.body, userProfile, flow, { replyId: ev.replyId });
+        if (result.updatedState) {
+          result.updatedState.flowId = flowId;
+          result.updatedState.lastInboundAt = inboundAt;
+          result.updatedState.phoneNumberId = phoneNumberId;
+          flowStepAfterReply = result.updatedState.currentStep || result.updatedState.flowState;
+          if (CONVERSATION_STATE_TABLE) {
+            await saveConversationState(CONVERSATION_STATE_TABLE, result.updatedState, { ttlDays: CONVERSATION_TTL_DAYS });
           }
-          const result = await runFlow(state, ev.body, userProfile, flow);
-          if (result.updatedState) {
-            flowStepAfterReply = result.updatedState.currentStep || result.updatedState.flowState;
-            if (CONVERSATION_STATE_TABLE) {
-              await saveConversationState(CONVERSATION_STATE_TABLE, result.updatedState);
+          if (USER_PROFILE_TABLE) {
+            const up = result.updatedState.userProfile || {};
+            const sd = result.updatedState.stepData || {};
+            // Every profile field a flow action declares it writes (name, dob, age, city, area, email, ...)
+            // plus the flow's own input nodes with a profile.* field, and the user's language
+            const collected = {};
+            for (const field of new Set([...PROFILE_FIELDS, ...listInputFields(flow, 'profile'), LOCALE_FIELD])) {
+              const value = up[field] ?? sd[field];
+              if (value != null && value !== '') collected[field] = value;
             }
-            if (USER_PROFILE_TABLE) {
-              const up = result.updatedState.userProfile || {};
-              const sd = result.updatedState.stepData || {};
-              const name = up.name || sd.name;
-              const dob = up.dob || sd.dob;
-              const city = up.city || sd.city;
-              const area = up.area || sd.area;
-              const age = up.age ?? sd.age;
-              if (name || dob || city) {
-                const profileToSave = {
-                  mobile,
-                  ...(userProfile || {}),
-                  ...(name && { name }),
-                  ...(dob && { dob }),
-                  ...(city && { city }),
-                  ...(area && { area }),
-                  ...(age != null && { age }),
-                  status: (userProfile && userProfile.status) || 'lead'
-                };
-                try {
-                  await saveUserProfile(USER_PROFILE_TABLE, profileToSave);
-                } catch (err) {
-                  console.warn(JSON.stringify({ event: 'user_profile_save_error', mobile, error: err.message }));
-                }
+            // A language alone doesn't create a CRM record (a new user would come back as a lead); it is saved
+            // with the first other field
+            const onlyLocale = Object.keys(collected).every((field) => field === LOCALE_FIELD);
+            if (Object.keys(collected).length > 0 && !(onlyLocale && !userProfile)) {
+              const profileToSave = {
+                mobile,
+                ...(userProfile || {}),
+                ...collected,
+                status: (userProfile && userProfile.status) || 'lead'
+              };
+              try {
+                await saveUserProfile(USER_PROFILE_TABLE, profileToSave);
+              } catch (err) {
+                console.warn(JSON.stringify({ event: 'user_profile_save_error', mobile, error: err.message }));
               }
             }
           }
-          if (ESCALATION_TABLE && result.referralEscalation) {
-            await createEscalation(ESCALATION_TABLE, {
-              mobile,
-              conversationId,
-              userProfile: userProfile || {},
-              escalationReason: 'Referral_Lead',
-              referralName: result.referralEscalation.referralName,
-              referralMobile: result.referralEscalation.referralMobile,
-              referralCity: result.referralEscalation.referralCity
-            });
-          }
-          if (ESCALATION_TABLE && result.supportEscalation) {
-            await createEscalation(ESCALATION_TABLE, {
-              mobile,
-              conversationId,
-              userProfile: userProfile || {},
-              escalationReason: 'RM_Escalation_Required'
-            });
+        }
+        if (ESCALATION_TABLE && result.referralEscalation) {
+          await createEscalation(ESCALATION_TABLE, {
+            mobile,
+            conversationId,
+            userProfile: userProfile || {},
+            escalationReason: 'Referral_Lead',
+            referralName: result.referralEscalation.referralName,
+            referralMobile: result.referralEscalation.referralMobile,
+            referralCity: result.referralEscalation.referralCity
+          });
+        }
+        if (ESCALATION_TABLE && result.supportEscalation) {
+          await createEscalation(ESCALATION_TABLE, {
+            mobile,
+            conversationId,
+            userProfile: userProfile || {},
+            escalationReason: 'RM_Escalation_Required'
+          });
+        }
+        if (result.optOut) {
+          console.log(JSON.stringify({ event: 'user_opted_out', requestId, mobile, flowId }));
+          if (CONSENT_TABLE) {
+            await setConsent(CONSENT_TABLE, mobile, { status: 'opted_out', source: 'flow_intent', keyword: (ev.body || '').trim() });
           }
-          const firstMsg = result.messages && result.messages[0];
-          replyBody = firstMsg && firstMsg.body ? firstMsg.body : '';
-        } catch (err) {
-          console.warn(JSON.stringify({ event: 'flow_run_error', requestId, mobile, error: err.message }));
-          replyBody = 'Got it. We will get back to you shortly.';
         }
-      } else {
-        replyBody = 'Got it. We will get back to you shortly.';
-      }
-    } else if (botEnabled && !phoneNumberId) {
-      console.warn(JSON.stringify({ event: 'meta_phone_number_id_missing', requestId, mobile }));
-    }
-    if (replyBody) {
-      const sendResult = await sendMetaWhatsAppText(phoneNumberId, mobile, replyBody);
-      outboundMetaMessageId = sendResult.metaMessageId || null;
-      if (!sendResult.success) {
-        console.warn(JSON.stringify({ event: 'meta_send_failed', requestId, mobile, error: sendResult.error }));
+        replies = (result.messages || []).filter((m) => m && (m.body || m.media));
+        if (flow.fallbackTemplate) {
+          const after = result.updatedState || state;
+          fallbackTemplate = buildTemplateMessage(flow, flow.fallbackTemplate, after.userProfile || {}, after.stepData || {});
+        }
+      } catch (err) {
+        console.warn(JSON.stringify({ event: 'flow_run_error', requestId, mobile, error: err.message }));
+        replies = [{ type: 'text', body: systemReply(flow, 'handoff_ack', state.userProfile?.[LOCALE_FIELD] || language) }];
       }
+    } else {
+      replies = [{ type: 'text', body: systemReply(flow, 'handoff_ack', language) }];
     }
-    if (replyBody) {
-      await saveMessageToLog({
-        mobile,
-        timestamp: now,
+  } else if (botEnabled && !phoneNumberId) {
+    console.warn(JSON.stringify({ event: 'meta_phone_number_id_missing', requestId, mobile }));
+  }
+  if (replies.length > 0) {
+    await deliverReplies(replies, {
+      phoneNumberId,
+      mobile,
+      inboundMessageId: ev.messageId,
+      requestId,
+      lastInboundAt: inboundAt,
+      fallbackTemplate,
+      logFields: {
         conversationId,
-        direction: 'outbound',
-        source: 'meta',
-        type: 'text',
-        messageText: replyBody,
-        metaMessageId: outboundMetaMessageId,
-        waNumber: mobile,
-        flowId: DEFAULT_FLOW_ID,
+        flowId,
         flowStep: flowStepAfterReply || state?.currentStep || state?.flowState || (flow?.start || 'start')
-      });
-    }
+      }
+    });
   }
-
-  return respond(200, { success: true, eventId });
 }
 
 exports.handler = async (event) => {
@@ -636,3 +1090,13 @@ exports.handler = async (event) => {
   return respond(405, { success: false, error: 'Method not allowed' });
 };
 
+exports.processMessageEvent = processMessageEvent;
+// eventReplay.js
+exports.parseMetaMessageEvents = parseMetaMessageEvents;
+exports.parseMetaStatusEvents = parseMetaStatusEvents;
+exports.dispatchMessageEvents = dispatchMessageEvents;
+exports.applyStatusEvents = applyStatusEvents;
+exports.routeMessageEvent = routeMessageEvent;
+exports.getGlobalBotEnabled = getGlobalBotEnabled;
+exports.isAgentCooldownActive = isAgentCooldownActive;
+
@@ -0,0 +1,74 @@
+/**
+ * Delivery stats Lambda (WhatsAppMessageLog DynamoDB stream): hourly counters of outbound Meta messages in
+ * FlowFunnelStats (statsKey 'delivery', itemKey YYYY-MM-DDTHH, UTC) for the dashboard's deliveryLast24h, so the
+ * stats endpoint reads a day of counters instead of scanning the message log.
+ * A message counts in the hour it was logged (its timestamp), whenever its statuses arrive:
+ *   sent       it got a metaMessageId (on the first send, or later through a send retry)
+ *   delivered  deliveredAt or readAt first set (read counts as delivered: Meta may skip delivered)
+ *   read       readAt first set
+ *   failed     deliveryStatus became failed
+ * Counters are not idempotent: a batch the stream retries after a failure can count twice.
+ */
+const { unmarshall } = require('@aws-sdk/util-dynamodb');
+const { addFunnelCounts } = require('./utils/dynamodb');
+
+const STATS_TABLE = process.env.FLOW_FUNNEL_TABLE_NAME || '';
+const DELIVERY_STATS_KEY = 'delivery';
+
+/** Counter hour (YYYY-MM-DDTHH, UTC) for a log timestamp. */
+function deliveryHour(timestamp) {
+  const ms = timestamp < 1e12 ? timestamp * 1000 : timestamp;
+  return new Date(ms).toISOString().slice(0, 13);
+}
+
+/**
+ * Counter increments for one outbound log item change.
+ * @param {object|null} before - Old image (null on INSERT)
+ * @param {object} after - New image
+ * @returns {object} attribute -> 1 (empty when nothing counts)
+ */
+function deliveryCounts(before, after) {
+  const old = before || {};
+  const counts = {};
+  if (after.metaMessageId && !old.metaMessageId) counts.sent = 1;
+  if ((after.deliveredAt || after.readAt) && !(old.deliveredAt || old.readAt)) counts.delivered = 1;
+  if (after.readAt && !old.readAt) counts.read = 1;
+  if (after.deliveryStatus === 'failed' && old.deliveryStatus !== 'failed') counts.failed = 1;
+  return counts;
+}
+
+/**
+ * DynamoDB stream handler. Increments are summed per hour within the batch before they are written.
+ */
+exports.handler = async (event) => {
+  if (!STATS_TABLE) {
+    console.warn(JSON.stringify({ event: 'delivery_stats_not_configured', reason: 'FLOW_FUNNEL_TABLE_NAME missing' }));
+    return { processed: 0 };
+  }
+  const byHour = new Map(); // hour -> { attr: n }
+  let counted = 0;
+  for (const record of event.Records || []) {
+    if (!record.dynamodb?.NewImage) continue;
+    const after = unmarshall(record.dynamodb.NewImage);
+    if (after.direction !== 'outbound' || !after.timestamp) continue;
+    const before = record.dynamodb.OldImage ? unmarshall(record.dynamodb.OldImage) : null;
+    const counts = deliveryCounts(before, after);
+    if (!Object.keys(counts).length) continue;
+    const hour = deliveryHour(after.timestamp);
+    const total = byHour.get(hour) || {};
+    for (const [attr, n] of Object.entries(counts)) total[attr] = (total[attr] || 0) + n;
+    byHour.set(hour, total);
+    counted++;
+  }
+
+  for (const [hour, counts] of byHour) {
+    await addFunnelCounts(STATS_TABLE, DELIVERY_STATS_KEY, hour, counts);
+  }
+  if (counted) {
+    console.log(JSON.stringify({ event: 'delivery_stats_batch_processed', records: event.Records.length, counted, hours: byHour.size }));
+  }
+  return { processed: counted };
+};
+
+exports.deliveryCounts = deliveryCounts;
+exports.deliveryHour = deliveryHour;
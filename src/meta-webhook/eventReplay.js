@@ -0,0 +1,322 @@
+/**
+ * Meta webhook event replay (POST /api/meta-events/replay, or a direct Lambda invoke with the same body): runs raw
+ * payloads the webhook archived to S3 (events/yyyy/mm/dd/{eventId}.json, metadata in MetaWebhookEventLog) again.
+ * Events are picked by eventId / eventIds or by a receivedAt range (from, to: ms or ISO), oldest first, at most
+ * limit per call; nextFrom in the response continues a range. Modes:
+ *   parse    (default) parse the payload again: message events and delivery statuses, nothing else
+ *   dry-run  also route each message and run it through its flow, in memory, from the user's current conversation
+ *            state (carried from one replayed message to the next): what the bot would answer now. Nothing is sent
+ *            or written
+ *   live     hand the messages on like the webhook (worker queue, or processed here without one) and record the
+ *            statuses. The dedupe claim is skipped, so a message that was answered is answered again: this is for
+ *            recovering messages an outage swallowed, not for routine use
+ * Signatures are not checked again; the archived body is compared with its stored sha256 instead.
+ * Deployed from the meta-webhook code like FlowAPI.
+ */
+const crypto = require('crypto');
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
+const {
+  parseMetaMessageEvents,
+  parseMetaStatusEvents,
+  dispatchMessageEvents,
+  applyStatusEvents,
+  routeMessageEvent,
+  getGlobalBotEnabled,
+  isAgentCooldownActive
+} = require('./app');
+const { runFlow, LOCALE_FIELD } = require('./flowRunner');
+const { getUserProfile, getLatestConversationState, getConsent, hasPendingEscalationForUser } = require('./utils/dynamodb');
+const { getConsentKeyword } = require('./utils/helpers');
+
+const dynamoClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+const s3Client = new S3Client({});
+
+const EVENT_TABLE = process.env.META_WEBHOOK_EVENT_TABLE_NAME || '';
+const S3_BUCKET = process.env.META_WEBHOOK_S3_BUCKET || '';
+const USER_PROFILE_TABLE = process.env.USER_PROFILE_TABLE_NAME || '';
+const CONVERSATION_STATE_TABLE = process.env.CONVERSATION_STATE_TABLE_NAME || '';
+const ESCALATION_TABLE = process.env.ESCALATION_TABLE_NAME || '';
+const BOT_CONFIG_TABLE = process.env.BOT_CONFIG_TABLE_NAME || '';
+const CONSENT_TABLE = process.env.USER_CONSENT_TABLE_NAME || '';
+
+const REPLAY_MODES = ['parse', 'dry-run', 'live'];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_RANGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'POST,OPTIONS'
+};
+
+function respond(statusCode, body) {
+  return {
+    statusCode,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  };
+}
+
+/** ms timestamp from a number or an ISO date; NaN when neither. */
+function toTimestamp(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && /^\d+$/.test(value)) return Number(value);
+  return typeof value === 'string' ? Date.parse(value) : NaN;
+}
+
+/**
+ * Check and normalise replay options.
+ * @param {object} body - { eventId?, eventIds?, from?, to?, mode?, limit? }
+ * @returns {{ error?: string, options?: { eventIds: string[]|null, from: number, to: number, mode: string, limit: number } }}
+ */
+function checkReplayOptions(body) {
+  const mode = body.mode || 'parse';
+  if (!REPLAY_MODES.includes(mode)) return { error: `mode must be one of: ${REPLAY_MODES.join(', ')}` };
+  const limit = body.limit == null ? DEFAULT_LIMIT : Number(body.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) return { error: `limit must be an integer from 1 to ${MAX_LIMIT}` };
+  const eventIds = body.eventIds || (body.eventId ? [body.eventId] : null);
+  if (eventIds) {
+    if (!Array.isArray(eventIds) || !eventIds.length || !eventIds.every((id) => typeof id === 'string' && id)) {
+      return { error: 'eventIds must be a non-empty array of event ids' };
+    }
+    if (eventIds.length > limit) return { error: `At most ${limit} eventIds per call (limit)` };
+    return { options: { eventIds, mode, limit } };
+  }
+  const from = toTimestamp(body.from);
+  const to = body.to == null ? Date.now() : toTimestamp(body.to);
+  if (!Number.isFinite(from) || !Number.isFinite(to)) return { error: 'eventId, eventIds or from (ms or ISO date) is required' };
+  if (from > to) return { error: 'from must not be after to' };
+  if (to - from > MAX_RANGE_MS) return { error: 'A range can cover at most 7 days' };
+  return { options: { eventIds: null, from, to, mode, limit } };
+}
+
+/**
+ * Event log items to replay, oldest first.
+ * A range is a scan of MetaWebhookEventLog (no time index; the table keeps WEBHOOK_TTL_DAYS of events).
+ * @returns {Promise<{ items: object[], missing: string[], nextFrom: number|null }>}
+ */
+async function loadEventItems(options) {
+  if (options.eventIds) {
+    const found = await Promise.all(options.eventIds.map(async (eventId) => {
+      const res = await dynamoClient.send(new GetCommand({ TableName: EVENT_TABLE, Key: { eventId } }));
+      return res.Item || eventId;
+    }));
+    return {
+      items: found.filter((f) => typeof f === 'object').sort((a, b) => a.receivedAt - b.receivedAt),
+      missing: found.filter((f) => typeof f === 'string'),
+      nextFrom: null
+    };
+  }
+  const matches = [];
+  let startKey;
+  do {
+    const res = await dynamoClient.send(new ScanCommand({
+      TableName: EVENT_TABLE,
+      FilterExpression: 'receivedAt BETWEEN :from AND :to',
+      ProjectionExpression: 'eventId, receivedAt, s3Bucket, s3Key, rawBodySha256',
+      ExpressionAttributeValues: { ':from': options.from, ':to': options.to },
+      ExclusiveStartKey: startKey
+    }));
+    matches.push(...(res.Items || []));
+    startKey = res.LastEvaluatedKey;
+  } while (startKey);
+  matches.sort((a, b) => a.receivedAt - b.receivedAt || a.eventId.localeCompare(b.eventId));
+  const items = matches.slice(0, options.limit);
+  // Events received in the same ms as the last one returned would be skipped by nextFrom = last + 1
+  return { items, missing: [], nextFrom: matches.length > items.length ? matches[items.length].receivedAt : null };
+}
+
+/**
+ * The archived raw body of an event, parsed.
+ * @returns {Promise<{ parsed?: object, error?: string }>}
+ */
+async function loadArchivedPayload(item) {
+  const bucket = item.s3Bucket || S3_BUCKET;
+  if (!bucket || !item.s3Key) return { error: 'No archived payload (S3 was not configured when it arrived)' };
+  let raw;
+  try {
+    const out = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: item.s3Key }));
+    raw = await out.Body.transformToString('utf8');
+  } catch (err) {
+    return { error: `Could not read s3://${bucket}/${item.s3Key}: ${err.message}` };
+  }
+  if (item.rawBodySha256 && crypto.createHash('sha256').update(raw, 'utf8').digest('hex') !== item.rawBodySha256) {
+    return { error: 'Archived payload does not match its sha256' };
+  }
+  try {
+    return { parsed: JSON.parse(raw) };
+  } catch (err) {
+    return { error: `Archived payload is not JSON: ${err.message}` };
+  }
+}
+
+/** Why the webhook would not run the flow for this message now (same checks, read only), or null. */
+async function getSkipReason(ev) {
+  const mobile = ev.from;
+  if (!(await getGlobalBotEnabled())) return 'bot_disabled';
+  const consent = CONSENT_TABLE ? await getConsent(CONSENT_TABLE, mobile) : null;
+  const consentKeyword = CONSENT_TABLE && ev.type === 'text' ? getConsentKeyword(ev.body) : null;
+  if (consentKeyword === 'opt_out' || (consentKeyword === 'opt_in' && consent?.status === 'opted_out')) return 'consent_keyword';
+  if (consent?.status === 'opted_out') return 'opted_out';
+  if (ESCALATION_TABLE && (await hasPendingEscalationForUser(ESCALATION_TABLE, mobile))) return 'pending_escalation';
+  if (BOT_CONFIG_TABLE && (await isAgentCooldownActive(BOT_CONFIG_TABLE, mobile))) return 'agent_cooldown_1h';
+  return null;
+}
+
+/**
+ * Route one message and run its flow in memory. users holds each user's profile and state across the replay.
+ * @returns {Promise<object>} Result for the response
+ */
+async function dryRunMessage(ev, users, requestId) {
+  const mobile = ev.from;
+  if (!users.has(mobile)) {
+    users.set(mobile, {
+      userProfile: USER_PROFILE_TABLE ? await getUserProfile(USER_PROFILE_TABLE, mobile) : null,
+      state: CONVERSATION_STATE_TABLE ? await getLatestConversationState(CONVERSATION_STATE_TABLE, mobile) : null
+    });
+  }
+  const user = users.get(mobile);
+  const out = { mobile, messageId: ev.messageId, input: ev.body, ...(ev.replyId && { replyId: ev.replyId }) };
+  const { flowId, flow, route, startsNewConversation } = await routeMessageEvent(ev, user.state, user.userProfile, requestId);
+  Object.assign(out, { flowId, routeReason: route.reason, newConversation: startsNewConversation });
+  const skipped = await getSkipReason(ev);
+  if (skipped) return { ...out, skipped };
+  if (!flow) return { ...out, skipped: 'flow_missing' };
+
+  const now = Date.now();
+  const { userProfile } = user;
+  let state = user.state && !startsNewConversation
+    ? JSON.parse(JSON.stringify(user.state))
+    : {
+      mobile,
+      conversationId: `replay_${mobile}_${now}`,
+      flowId,
+      currentStep: flow.start || 'start',
+      flowState: flow.start || 'start',
+      userProfile: userProfile
+        ? { name: userProfile.name, dob: userProfile.dob, city: userProfile.city, age: userProfile.age, [LOCALE_FIELD]: userProfile[LOCALE_FIELD], mobile }
+        : {},
+      stepData: {},
+      lastInteraction: now,
+      createdAt: now
+    };
+  if (userProfile && (userProfile.name || userProfile.dob || userProfile.city)) {
+    state.userProfile = { ...(state.userProfile || {}), mobile, ...userProfile };
+  }
+  const fromStep = state.currentStep;
+  const trace = [];
+  try {
+    const result = await runFlow(state, ev.body, userProfile, flow, { replyId: ev.replyId, trace });
+    state = { ...result.updatedState, flowId, lastInboundAt: ev.timestamp < 1e12 ? ev.timestamp * 1000 : ev.timestamp };
+    user.state = state;
+    return {
+      ...out,
+      fromStep,
+      toStep: result.nextStep,
+      path: [...trace, result.nextStep].filter((id, i, ids) => id && id !== ids[i - 1]),
+      messages: result.messages,
+      ...(result.shouldEscalate && { shouldEscalate: true }),
+      ...(result.supportEscalation && { supportEscalation: true }),
+      ...(result.referralEscalation && { referralEscalation: result.referralEscalation }),
+      ...(result.optOut && { optOut: true })
+    };
+  } catch (err) {
+    // The webhook answers with its generic fallback and keeps the state as it was
+    return { ...out, fromStep, error: err.message };
+  }
+}
+
+/**
+ * Replay one archived event in the given mode.
+ * @returns {Promise<object>} Per-event result
+ */
+async function replayEvent(item, mode, ctx) {
+  const out = { eventId: item.eventId, receivedAt: item.receivedAt };
+  const { parsed, error } = await loadArchivedPayload(item);
+  if (error) return { ...out, error };
+  const messageEvents = parseMetaMessageEvents(parsed);
+  const statusEvents = parseMetaStatusEvents(parsed);
+  const requestId = `replay_${ctx.replayId}_${item.eventId}`;
+
+  if (mode === 'parse') return { ...out, messages: messageEvents, statuses: statusEvents };
+  if (mode === 'dry-run') {
+    const results = [];
+    for (const ev of messageEvents) results.push(await dryRunMessage(ev, ctx.users, requestId));
+    return { ...out, messages: results, statuses: statusEvents };
+  }
+  try {
+    const dispatched = await dispatchMessageEvents(messageEvents, {
+      requestId,
+      eventId: item.eventId,
+      receivedAt: item.receivedAt,
+      replayId: ctx.replayId
+    });
+    const statuses = statusEvents.length ? await applyStatusEvents(statusEvents, requestId) : null;
+    return { ...out, messages: messageEvents.length, ...dispatched, ...(statuses && { statuses }) };
+  } catch (err) {
+    return { ...out, messages: messageEvents.length, error: `Could not queue messages: ${err.message}` };
+  }
+}
+
+/**
+ * Replay archived webhook events.
+ * @param {object} options - From checkReplayOptions
+ * @returns {Promise<object>} { replayId, mode, events, missing, nextFrom }
+ */
+async function replayEvents(options) {
+  const replayId = `${Date.now()}`;
+  const { items, missing, nextFrom } = await loadEventItems(options);
+  const ctx = { replayId, users: new Map() };
+  const events = [];
+  for (const item of items) events.push(await replayEvent(item, options.mode, ctx));
+  console.log(JSON.stringify({
+    event: 'meta_events_replayed',
+    replayId,
+    mode: options.mode,
+    events: events.length,
+    failed: events.filter((e) => e.error).length,
+    missing: missing.length,
+    ...(options.eventIds ? {} : { from: options.from, to: options.to })
+  }));
+  return { replayId, mode: options.mode, events, missing, nextFrom };
+}
+
+/**
+ * API Gateway handler (POST /api/meta-events/replay) or direct invoke (event = replay options; returns the data or { error }).
+ */
+exports.handler = async (event) => {
+  const isApi = !!(event.httpMethod || event.requestContext);
+  const method = (event.httpMethod || event.requestContext?.http?.method || '').toUpperCase();
+  if (isApi && method === 'OPTIONS') return respond(200, {});
+  if (isApi && method !== 'POST') return respond(405, { error: 'Method Not Allowed', message: 'Use POST' });
+
+  let body = event;
+  if (isApi) {
+    try {
+      const raw = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : event.body;
+      body = typeof raw === 'string' ? JSON.parse(raw || '{}') : (raw || {});
+    } catch {
+      return respond(400, { error: 'Bad Request', message: 'Invalid JSON body' });
+    }
+  }
+  const { error, options } = checkReplayOptions(body || {});
+  if (error) return isApi ? respond(400, { error: 'Bad Request', message: error }) : { error };
+  if (!EVENT_TABLE) {
+    const message = 'META_WEBHOOK_EVENT_TABLE_NAME not configured';
+    return isApi ? respond(503, { success: false, error: message }) : { error: message };
+  }
+
+  try {
+    const data = await replayEvents(options);
+    return isApi ? respond(200, { success: true, data, timestamp: Date.now() }) : data;
+  } catch (err) {
+    console.error(JSON.stringify({ event: 'meta_events_replay_error', error: err.message, stack: err.stack }));
+    if (!isApi) throw err;
+    return respond(500, { error: 'Internal Server Error', message: err.message });
+  }
+};
+
+exports.checkReplayOptions = checkReplayOptions;
@@ -0,0 +1,342 @@
+/**
+ * Flow API Lambda: /api/flows/* for the dashboard flow editor (save, validate, simulate, versions, diff, publish, rollback)
+ * and /api/flow-routing for the table that picks a flow per inbound message.
+ * Deployed from the meta-webhook code so it shares flowLoader / flowValidator with the runtime
+ * (a flow is checked by exactly the same rules on save and on load).
+ * Response envelope matches dashboard-api: { success, data, timestamp } / { error, message }.
+ */
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand } = require('@aws-sdk/lib-dynamodb');
+const { validateFlow } = require('./flowValidator');
+const { loadFlow, invalidateFlowCache, listFileFlowIds } = require('./flowLoader');
+const { getRoutingConfig, saveRoutingConfig, validateRoutingConfig } = require('./flowRouter');
+const { diffFlows } = require('./flowDiff');
+const { simulateConversation, checkSimulationInputs } = require('./flowSimulator');
+const {
+  listStoredFlowIds,
+  getFlowMeta,
+  createFlowVersion,
+  getFlowVersion,
+  publishFlowVersion,
+  rollbackTarget,
+  rollbackFlow
+} = require('./flowStore');
+
+const dynamoClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+const BOT_CONFIG_TABLE = process.env.BOT_CONFIG_TABLE_NAME || '';
+const DEFAULT_FLOW_ID = process.env.DEFAULT_FLOW_ID || 'marzi-lead';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET,POST,PUT,OPTIONS'
+};
+
+function respond(statusCode, body) {
+  return {
+    statusCode,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  };
+}
+
+function ok(data) {
+  return respond(200, { success: true, data, timestamp: Date.now() });
+}
+
+function badRequest(message, extra = {}) {
+  return respond(400, { error: 'Bad Request', message, ...extra });
+}
+
+function notFound(message, extra = {}) {
+  return respond(404, { error: 'Not Found', message, ...extra });
+}
+
+function parseBody(event) {
+  if (!event.body) return {};
+  const raw = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+  return typeof raw === 'string' ? JSON.parse(raw || '{}') : raw;
+}
+
+/**
+ * Split /api/flows/{flowId}/{sub} into parts; pathParameters win when API Gateway provides them.
+ * @returns {{ flowId: string, sub: string }}
+ */
+function parseFlowPath(event) {
+  const path = event.path || event.requestContext?.http?.path || '';
+  const parts = path.replace(/^\/api\/flows\/?/, '').split('/').filter(Boolean);
+  const flowId = (event.pathParameters && event.pathParameters.flowId) || parts[0] || '';
+  return { flowId: decodeURIComponent(flowId), sub: parts.slice(1).join('/') };
+}
+
+/**
+ * Every flow meta-webhook can run: repo files plus flows saved to DB.
+ * @returns {Promise<string[]>}
+ */
+async function listFlowIds() {
+  const [fileIds, storedIds] = await Promise.all([
+    listFileFlowIds(),
+    BOT_CONFIG_TABLE ? listStoredFlowIds() : []
+  ]);
+  return [...new Set([...fileIds, ...storedIds])].sort();
+}
+
+async function handleListFlows() {
+  const [flowIds, routing] = await Promise.all([
+    listFlowIds(),
+    BOT_CONFIG_TABLE ? getRoutingConfig() : { rules: [] }
+  ]);
+  return ok({ flowIds, defaultFlowId: routing.defaultFlowId || DEFAULT_FLOW_ID });
+}
+
+async function handleGetRouting() {
+  const routing = await getRoutingConfig();
+  return ok({ defaultFlowId: routing.defaultFlowId || DEFAULT_FLOW_ID, rules: routing.rules, updatedAt: routing.updatedAt || null });
+}
+
+async function handlePutRouting(body) {
+  const { valid, errors } = validateRoutingConfig(body, await listFlowIds());
+  if (!valid) return badRequest('Routing validation failed', { errors });
+  return ok(await saveRoutingConfig(body));
+}
+
+async function handleGetFlow(flowId) {
+  const getRes = await dynamoClient.send(new GetCommand({
+    TableName: BOT_CONFIG_TABLE,
+    Key: { configKey: `flow_${flowId}` }
+  }));
+  const item = getRes.Item;
+  if (!item || item.flow == null) {
+    return notFound('Flow not customized in DB; meta-webhook uses default from repo.', { flowId });
+  }
+  return ok(typeof item.flow === 'string' ? JSON.parse(item.flow) : item.flow);
+}
+
+/**
+ * Validate and store a new version. PUT publishes it straight away (editor "save" keeps going live);
+ * POST /versions keeps it as a draft until published.
+ */
+async function handleSaveFlow(flowId, flow, { publish, note }) {
+  const { valid, errors, warnings } = validateFlow(flow);
+  if (!valid) {
+    return badRequest('Flow validation failed', { flowId, errors, warnings });
+  }
+  const { version } = await createFlowVersion(flowId, flow, { note });
+  if (publish) {
+    await publishFlowVersion(flowId, version);
+    invalidateFlowCache(flowId);
+  }
+  return ok({ flowId, version, published: !!publish, saved: true, warnings });
+}
+
+async function handleListVersions(flowId) {
+  const meta = await getFlowMeta(flowId);
+  if (!meta) return notFound('Flow has no stored versions; meta-webhook uses default from repo.', { flowId });
+  return ok({
+    flowId,
+    latestVersion: meta.latestVersion,
+    publishedVersion: meta.publishedVersion,
+    versions: [...(meta.versions || [])].reverse(),
+    publishHistory: meta.publishHistory || []
+  });
+}
+
+async function handleGetVersion(flowId, version) {
+  const snapshot = await getFlowVersion(flowId, version);
+  if (!snapshot) return notFound('Version not found', { flowId, version });
+  return ok(snapshot);
+}
+
+/** Resolve "published" or a number to a stored flow snapshot. */
+async function resolveVersionRef(flowId, ref, meta) {
+  const version = ref === 'published' || ref == null ? meta.publishedVersion : Number(ref);
+  if (!Number.isInteger(version) || version < 1) return null;
+  return getFlowVersion(flowId, version);
+}
+
+async function handleDiff(flowId, query) {
+  const meta = await getFlowMeta(flowId);
+  if (!meta) return notFound('Flow has no stored versions', { flowId });
+  if (query.from == null) return badRequest('from query parameter required (version number or "published")');
+  const [from, to] = await Promise.all([
+    resolveVersionRef(flowId, query.from, meta),
+    resolveVersionRef(flowId, query.to, meta)
+  ]);
+  if (!from || !to) return notFound('Version not found', { flowId, from: query.from, to: query.to || 'published' });
+  return ok({ flowId, from: from.version, to: to.version, diff: diffFlows(from.flow, to.flow) });
+}
+
+async function handlePublish(flowId, body) {
+  const version = Number(body.version);
+  if (!Number.isInteger(version) || version < 1) return badRequest('version (positive integer) required');
+  const snapshot = await getFlowVersion(flowId, version);
+  if (!snapshot) return notFound('Version not found', { flowId, version });
+  // Validation rules may have tightened since the draft was stored
+  const { valid, errors, warnings } = validateFlow(snapshot.flow);
+  if (!valid) return badRequest('Flow validation failed', { flowId, version, errors, warnings });
+  const meta = await publishFlowVersion(flowId, version);
+  if (!meta) return notFound('Version not found', { flowId, version });
+  invalidateFlowCache(flowId);
+  return ok({ flowId, publishedVersion: meta.publishedVersion, published: true });
+}
+
+async function handleRollback(flowId, body) {
+  const current = await getFlowMeta(flowId);
+  const target = current ? rollbackTarget(current, body.version != null ? Number(body.version) : undefined) : null;
+  const snapshot = target != null ? await getFlowVersion(flowId, target) : null;
+  if (!snapshot) {
+    return badRequest('Nothing to roll back to (unknown flow/version, or version is already published)', { flowId });
+  }
+  // An older version may predate the current rules, or use actions / templates removed since
+  const { valid, errors, warnings } = validateFlow(snapshot.flow);
+  if (!valid) {
+    return respond(422, { error: 'Unprocessable Entity', message: 'Flow validation failed', flowId, version: target, errors, warnings });
+  }
+  const meta = await rollbackFlow(flowId, target);
+  if (!meta) {
+    return badRequest('Nothing to roll back to (unknown flow/version, or version is already published)', { flowId });
+  }
+  invalidateFlowCache(flowId);
+  return ok({ flowId, publishedVersion: meta.publishedVersion, rolledBack: true });
+}
+
+/**
+ * Run scripted replies through a flow without sending or saving anything. The flow is the draft in the body,
+ * a stored version, or else the one the webhook would load (published, else the repo default).
+ */
+async function handleSimulate(flowId, body) {
+  const inputError = checkSimulationInputs(body.inputs);
+  if (inputError) return badRequest(inputError);
+  if (body.profile != null && (typeof body.profile !== 'object' || Array.isArray(body.profile))) {
+    return badRequest('profile must be an object (CRM profile: name, dob, city, status, ...)');
+  }
+
+  let flow;
+  let source;
+  let warnings;
+  if (body.flow) {
+    const result = validateFlow(body.flow);
+    if (!result.valid) return badRequest('Flow validation failed', { flowId, errors: result.errors, warnings: result.warnings });
+    flow = body.flow;
+    source = 'draft';
+    warnings = result.warnings;
+  } else if (body.version != null) {
+    const version = Number(body.version);
+    if (!Number.isInteger(version) || version < 1) return badRequest('version must be a positive integer');
+    if (!BOT_CONFIG_TABLE) return respond(503, { error: 'Bot config not configured' });
+    const snapshot = await getFlowVersion(flowId, version);
+    if (!snapshot) return notFound('Version not found', { flowId, version });
+    flow = snapshot.flow;
+    source = `version ${version}`;
+  } else {
+    flow = await loadFlow(flowId);
+    if (!flow) return notFound('Flow not found', { flowId });
+    source = 'published';
+  }
+
+  const result = await simulateConversation(flow, { flowId, inputs: body.inputs, profile: body.profile });
+  return ok({ flowId, source, ...(warnings && { warnings }), ...result });
+}
+
+/**
+ * Lambda handler for Flow API
+ * @param {object} event - API Gateway event
+ * @returns {Promise<object>} API Gateway response
+ */
+exports.handler = async (event) => {
+  const path = event.path || event.requestContext?.http?.path || '';
+  const method = (event.httpMethod || event.requestContext?.http?.method || '').toUpperCase();
+
+  console.log(JSON.stringify({ message: 'Flow API request', path, method }));
+
+  if (method === 'OPTIONS') {
+    return { statusCode: 200, headers: corsHeaders, body: '' };
+  }
+
+  try {
+    if (path === '/api/flows' && method === 'GET') {
+      return await handleListFlows();
+    }
+
+    if (path === '/api/flow-routing') {
+      if (!BOT_CONFIG_TABLE) return respond(503, { error: 'Bot config not configured' });
+      if (method === 'GET') return await handleGetRouting();
+      if (method === 'PUT') {
+        let routingBody;
+        try {
+          routingBody = parseBody(event);
+        } catch {
+          return badRequest('Invalid JSON body');
+        }
+        return await handlePutRouting(routingBody);
+      }
+    }
+
+    const { flowId, sub } = parseFlowPath(event);
+    if (!flowId) return badRequest('flowId required');
+
+    let body = {};
+    if (method === 'PUT' || method === 'POST') {
+      try {
+        body = parseBody(event);
+      } catch {
+        return badRequest('Invalid JSON body');
+      }
+    }
+
+    // Pure validation needs no table: lets the editor check a draft before saving
+    if (sub === 'validate' && method === 'POST') {
+      return ok({ flowId, ...validateFlow(body) });
+    }
+    // Also table-free for drafts and the repo flows; a stored version needs the table
+    if (sub === 'simulate' && method === 'POST') return await handleSimulate(flowId, body);
+
+    if (!BOT_CONFIG_TABLE) {
+      return respond(503, { error: 'Bot config not configured' });
+    }
+    const query = event.queryStringParameters || {};
+    if (!sub && method === 'GET') return await handleGetFlow(flowId);
+    if (!sub && method === 'PUT') return await handleSaveFlow(flowId, body, { publish: true, note: query.note });
+    if (sub === 'versions' && method === 'GET') return await handleListVersions(flowId);
+    if (sub === 'versions' && method === 'POST') {
+      if (!body.flow) return badRequest('body must include flow (and optional note)');
+      return await handleSaveFlow(flowId, body.flow, { publish: false, note: body.note });
+    }
+    if (/^versions\/\d+$/.test(sub) && method === 'GET') return await handleGetVersion(flowId, Number(sub.split('/')[1]));
+    if (sub === 'diff' && method === 'GET') return await handleDiff(flowId, query);
+    if (sub === 'publish' && method === 'POST') return await handlePublish(flowId, body);
+    if (sub === 'rollback' && method === 'POST') return await handleRollback(flowId, body);
+
+    return respond(404, {
+      error: 'Not Found',
+      message: 'Endpoint not found',
+      availableEndpoints: [
+        'GET /api/flows',
+        'GET /api/flows/{flowId} (currently published flow)',
+        'PUT /api/flows/{flowId}?note={note} (body: flow JSON; stores a new version and publishes it)',
+        'POST /api/flows/{flowId}/validate (body: flow JSON; returns errors and warnings without saving)',
+        'POST /api/flows/{flowId}/simulate (body: { "inputs": ["hi", { "text", "replyId", "afterMinutes" }], "profile", "flow" or "version" optional }; nothing is sent or saved)',
+        'GET /api/flows/{flowId}/versions',
+        'POST /api/flows/{flowId}/versions (body: { "flow", "note" }; stores a draft)',
+        'GET /api/flows/{flowId}/versions/{version}',
+        'GET /api/flows/{flowId}/diff?from={version|published}&to={version|published}',
+        'POST /api/flows/{flowId}/publish (body: { "version" })',
+        'POST /api/flows/{flowId}/rollback (body: { "version" } optional; default previous published; 422 when that version no longer validates)',
+        'GET /api/flow-routing',
+        'PUT /api/flow-routing (body: { "defaultFlowId", "rules": [{ "flowId", "priority", "match": { "keywords", "campaigns", "phoneNumberIds", "crmStatuses" } }] })'
+      ]
+    });
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return respond(409, { error: 'Conflict', message: 'Flow was modified by another request; reload and retry' });
+    }
+    console.error(JSON.stringify({
+      message: 'Error processing flow API request',
+      error: error.message,
+      stack: error.stack,
+      path
+    }));
+    return respond(500, { success: false, error: 'Internal Server Error', message: error.message });
+  }
+};
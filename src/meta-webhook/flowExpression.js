@@ -0,0 +1,559 @@
+/**
+ * Expression language for condition nodes' "when", e.g.
+ *   profile.age >= 60 && stepData.interest == "music"
+ *   crm.status in ["registered", "activated"] or input matches "^(hi|hello)"
+ *   age(profile.dob) < 50 and not missing_city
+ * Sandboxed: parsed into a small AST and interpreted; no eval / Function, no method calls, no prototype access.
+ *
+ * Variables: profile.* (conversation profile), stepData.*, crm.* (UserProfile item, e.g. crm.status), input (reply text).
+ * A bare name from BUILT_IN_CONDITIONS (crm_lead, city_bangalore, ...) evaluates that named condition.
+ * Operators: || or, && and, ! not, == != < <= > >= (numeric strings compare as numbers), in (array or substring),
+ *   matches (case-insensitive regex, pattern given as a string; patterns prone to catastrophic backtracking are
+ *   rejected, see unsafePatternReason), + - * / %, parentheses, [array, literals].
+ * Functions: age(date), daysSince(date), daysUntilBirthday(date), year(date), month(date), day(date),
+ *   lower(text), upper(text), len(textOrArray), number(value), exists(value).
+ * Dates are DD-MM-YYYY (how save_dob stores them), DD/MM/YYYY, YYYY-MM-DD or epoch ms.
+ * Missing values are undefined: comparisons with them are false, so `profile.age < 50` is false when age is unknown.
+ */
+
+const MAX_SOURCE_LENGTH = 500;
+const MAX_DEPTH = 40;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_MATCH_INPUT = 1000;
+const ROOTS = ['profile', 'stepData', 'crm', 'input'];
+const BLOCKED_KEYS = ['__proto__', 'prototype', 'constructor'];
+const KEYWORDS = ['and', 'or', 'not', 'in', 'matches', 'true', 'false', 'null'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a date value the way flows store them.
+ * @param {*} value
+ * @returns {Date|null}
+ */
+function toDate(value) {
+  if (value instanceof Date) return isNaN(value) ? null : value;
+  if (typeof value === 'number') return Number.isFinite(value) ? new Date(value) : null;
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const t = value.trim();
+  let m = t.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return validDate(+m[1], +m[2], +m[3]);
+  m = t.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+  if (m) return validDate(+m[3], +m[2], +m[1]);
+  return null;
+}
+
+function validDate(y, m, d) {
+  const date = new Date(y, m - 1, d);
+  return date.getFullYear() === y && date.getMonth() === m - 1 && date.getDate() === d ? date : null;
+}
+
+function startOfToday() {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+}
+
+const FUNCTIONS = {
+  age(value) {
+    const d = toDate(value);
+    if (!d) return undefined;
+    const today = startOfToday();
+    let years = today.getFullYear() - d.getFullYear();
+    if (today.getMonth() < d.getMonth() || (today.getMonth() === d.getMonth() && today.getDate() < d.getDate())) years--;
+    return years;
+  },
+  daysSince(value) {
+    const d = toDate(value);
+    return d ? Math.floor((startOfToday() - new Date(d.getFullYear(), d.getMonth(), d.getDate())) / DAY_MS) : undefined;
+  },
+  daysUntilBirthday(value) {
+    const d = toDate(value);
+    if (!d) return undefined;
+    const today = startOfToday();
+    let next = new Date(today.getFullYear(), d.getMonth(), d.getDate());
+    if (next < today) next = new Date(today.getFullYear() + 1, d.getMonth(), d.getDate());
+    return Math.round((next - today) / DAY_MS);
+  },
+  year: (value) => toDate(value)?.getFullYear(),
+  month: (value) => { const d = toDate(value); return d ? d.getMonth() + 1 : undefined; },
+  day: (value) => toDate(value)?.getDate(),
+  lower: (value) => (value == null ? value : String(value).toLowerCase()),
+  upper: (value) => (value == null ? value : String(value).toUpperCase()),
+  len: (value) => (Array.isArray(value) || typeof value === 'string' ? value.length : 0),
+  number: (value) => toNumber(value),
+  exists: (value) => value !== undefined && value !== null && value !== ''
+};
+
+/** Names usable as functions in expressions. */
+const EXPRESSION_FUNCTIONS = Object.keys(FUNCTIONS);
+
+function syntaxError(message, pos) {
+  return new Error(`${message} at position ${pos + 1}`);
+}
+
+/** Whether two pattern atoms (see patternAtom) can match the same character. */
+function atomsOverlap(a, b) {
+  if (a === 'any' || b === 'any') return true;
+  if (a === b) return true;
+  const classes = { d: /\d/, w: /\w/, s: /\s/ };
+  if (classes[a] && classes[b]) return (a === 'd' && b === 'w') || (a === 'w' && b === 'd');
+  if (classes[a]) return classes[a].test(b);
+  if (classes[b]) return classes[b].test(a);
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * What one atom of a pattern matches, coarsely: 'd' / 'w' / 's' (\d \w \s), a single literal character, or 'any'
+ * (., negated escapes, classes, groups).
+ */
+function patternAtom(pattern, i) {
+  if (pattern[i] === '.') return 'any';
+  if (pattern[i] !== '\\') return pattern[i];
+  const next = pattern[i + 1];
+  if ('dws'.includes(next)) return next;
+  return /[a-zA-Z]/.test(next) ? 'any' : next;
+}
+
+/**
+ * Reject patterns that can backtrack catastrophically on a crafted reply (the webhook is single-threaded):
+ * a repeated group that itself repeats (star height > 1, e.g. "(a+)+"), an unbounded repeat of a group with
+ * alternatives ("(a|ab)*"), two adjacent unbounded repeats that can match the same characters ("\d+\d*", ".*.*"),
+ * and backreferences.
+ * @param {string} pattern
+ * @returns {string|null} Why the pattern is rejected
+ */
+function unsafePatternReason(pattern) {
+  const stack = [{ repeats: false, alternation: false, last: null, before: null, lastUnbounded: null }];
+  const startAtom = (frame, atom) => {
+    frame.before = frame.lastUnbounded;
+    frame.lastUnbounded = null;
+    frame.last = atom;
+  };
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    const frame = stack[stack.length - 1];
+    if (ch === '\\') {
+      const next = pattern[i + 1];
+      if (/[1-9]/.test(next) || (next === 'k' && pattern[i + 2] === '<')) return 'backreferences are not allowed';
+      if (next === 'b' || next === 'B') {
+        frame.last = null;
+        frame.lastUnbounded = null;
+      } else {
+        startAtom(frame, { match: patternAtom(pattern, i) });
+      }
+      i++;
+    } else if (ch === '[') {
+      let j = i + 1;
+      while (j < pattern.length && pattern[j] !== ']') j += pattern[j] === '\\' ? 2 : 1;
+      startAtom(frame, { match: 'any' });
+      i = j;
+    } else if (ch === '(') {
+      stack.push({ repeats: false, alternation: false, last: null, before: null, lastUnbounded: null });
+      const prefix = pattern.slice(i + 1).match(/^\?(?:[:=!]|<[=!]|<[^>]*>)/);
+      if (prefix) i += prefix[0].length;
+    } else if (ch === ')') {
+      if (stack.length === 1) continue;
+      const group = stack.pop();
+      const parent = stack[stack.length - 1];
+      if (group.repeats) parent.repeats = true;
+      startAtom(parent, { match: 'any', group });
+    } else if (ch === '|') {
+      Object.assign(frame, { alternation: true, last: null, before: null, lastUnbounded: null });
+    } else if (ch === '^' || ch === '$') {
+      frame.last = null;
+      frame.lastUnbounded = null;
+    } else if ('*+?{'.includes(ch)) {
+      let unbounded = ch === '*' || ch === '+';
+      let repeats = unbounded;
+      let optional = ch === '?';
+      if (ch === '{') {
+        const m = pattern.slice(i).match(/^\{(\d+)(,(\d*))?\}/);
+        if (!m) {
+          startAtom(frame, { match: '{' });
+          continue;
+        }
+        unbounded = m[2] !== undefined && m[3] === '';
+        repeats = unbounded || Number(m[3] || m[1]) > 1;
+        optional = !repeats && m[1] === '0';
+        i += m[0].length - 1;
+      }
+      if (pattern[i + 1] === '?') i++;
+      const atom = frame.last;
+      if (!atom) continue;
+      // An optional atom can match nothing, so the repeats on either side of it are still adjacent
+      if (optional) frame.lastUnbounded = frame.before;
+      if (!repeats) continue;
+      if (atom.group?.repeats) return 'nested repeats (e.g. "(a+)+") are not allowed';
+      if (unbounded && atom.group?.alternation) return 'repeating a group with alternatives (e.g. "(a|b)+") is not allowed';
+      if (unbounded && frame.before && atomsOverlap(frame.before.match, atom.match)) {
+        return 'adjacent repeats that match the same characters (e.g. "\\d+\\d*") are not allowed';
+      }
+      frame.repeats = true;
+      if (unbounded) frame.lastUnbounded = atom;
+    } else {
+      startAtom(frame, { match: patternAtom(pattern, i) });
+    }
+  }
+  return null;
+}
+
+/**
+ * Split source into tokens: { type: 'num'|'str'|'name'|'op', value, pos }.
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+      const m = source.slice(i).match(/^(\d+(\.\d+)?|\.\d+)/);
+      tokens.push({ type: 'num', value: Number(m[0]), pos: i });
+      i += m[0].length;
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      let j = i + 1;
+      let value = '';
+      while (j < source.length && source[j] !== ch) {
+        if (source[j] === '\\' && j + 1 < source.length) {
+          const esc = source[j + 1];
+          value += esc === 'n' ? '\n' : esc === 't' ? '\t' : esc;
+          j += 2;
+        } else {
+          value += source[j++];
+        }
+      }
+      if (j >= source.length) throw syntaxError('Unterminated string', i);
+      tokens.push({ type: 'str', value, pos: i });
+      i = j + 1;
+      continue;
+    }
+    if (/[A-Za-z_]/.test(ch)) {
+      const m = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*/);
+      tokens.push({ type: 'name', value: m[0], pos: i });
+      i += m[0].length;
+      continue;
+    }
+    const two = source.slice(i, i + 2);
+    if (['&&', '||', '==', '!=', '<=', '>='].includes(two)) {
+      tokens.push({ type: 'op', value: two, pos: i });
+      i += 2;
+      continue;
+    }
+    if ('!<>+-*/%()[],'.includes(ch)) {
+      tokens.push({ type: 'op', value: ch, pos: i });
+      i++;
+      continue;
+    }
+    throw syntaxError(`Unexpected character "${ch}"`, i);
+  }
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser. Precedence, lowest first: or, and, not, comparison, + -, * / %, unary -.
+ */
+function parse(source) {
+  const tokens = tokenize(source);
+  let p = 0;
+  let depth = 0;
+  const peek = () => tokens[p];
+  const isOp = (t, ...values) => t && t.type === 'op' && values.includes(t.value);
+  const isWord = (t, ...values) => t && t.type === 'name' && values.includes(t.value);
+  const expect = (value) => {
+    const t = tokens[p];
+    if (!isOp(t, value)) throw syntaxError(`Expected "${value}"`, t ? t.pos : source.length);
+    p++;
+  };
+  const nested = (fn) => {
+    if (++depth > MAX_DEPTH) throw syntaxError('Expression is nested too deeply', peek() ? peek().pos : source.length);
+    const node = fn();
+    depth--;
+    return node;
+  };
+
+  function parseOr() {
+    let left = parseAnd();
+    while (isOp(peek(), '||') || isWord(peek(), 'or')) {
+      p++;
+      left = { type: 'or', left, right: parseAnd() };
+    }
+    return left;
+  }
+  function parseAnd() {
+    let left = parseNot();
+    while (isOp(peek(), '&&') || isWord(peek(), 'and')) {
+      p++;
+      left = { type: 'and', left, right: parseNot() };
+    }
+    return left;
+  }
+  function parseNot() {
+    if (isOp(peek(), '!') || (isWord(peek(), 'not') && !isWord(tokens[p + 1], 'in'))) {
+      p++;
+      return nested(() => ({ type: 'not', arg: parseNot() }));
+    }
+    return parseComparison();
+  }
+  function parseComparison() {
+    const left = parseAdditive();
+    const t = peek();
+    if (isOp(t, '==', '!=', '<', '<=', '>', '>=')) {
+      p++;
+      return { type: 'compare', op: t.value, left, right: parseAdditive() };
+    }
+    if (isWord(t, 'in')) {
+      p++;
+      return { type: 'in', left, right: parseAdditive() };
+    }
+    if (isWord(t, 'not') && isWord(tokens[p + 1], 'in')) {
+      p += 2;
+      return { type: 'not', arg: { type: 'in', left, right: parseAdditive() } };
+    }
+    if (isWord(t, 'matches')) {
+      p++;
+      const right = parseAdditive();
+      if (right.type !== 'literal' || typeof right.value !== 'string') {
+        throw syntaxError('matches needs a string pattern', t.pos);
+      }
+      if (right.value.length > MAX_PATTERN_LENGTH) throw syntaxError(`Pattern longer than ${MAX_PATTERN_LENGTH} characters`, t.pos);
+      let regex;
+      try {
+        regex = new RegExp(right.value, 'i');
+      } catch (err) {
+        throw syntaxError(`Invalid pattern: ${err.message}`, t.pos);
+      }
+      const unsafe = unsafePatternReason(right.value);
+      if (unsafe) throw syntaxError(`Unsafe pattern: ${unsafe}`, t.pos);
+      return { type: 'matches', left, regex };
+    }
+    return left;
+  }
+  function parseAdditive() {
+    let left = parseMultiplicative();
+    while (isOp(peek(), '+', '-')) {
+      const op = tokens[p++].value;
+      left = { type: 'arith', op, left, right: parseMultiplicative() };
+    }
+    return left;
+  }
+  function parseMultiplicative() {
+    let left = parseUnary();
+    while (isOp(peek(), '*', '/', '%')) {
+      const op = tokens[p++].value;
+      left = { type: 'arith', op, left, right: parseUnary() };
+    }
+    return left;
+  }
+  function parseUnary() {
+    if (isOp(peek(), '-')) {
+      p++;
+      return nested(() => ({ type: 'negate', arg: parseUnary() }));
+    }
+    return parsePrimary();
+  }
+  function parsePrimary() {
+    const t = tokens[p];
+    if (!t) throw syntaxError('Unexpected end of expression', source.length);
+    if (t.type === 'num' || t.type === 'str') {
+      p++;
+      return { type: 'literal', value: t.value };
+    }
+    if (isOp(t, '(')) {
+      p++;
+      const inner = nested(parseOr);
+      expect(')');
+      return inner;
+    }
+    if (isOp(t, '[')) {
+      p++;
+      const items = [];
+      while (!isOp(peek(), ']')) {
+        items.push(nested(parseOr));
+        if (!isOp(peek(), ',')) break;
+        p++;
+      }
+      expect(']');
+      return { type: 'array', items };
+    }
+    if (t.type === 'name') {
+      p++;
+      if (t.value === 'true' || t.value === 'false') return { type: 'literal', value: t.value === 'true' };
+      if (t.value === 'null') return { type: 'literal', value: null };
+      if (KEYWORDS.includes(t.value)) throw syntaxError(`Unexpected "${t.value}"`, t.pos);
+      if (isOp(peek(), '(')) {
+        if (!FUNCTIONS[t.value]) throw syntaxError(`Unknown function "${t.value}"`, t.pos);
+        p++;
+        const args = [];
+        while (!isOp(peek(), ')')) {
+          args.push(nested(parseOr));
+          if (!isOp(peek(), ',')) break;
+          p++;
+        }
+        expect(')');
+        return { type: 'call', name: t.value, args };
+      }
+      const path = t.value.split('.');
+      if (path.some((k) => BLOCKED_KEYS.includes(k))) throw syntaxError(`"${t.value}" is not allowed`, t.pos);
+      if (path.length === 1 && t.value !== 'input') return { type: 'named', name: t.value, pos: t.pos };
+      if (!ROOTS.includes(path[0])) {
+        throw syntaxError(`Unknown variable "${path[0]}" (use ${ROOTS.join(', ')})`, t.pos);
+      }
+      return { type: 'path', path };
+    }
+    throw syntaxError(`Unexpected "${t.value}"`, t.pos);
+  }
+
+  if (tokens.length === 0) throw syntaxError('Empty expression', 0);
+  const ast = parseOr();
+  if (p < tokens.length) throw syntaxError(`Unexpected "${tokens[p].value}"`, tokens[p].pos);
+  return ast;
+}
+
+/**
+ * Collect the bare names an expression uses (named conditions).
+ * @param {object} ast
+ * @returns {Array<{ name: string, pos: number }>}
+ */
+function namedConditions(ast, out = []) {
+  if (!ast || typeof ast !== 'object') return out;
+  if (ast.type === 'named') out.push({ name: ast.name, pos: ast.pos });
+  for (const key of ['left', 'right', 'arg']) namedConditions(ast[key], out);
+  for (const item of ast.items || ast.args || []) namedConditions(item, out);
+  return out;
+}
+
+const compiled = new Map();
+const MAX_CACHED = 500;
+
+/**
+ * Parse an expression (cached). Throws Error with a position on syntax errors or unknown names.
+ * @param {string} source
+ * @param {string[]} knownNames - Named conditions a bare name may refer to
+ * @returns {object} AST
+ */
+function compileExpression(source, knownNames = []) {
+  if (typeof source !== 'string') throw new Error('Expression must be a string');
+  if (source.length > MAX_SOURCE_LENGTH) throw new Error(`Expression longer than ${MAX_SOURCE_LENGTH} characters`);
+  if (compiled.has(source)) return compiled.get(source);
+  const ast = parse(source);
+  const unknown = namedConditions(ast).find((n) => !knownNames.includes(n.name));
+  if (unknown) throw syntaxError(`Unknown condition or variable "${unknown.name}"`, unknown.pos);
+  if (compiled.size >= MAX_CACHED) compiled.clear();
+  compiled.set(source, ast);
+  return ast;
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+  return undefined;
+}
+
+function looseEquals(a, b) {
+  if (a === b) return true;
+  if (a == null || b == null) return a == null && b == null;
+  const na = toNumber(a);
+  const nb = toNumber(b);
+  if (na !== undefined && nb !== undefined) return na === nb;
+  return false;
+}
+
+function compare(op, a, b) {
+  if (op === '==') return looseEquals(a, b);
+  if (op === '!=') return !looseEquals(a, b);
+  const na = toNumber(a);
+  const nb = toNumber(b);
+  let x;
+  let y;
+  if (na !== undefined && nb !== undefined) {
+    x = na;
+    y = nb;
+  } else if (typeof a === 'string' && typeof b === 'string') {
+    x = a;
+    y = b;
+  } else {
+    return false;
+  }
+  if (op === '<') return x < y;
+  if (op === '<=') return x <= y;
+  if (op === '>') return x > y;
+  return x >= y;
+}
+
+function readPath(scope, path) {
+  let value = scope[path[0]];
+  for (let i = 1; i < path.length; i++) {
+    if (value == null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, path[i])) return undefined;
+    value = value[path[i]];
+  }
+  return value;
+}
+
+function evaluate(ast, scope, namedCondition) {
+  switch (ast.type) {
+    case 'literal': return ast.value;
+    case 'array': return ast.items.map((item) => evaluate(item, scope, namedCondition));
+    case 'path': return readPath(scope, ast.path);
+    case 'named': return !!namedCondition(ast.name);
+    case 'not': return !evaluate(ast.arg, scope, namedCondition);
+    case 'and': return !!evaluate(ast.left, scope, namedCondition) && !!evaluate(ast.right, scope, namedCondition);
+    case 'or': return !!evaluate(ast.left, scope, namedCondition) || !!evaluate(ast.right, scope, namedCondition);
+    case 'compare': return compare(ast.op, evaluate(ast.left, scope, namedCondition), evaluate(ast.right, scope, namedCondition));
+    case 'in': {
+      const needle = evaluate(ast.left, scope, namedCondition);
+      const haystack = evaluate(ast.right, scope, namedCondition);
+      if (Array.isArray(haystack)) return haystack.some((v) => looseEquals(needle, v));
+      if (typeof haystack === 'string' && needle != null) return haystack.includes(String(needle));
+      return false;
+    }
+    case 'matches': {
+      const value = evaluate(ast.left, scope, namedCondition);
+      return value != null && ast.regex.test(String(value).slice(0, MAX_MATCH_INPUT));
+    }
+    case 'negate': {
+      const n = toNumber(evaluate(ast.arg, scope, namedCondition));
+      return n === undefined ? undefined : -n;
+    }
+    case 'arith': {
+      const a = evaluate(ast.left, scope, namedCondition);
+      const b = evaluate(ast.right, scope, namedCondition);
+      if (ast.op === '+' && (typeof a === 'string' || typeof b === 'string') && toNumber(a) === undefined) {
+        return a == null || b == null ? undefined : String(a) + String(b);
+      }
+      const x = toNumber(a);
+      const y = toNumber(b);
+      if (x === undefined || y === undefined) return undefined;
+      if (ast.op === '+') return x + y;
+      if (ast.op === '-') return x - y;
+      if (ast.op === '*') return x * y;
+      if (y === 0) return undefined;
+      return ast.op === '/' ? x / y : x % y;
+    }
+    case 'call': return FUNCTIONS[ast.name](...ast.args.map((arg) => evaluate(arg, scope, namedCondition)));
+    default: return undefined;
+  }
+}
+
+/**
+ * Evaluate a compiled expression to a boolean.
+ * @param {object} ast - From compileExpression
+ * @param {{ profile?: object, stepData?: object, crm?: object, input?: string }} scope
+ * @param {(name: string) => boolean} namedCondition - Evaluates a built-in named condition
+ * @returns {boolean}
+ */
+function evaluateExpression(ast, scope, namedCondition = () => false) {
+  return !!evaluate(ast, {
+    profile: scope.profile || {},
+    stepData: scope.stepData || {},
+    crm: scope.crm || {},
+    input: scope.input || ''
+  }, namedCondition);
+}
+
+module.exports = {
+  compileExpression,
+  evaluateExpression,
+  toDate,
+  EXPRESSION_FUNCTIONS
+};
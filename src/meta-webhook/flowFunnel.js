@@ -0,0 +1,112 @@
+/**
+ * Flow funnel Lambda (WhatsAppMessageLog DynamoDB stream): per-flow, per-node, per-day counters in FlowFunnelStats
+ * for the dashboard's GET /dashboard/flows/{flowId}/funnel.
+ * Every flow log item carries flowId and flowStep: an inbound item the node the user replied at, an outbound item
+ * the node the reply left them on. Pairing the two per user (a small cursor item per mobile) gives, per node:
+ *   entries         times a user arrived at the node (moved there by a reply, or started / resumed there)
+ *   replies         inbound messages answered at the node
+ *   retries         replies that left the user on the same node (answer not accepted, menu shown again)
+ *   transitionsOut  replies that moved the user on; each also counts on its edge item (from -> to)
+ * Exits (entries that never moved on) are derived when reading. Only the nodes a user rests on are seen: nodes
+ * passed through within one reply (e.g. a condition) do not appear. Nudges and items without a flow are ignored.
+ * Counters are not idempotent: a batch the stream retries after a failure can count twice.
+ */
+const { unmarshall } = require('@aws-sdk/util-dynamodb');
+const { getFunnelCursors, saveFunnelCursor, addFunnelCounts } = require('./utils/dynamodb');
+
+const FUNNEL_STATS_TABLE = process.env.FLOW_FUNNEL_TABLE_NAME || '';
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+/**
+ * Funnel day (YYYY-MM-DD, India time) for a log timestamp; inbound items may hold Meta's epoch seconds.
+ * @param {number} timestamp
+ * @returns {string}
+ */
+function funnelDay(timestamp) {
+  const ms = timestamp < 1e12 ? timestamp * 1000 : timestamp;
+  return new Date(ms + IST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+/** Log item from a stream record, when it is a new flow message the funnel counts. */
+function flowLogItem(record) {
+  if (record.eventName !== 'INSERT' || !record.dynamodb?.NewImage) return null;
+  const item = unmarshall(record.dynamodb.NewImage);
+  if (!item.mobile || !item.flowId || !item.flowStep || item.nudgeId) return null;
+  if (item.direction !== 'inbound' && item.direction !== 'outbound') return null;
+  return item;
+}
+
+/**
+ * Apply one log item to the user's cursor and the pending counters.
+ * @param {object} item - WhatsAppMessageLog item (mobile, timestamp, direction, flowId, flowStep)
+ * @param {object|undefined} cursor - { flowId, step, pending } (pending: an inbound not yet answered)
+ * @param {(flowId: string, day: string, itemKey: string, attr: string) => void} count
+ * @returns {object} Updated cursor
+ */
+function applyLogItem(item, cursor, count) {
+  const { flowId, flowStep: step } = item;
+  const day = funnelDay(item.timestamp);
+  if (item.direction === 'inbound') {
+    if (!cursor || cursor.flowId !== flowId || cursor.step !== step) count(flowId, day, `node#${step}`, 'entries');
+    count(flowId, day, `node#${step}`, 'replies');
+    return { flowId, step, pending: true };
+  }
+  // Outbound: only the first message answering a reply tells where the reply led
+  if (!cursor || !cursor.pending || cursor.flowId !== flowId) return cursor;
+  if (step === cursor.step) {
+    count(flowId, day, `node#${step}`, 'retries');
+  } else {
+    count(flowId, day, `node#${cursor.step}`, 'transitionsOut');
+    count(flowId, day, `edge#${cursor.step}>${step}`, 'count');
+    count(flowId, day, `node#${step}`, 'entries');
+  }
+  return { flowId, step, pending: false };
+}
+
+/**
+ * DynamoDB stream handler. Records of one user arrive in order; cursors are read once per batch and written back
+ * with the summed counters at the end.
+ */
+exports.handler = async (event) => {
+  if (!FUNNEL_STATS_TABLE) {
+    console.warn(JSON.stringify({ event: 'funnel_not_configured', reason: 'FLOW_FUNNEL_TABLE_NAME missing' }));
+    return { processed: 0 };
+  }
+  const items = (event.Records || []).map(flowLogItem).filter(Boolean);
+  if (!items.length) return { processed: 0 };
+
+  const cursors = await getFunnelCursors(FUNNEL_STATS_TABLE, [...new Set(items.map((i) => i.mobile))]);
+  const counters = new Map(); // "statsKey|itemKey" -> { attr: n }
+  const count = (flowId, day, itemKey, attr) => {
+    const key = `${flowId}#${day}|${itemKey}`;
+    const counts = counters.get(key) || {};
+    counts[attr] = (counts[attr] || 0) + 1;
+    counters.set(key, counts);
+  };
+  const touched = new Set();
+  for (const item of items) {
+    const next = applyLogItem(item, cursors.get(item.mobile), count);
+    if (next !== cursors.get(item.mobile)) {
+      cursors.set(item.mobile, next);
+      touched.add(item.mobile);
+    }
+  }
+
+  for (const [key, counts] of counters) {
+    const [statsKey, itemKey] = key.split('|');
+    await addFunnelCounts(FUNNEL_STATS_TABLE, statsKey, itemKey, counts);
+  }
+  await Promise.all([...touched].map((mobile) => saveFunnelCursor(FUNNEL_STATS_TABLE, mobile, cursors.get(mobile))));
+
+  console.log(JSON.stringify({
+    event: 'funnel_batch_processed',
+    records: event.Records.length,
+    flowItems: items.length,
+    counters: counters.size,
+    users: touched.size
+  }));
+  return { processed: items.length };
+};
+
+exports.applyLogItem = applyLogItem;
+exports.funnelDay = funnelDay;
@@ -1,12 +1,14 @@
 /**
  * Flow loader: load flow definition from DynamoDB (BotConfig) first, then filesystem fallback.
  * Schema: { id, start, nodes: { nodeId: { type, next?, messageKey?, conditions?, options?, ... } }, messages?: { key: "template {{var}}" } }
+ * A DB flow that fails validateFlow is refused and the repo copy in ./flows is used instead.
  * Cache TTL 60s so PM updates (via API) can take effect without redeploy.
  */
 const path = require('path');
 const fs = require('fs').promises;
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const { DynamoDBDocumentClient, GetCommand } = require('@aws-sdk/lib-dynamodb');
+const { validateFlow } = require('./flowValidator');
 
 const CACHE_TTL_MS = 60 * 1000;
 const cache = new Map();
@@ -35,6 +37,11 @@ async function loadFlow(flowId) {
       const item = res.Item;
       if (item && item.flow != null) {
         flow = typeof item.flow === 'string' ? JSON.parse(item.flow) : item.flow;
+        const { valid, errors } = validateFlow(flow);
+        if (!valid) {
+          console.error(JSON.stringify({ message: 'flow_db_invalid_fallback_to_file', flowId: key, errors: errors.slice(0, 20) }));
+          flow = null;
+        }
       }
     } catch (err) {
       console.warn(JSON.stringify({ message: 'flow_load_db_error', flowId: key, error: err.message }));
@@ -47,6 +54,11 @@ async function loadFlow(flowId) {
     try {
       const raw = await fs.readFile(filePath, 'utf8');
       flow = JSON.parse(raw);
+      const { valid, errors } = validateFlow(flow);
+      if (!valid) {
+        // Repo copy is the last resort: log loudly but still serve it
+        console.error(JSON.stringify({ message: 'flow_file_invalid', flowId: key, errors: errors.slice(0, 20) }));
+      }
     } catch (err) {
       if (err.code === 'ENOENT') {
         console.warn(JSON.stringify({ message: 'flow_not_found', flowId: key }));
@@ -66,6 +78,20 @@ async function loadFlow(flowId) {
   return flow;
 }
 
+/**
+ * Ids of the flows shipped in ./flows (always loadable, even with nothing in DB).
+ * @returns {Promise<string[]>}
+ */
+async function listFileFlowIds() {
+  try {
+    const files = await fs.readdir(path.join(path.resolve(__dirname), 'flows'));
+    return files.filter((f) => f.endsWith('.json')).map((f) => f.slice(0, -'.json'.length)).sort();
+  } catch (err) {
+    console.warn(JSON.stringify({ message: 'flow_list_files_error', error: err.message }));
+    return [];
+  }
+}
+
 /**
  * Invalidate cache for a flow (call after API updates flow).
  * @param {string} [flowId] - If provided, clear only this id; else clear all.
@@ -75,4 +101,4 @@ function invalidateFlowCache(flowId) {
   else cache.clear();
 }
 
-module.exports = { loadFlow, invalidateFlowCache };
+module.exports = { loadFlow, invalidateFlowCache, listFileFlowIds };
@@ -0,0 +1,219 @@
+/**
+ * Flow router: pick which flow handles an inbound message.
+ * Routing table lives in BotConfig (configKey 'flowRouting'):
+ *   {
+ *     defaultFlowId: 'marzi-lead',
+ *     rules: [{
+ *       id?, flowId, priority?,            // higher priority wins; ties keep array order
+ *       match: {
+ *         keywords?: ['antakshari'],       // message text equals keyword or starts with "keyword " (wa.me deep links)
+ *         campaigns?: ['120210000000'],    // Click-to-WhatsApp ad referral source_id / source_url
+ *         phoneNumberIds?: ['1234567890'], // receiving business number
+ *         crmStatuses?: ['new', 'lead', 'registered', 'activated']
+ *       }
+ *     }]
+ *   }
+ * Keyword/campaign rules are entry points: they start their flow even mid-conversation.
+ * Number/CRM rules only apply when the user has no active flow, so a user stays in the flow they started.
+ * All matchers given in one rule must match.
+ */
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { normalizeText } = require('./utils/helpers');
+
+const BOT_CONFIG_TABLE = process.env.BOT_CONFIG_TABLE_NAME || '';
+const ROUTING_CONFIG_KEY = 'flowRouting';
+const CRM_STATUSES = ['new', 'lead', 'registered', 'activated'];
+const ENTRY_MATCHERS = ['keywords', 'campaigns'];
+const CONTEXT_MATCHERS = ['phoneNumberIds', 'crmStatuses'];
+
+const dynamoClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+let routingCached = null;
+let routingCacheTime = 0;
+const ROUTING_CACHE_MS = 60 * 1000;
+
+/**
+ * Get routing table from BotConfig (cached 60s). Missing table/item means "no rules".
+ * @returns {Promise<{ defaultFlowId?: string, rules: object[] }>}
+ */
+async function getRoutingConfig() {
+  if (!BOT_CONFIG_TABLE) return { rules: [] };
+  if (routingCached && Date.now() - routingCacheTime < ROUTING_CACHE_MS) return routingCached;
+  try {
+    const res = await dynamoClient.send(new GetCommand({
+      TableName: BOT_CONFIG_TABLE,
+      Key: { configKey: ROUTING_CONFIG_KEY }
+    }));
+    const item = res.Item || {};
+    routingCached = {
+      ...(item.defaultFlowId && { defaultFlowId: item.defaultFlowId }),
+      rules: Array.isArray(item.rules) ? item.rules : [],
+      ...(item.updatedAt && { updatedAt: item.updatedAt })
+    };
+  } catch (err) {
+    console.warn(JSON.stringify({ message: 'flow_routing_load_error', error: err.message }));
+    routingCached = { rules: [] };
+  }
+  routingCacheTime = Date.now();
+  return routingCached;
+}
+
+/**
+ * Save routing table (caller validates first) and drop this container's cache.
+ * @param {{ defaultFlowId?: string, rules: object[] }} config
+ * @returns {Promise<object>} Saved item without configKey
+ */
+async function saveRoutingConfig(config) {
+  const item = {
+    configKey: ROUTING_CONFIG_KEY,
+    ...(config.defaultFlowId && { defaultFlowId: config.defaultFlowId }),
+    rules: config.rules || [],
+    updatedAt: Date.now()
+  };
+  await dynamoClient.send(new PutCommand({ TableName: BOT_CONFIG_TABLE, Item: item }));
+  routingCached = null;
+  const { configKey, ...saved } = item;
+  return saved;
+}
+
+/**
+ * Check a routing table before saving.
+ * @param {object} config
+ * @param {string[]} knownFlowIds - Flows that can be loaded (repo files + DB)
+ * @returns {{ valid: boolean, errors: Array<{ code: string, rule?: number, message: string }> }}
+ */
+function validateRoutingConfig(config, knownFlowIds) {
+  const errors = [];
+  const error = (code, message, rule) => errors.push({ code, ...(rule != null && { rule }), message });
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    error('routing_not_object', 'Routing config must be a JSON object');
+    return { valid: false, errors };
+  }
+  if (config.defaultFlowId != null && !knownFlowIds.includes(config.defaultFlowId)) {
+    error('flow_unknown', `defaultFlowId "${config.defaultFlowId}" is not a known flow`);
+  }
+  if (config.rules != null && !Array.isArray(config.rules)) {
+    error('rules_not_array', '"rules" must be an array');
+    return { valid: false, errors };
+  }
+  (config.rules || []).forEach((rule, i) => {
+    if (!rule || typeof rule !== 'object') {
+      error('rule_not_object', `rules[${i}] must be an object`, i);
+      return;
+    }
+    if (!rule.flowId) error('flow_missing', `rules[${i}] has no flowId`, i);
+    else if (!knownFlowIds.includes(rule.flowId)) error('flow_unknown', `rules[${i}].flowId "${rule.flowId}" is not a known flow`, i);
+    if (rule.priority != null && typeof rule.priority !== 'number') {
+      error('priority_invalid', `rules[${i}].priority must be a number`, i);
+    }
+    const match = rule.match || {};
+    const used = [...ENTRY_MATCHERS, ...CONTEXT_MATCHERS].filter((k) => match[k] != null);
+    if (used.length === 0) {
+      error('match_empty', `rules[${i}] needs at least one of ${[...ENTRY_MATCHERS, ...CONTEXT_MATCHERS].join(', ')}`, i);
+    }
+    for (const k of used) {
+      if (!Array.isArray(match[k]) || match[k].length === 0 || match[k].some((v) => typeof v !== 'string' || !v.trim())) {
+        error('match_invalid', `rules[${i}].match.${k} must be a non-empty array of strings`, i);
+      }
+    }
+    (Array.isArray(match.crmStatuses) ? match.crmStatuses : []).forEach((s) => {
+      if (!CRM_STATUSES.includes(s)) error('crm_status_unknown', `rules[${i}] uses unknown CRM status "${s}" (expected ${CRM_STATUSES.join(', ')})`, i);
+    });
+  });
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * CRM status as used by routing: 'new' when the user has no profile yet (same as crm_new condition).
+ * @param {object|null} userProfile
+ * @returns {string}
+ */
+function getCrmStatus(userProfile) {
+  if (!userProfile || !userProfile.mobile) return 'new';
+  return userProfile.status || 'lead';
+}
+
+/**
+ * Whether a conversation state has finished its flow (sits on an end_conversation action or a node that no longer exists).
+ * @param {object} flow
+ * @param {object} state
+ * @returns {boolean}
+ */
+function isConversationEnded(flow, state) {
+  const node = flow?.nodes?.[state?.currentStep];
+  return !node || (node.type === 'action' && node.action === 'end_conversation');
+}
+
+function matchesKeyword(text, keywords) {
+  const t = normalizeText(text);
+  if (!t) return false;
+  return keywords.some((k) => {
+    const kw = normalizeText(k);
+    return t === kw || t.startsWith(kw + ' ');
+  });
+}
+
+function matchesCampaign(referral, campaigns) {
+  if (!referral) return false;
+  return campaigns.some((c) => c === referral.sourceId || (referral.sourceUrl && referral.sourceUrl.includes(c)));
+}
+
+/**
+ * @param {object} rule
+ * @param {{ text: string, referral?: object, phoneNumberId: string, crmStatus: string }} ctx
+ */
+function ruleMatches(rule, ctx) {
+  const match = rule.match || {};
+  if (match.keywords && !matchesKeyword(ctx.text, match.keywords)) return false;
+  if (match.campaigns && !matchesCampaign(ctx.referral, match.campaigns)) return false;
+  if (match.phoneNumberIds && !match.phoneNumberIds.includes(ctx.phoneNumberId)) return false;
+  if (match.crmStatuses && !match.crmStatuses.includes(ctx.crmStatus)) return false;
+  return true;
+}
+
+const isEntryRule = (rule) => ENTRY_MATCHERS.some((k) => rule.match && rule.match[k] != null);
+
+/**
+ * Pick the flow for one inbound message. Pure function.
+ * @param {object} params
+ * @param {{ defaultFlowId?: string, rules: object[] }} params.config - Routing table
+ * @param {string|null} params.activeFlowId - Flow of the user's unfinished conversation, or null
+ * @param {string} params.text - Message text
+ * @param {object} [params.referral] - { sourceId, sourceUrl, ... } from a Click-to-WhatsApp ad
+ * @param {string} params.phoneNumberId - Receiving business number id
+ * @param {object|null} params.userProfile
+ * @param {string} params.defaultFlowId - Fallback when the table has no default
+ * @returns {{ flowId: string, reason: string, ruleId?: string, newConversation: boolean }}
+ */
+function selectFlow({ config, activeFlowId, text, referral, phoneNumberId, userProfile, defaultFlowId }) {
+  const ctx = { text, referral, phoneNumberId, crmStatus: getCrmStatus(userProfile) };
+  const rules = (config?.rules || [])
+    .map((rule, index) => ({ rule, index }))
+    .filter(({ rule }) => rule && rule.flowId)
+    .sort((a, b) => (b.rule.priority || 0) - (a.rule.priority || 0) || a.index - b.index);
+  const ruleId = (r) => (r.rule.id != null ? String(r.rule.id) : `rules[${r.index}]`);
+
+  const entry = rules.find((r) => isEntryRule(r.rule) && ruleMatches(r.rule, ctx));
+  if (entry) {
+    return { flowId: entry.rule.flowId, reason: 'entry_rule', ruleId: ruleId(entry), newConversation: true };
+  }
+  if (activeFlowId) {
+    return { flowId: activeFlowId, reason: 'active_conversation', newConversation: false };
+  }
+  const contextRule = rules.find((r) => !isEntryRule(r.rule) && ruleMatches(r.rule, ctx));
+  if (contextRule) {
+    return { flowId: contextRule.rule.flowId, reason: 'context_rule', ruleId: ruleId(contextRule), newConversation: true };
+  }
+  return { flowId: config?.defaultFlowId || defaultFlowId, reason: 'default', newConversation: true };
+}
+
+module.exports = {
+  getRoutingConfig,
+  saveRoutingConfig,
+  validateRoutingConfig,
+  selectFlow,
+  isConversationEnded,
+  getCrmStatus,
+  CRM_STATUSES
+};
@@ -1,56 +1,551 @@
 /**
  * Flow runner: given state + user input + flow definition, evaluate current node and return response.
- * Node types: message (send text, go to next), menu (match options), condition (branch by when), action (update CRM/state, then next).
- * Message templates use {{name}}, {{city}}, etc. substituted from state.userProfile and stepData.
+ * Node types: message (send text, optionally with image/document/video media, go to next), template (send approved WhatsApp template, go to next), menu (match options),
+ * condition (branch by when: named condition or expression, see flowExpression), action (registered in actions/: update CRM/state or raise side effects, then next),
+ * input (store the reply in node.field after a typed validator from utils/inputValidators; retries, then onFail).
+ * flow.intents: global keywords (restart, main menu, human, stop; any language) checked before the current node.
+ * flow.timeout / node.timeout: after that many idle minutes the next reply restarts from a resume node (getSessionTimeout).
+ * Menus can render as WhatsApp reply buttons / list (node.render); option ids are "{nodeId}:{value}" so replies match by id.
+ * Message templates use {{name}}, {{city}}, etc. substituted from state.userProfile and stepData, with defaults,
+ * filters and sections (flowTemplate); flow.strictTemplates logs variables that had no value.
+ * flow.translations: per-locale message catalogs; keys resolve in the user's locale (profile.language), falling back
+ * to flow.messages. flow.locales.detect sets the locale from the script of the user's first non-English reply.
  * Memory: avoids large string duplication; reuses state object for updates.
  */
 const {
-  calculateAge,
+  normalizeText,
   isValidDOB,
-  normalizeDOB,
-  normalizeNameForDisplay,
   isYes,
   isNo,
   getMenuOption,
   extractName,
   extractDOB,
   extractCity,
-  isBangaloreFuzzy
+  isBangaloreFuzzy,
+  detectScriptLocale
 } = require('./utils/helpers');
+const { getAction, executeAction, listActionNames, ESCALATION_EFFECTS } = require('./actions');
+const { compileExpression, evaluateExpression } = require('./flowExpression');
+const { validateInput } = require('./utils/inputValidators');
+const { substituteTemplate } = require('./flowTemplate');
+
+/** Node types the runner knows how to evaluate. */
+const NODE_TYPES = ['message', 'template', 'menu', 'condition', 'action', 'input'];
+
+/** How a menu node is shown: plain text (default), reply buttons or list message. */
+const MENU_RENDERS = ['text', 'buttons', 'list'];
+
+/** WhatsApp Cloud API limits for interactive messages. */
+const INTERACTIVE_LIMITS = {
+  buttons: 3,
+  listRows: 10,
+  buttonTitle: 20,
+  rowTitle: 24,
+  rowDescription: 72,
+  listButtonText: 20
+};
+
+/** Media a message node can attach (node.media.type). */
+const MEDIA_TYPES = ['image', 'document', 'video'];
+
+/** Failed replies on an input / action node with onFail before moving to onFail. */
+const DEFAULT_MAX_RETRIES = 3;
+
+/** Re-ask for an input node without a retry / message key, when the flow has no input_retry message. */
+const DEFAULT_RETRY_MESSAGE = 'Could you please provide that again?';
+
+/** Longest pause before a message that node.delayMs can ask for. */
+const MAX_NODE_DELAY_MS = 5000;
+
+/**
+ * Built-in behaviours a global intent (flow.intents) can run: restart (clear stepData, go to flow start),
+ * human (raise supportEscalation), stop (raise optOut: the webhook records the opt-out in UserConsent).
+ */
+const INTENT_BEHAVIORS = ['restart', 'human', 'stop'];
+
+/** Locale of flow.messages unless flow.locales.default says otherwise. */
+const DEFAULT_LOCALE = 'en';
+
+/** Profile field holding the user's locale (set by a language input node or detection; saved on UserProfile). */
+const LOCALE_FIELD = 'language';
+
+/** Actions that consume the user's reply; the conversation waits on these nodes (see actions/). */
+const INPUT_ACTIONS = listActionNames(true);
+
+/** Actions that run without input (side effects / routing only). */
+const NO_INPUT_ACTIONS = listActionNames(false);
+
+/** Named "when" values understood by evaluateCondition. */
+const BUILT_IN_CONDITIONS = [
+  'crm_new',
+  'crm_lead',
+  'crm_registered',
+  'crm_activated',
+  'age_under_50',
+  'age_50_plus',
+  'city_bangalore',
+  'city_other',
+  'missing_name',
+  'missing_dob',
+  'missing_city',
+  'valid_name',
+  'valid_dob',
+  'valid_city'
+];
 
 /**
- * Substitute {{var}} in template with values from profile, stepData, and flow.links.
- * @param {string} template - e.g. "Lovely to meet you, {{name}}!" or "Join here: {{main_community_link}}"
- * @param {object} profile - userProfile from state
- * @param {object} stepData - state.stepData
- * @param {object} links - flow.links (URLs for {{link_key}} placeholders)
+ * Substitute a flow text with the flow's links and strict setting.
+ * @param {object} flow
+ * @param {string} text
+ * @param {object} profile
+ * @param {object} stepData
+ * @param {string} [source] - Message key or node id, for the strict-mode log
  * @returns {string}
  */
-function substituteTemplate(template, profile = {}, stepData = {}, links = {}) {
-  if (!template || typeof template !== 'string') return '';
-  return template.replace(/\{\{(\w+)\}\}/g, (_, key) => {
-    if (profile[key] !== undefined && profile[key] !== null) return String(profile[key]);
-    if (stepData[key] !== undefined && stepData[key] !== null) return String(stepData[key]);
-    if (links[key] !== undefined && links[key] !== null) return String(links[key]);
-    return '';
+function fillTemplate(flow, text, profile, stepData, source) {
+  return substituteTemplate(text, profile, stepData, flow.links || {}, {
+    strict: flow.strictTemplates === true,
+    flowId: flow.id,
+    source
   });
 }
 
 /**
- * Resolve message text: from flow.messages[key] or node.text, then substitute.
+ * Locale messages are resolved in: profile.language when flow.locales.supported lists it, else the flow default.
+ * @param {object} flow - flow.locales: { default?: 'en', supported: ['en', 'hi', ...], detect?: boolean }
+ * @param {object} [profile]
+ * @returns {string}
+ */
+function getLocale(flow, profile) {
+  const locales = flow.locales || {};
+  const language = profile && profile[LOCALE_FIELD];
+  if (language && Array.isArray(locales.supported) && locales.supported.includes(language)) return language;
+  return locales.default || DEFAULT_LOCALE;
+}
+
+/**
+ * Text of a message key in the user's locale: flow.translations[locale][key], else flow.messages[key].
+ * @param {object} flow
+ * @param {string} key
+ * @param {object} [profile]
+ * @returns {string|undefined} Unsubstituted text
+ */
+function getMessageText(flow, key, profile) {
+  const catalog = (flow.translations || {})[getLocale(flow, profile)];
+  if (catalog && typeof catalog[key] === 'string' && catalog[key]) return catalog[key];
+  return (flow.messages || {})[key];
+}
+
+/**
+ * Resolve message text: from the message catalogs (getMessageText) or node.text, then substitute.
  */
 function resolveMessage(flow, node, profile, stepData) {
-  const messages = flow.messages || {};
-  const links = flow.links || {};
-  const text = node.messageKey ? (messages[node.messageKey] || node.messageKey) : (node.text || '');
-  return substituteTemplate(text, profile, stepData, links);
+  const text = node.messageKey ? (getMessageText(flow, node.messageKey, profile) || node.messageKey) : (node.text || '');
+  return fillTemplate(flow, text, profile, stepData, node.messageKey);
 }
 
 /**
- * Evaluate condition "when" string against current state/profile/input.
- * Supports: crm_new, crm_lead, crm_registered, crm_activated, age_under_50, age_50_plus, city_bangalore, city_other, valid_dob, valid_name, valid_city.
+ * Pacing fields copied from a node onto its outbound message: delayMs (wait before sending) and typing
+ * (show the typing indicator while waiting). delayMs is capped at MAX_NODE_DELAY_MS.
+ * @param {object} node
+ * @returns {{ delayMs?: number, typing?: boolean }}
  */
-function evaluateCondition(when, state, userInput, userProfile) {
+function nodePacing(node) {
+  if (!node) return {};
+  const delayMs = Number(node.delayMs);
+  return {
+    ...(delayMs > 0 && { delayMs: Math.min(delayMs, MAX_NODE_DELAY_MS) }),
+    ...(node.typing === true && { typing: true })
+  };
+}
+
+function textMessage(node, body) {
+  return { type: 'text', body, ...nodePacing(node) };
+}
+
+function truncate(text, max) {
+  const t = String(text || '').trim();
+  return t.length > max ? t.slice(0, max - 1).trimEnd() + '…' : t;
+}
+
+/**
+ * Reply id for a menu option; WhatsApp echoes it back in button_reply / list_reply.
+ * @param {string} nodeId
+ * @param {object} option - { value, ... }
+ * @returns {string}
+ */
+function menuOptionId(nodeId, option) {
+  return `${nodeId}:${option.value}`;
+}
+
+/**
+ * @param {string} [replyId] - "{nodeId}:{value}" from an interactive reply
+ * @returns {{ nodeId: string, value: string }|null}
+ */
+function parseReplyId(replyId) {
+  if (!replyId || typeof replyId !== 'string') return null;
+  const i = replyId.indexOf(':');
+  if (i <= 0) return null;
+  return { nodeId: replyId.slice(0, i), value: replyId.slice(i + 1) };
+}
+
+/**
+ * Media message for a message node with node.media = { type, url | id, filename? }; the node text becomes the caption.
+ * url may use {{link_key}} placeholders from flow.links.
+ * @returns {{ type: string, body: string, media: { url?: string, id?: string, filename?: string } }}
+ */
+function buildMediaMessage(flow, node, caption, profile, stepData) {
+  const spec = node.media;
+  const url = spec.url ? fillTemplate(flow, spec.url, profile, stepData, 'media.url').trim() : '';
+  return {
+    type: spec.type,
+    body: caption || '',
+    media: {
+      ...(url ? { url } : { id: String(spec.id) }),
+      ...(spec.type === 'document' && spec.filename && { filename: fillTemplate(flow, spec.filename, profile, stepData, 'media.filename') })
+    },
+    ...nodePacing(node)
+  };
+}
+
+/** Nodes that just send something and move on (no user input). */
+function isSendNode(node) {
+  return !!node && (node.type === 'message' || node.type === 'template');
+}
+
+/**
+ * Resolve one template parameter binding: "{{name}}" / literal text, or { value: "{{name}}", default: "friend" }.
+ * Meta rejects empty text parameters, so an empty result falls back to default, then "-".
+ */
+function resolveTemplateBinding(flow, binding, profile, stepData) {
+  const isObject = binding && typeof binding === 'object';
+  const value = fillTemplate(flow, String(isObject ? binding.value || '' : binding || ''), profile, stepData, 'template').trim();
+  if (value) return value;
+  return (isObject && binding.default != null && String(binding.default)) || '-';
+}
+
+/**
+ * Build a WhatsApp template (HSM) message from a flow spec. Templates can be sent outside the 24h session window.
+ * @param {object} flow
+ * @param {{ name: string, language?: string, header?: Array, body?: Array, buttons?: Array<{ index: number, subType?: 'quick_reply'|'url', param: * }> }} spec
+ * @param {object} profile
+ * @param {object} stepData
+ * @returns {{ type: 'template', body: string, template: { name: string, language: string, components: object[] } }|null}
+ */
+function buildTemplateMessage(flow, spec, profile, stepData) {
+  if (!spec || !spec.name) return null;
+  const resolve = (b) => resolveTemplateBinding(flow, b, profile, stepData);
+  const header = Array.isArray(spec.header) ? spec.header.map(resolve) : [];
+  const body = Array.isArray(spec.body) ? spec.body.map(resolve) : [];
+  const components = [];
+  if (header.length) components.push({ type: 'header', parameters: header.map((text) => ({ type: 'text', text })) });
+  if (body.length) components.push({ type: 'body', parameters: body.map((text) => ({ type: 'text', text })) });
+  (Array.isArray(spec.buttons) ? spec.buttons : []).forEach((b) => {
+    const subType = b.subType === 'url' ? 'url' : 'quick_reply';
+    const value = resolve(b.param);
+    components.push({
+      type: 'button',
+      sub_type: subType,
+      index: String(b.index || 0),
+      parameters: [subType === 'url' ? { type: 'text', text: value } : { type: 'payload', payload: value }]
+    });
+  });
+  return {
+    type: 'template',
+    // Logged as messageText; the real text lives in the approved template
+    body: `[template ${spec.name}]${body.length ? ' ' + body.join(' | ') : ''}`,
+    template: { name: spec.name, language: spec.language || 'en', components }
+  };
+}
+
+/**
+ * Build the outbound message for a node: template for template nodes, text, or interactive buttons/list for menus with render set.
+ * Option titles are trimmed to WhatsApp limits; a list row keeps the full label as its description when trimmed.
+ * @param {object} flow
+ * @param {string} nodeId
+ * @param {object} profile
+ * @param {object} stepData
+ * @returns {{ type: 'text', body: string }|{ type: 'image'|'document'|'video', body: string, media: object }|{ type: 'template', body: string, template: object }|{ type: 'interactive', body: string, render: string, options: Array<{ id: string, title: string, description?: string }>, buttonText?: string }|null}
+ */
+function buildNodeMessage(flow, nodeId, profile, stepData) {
+  const node = (flow.nodes || {})[nodeId];
+  if (!node) return null;
+  if (node.type === 'template') {
+    const msg = buildTemplateMessage(flow, node.template, profile, stepData);
+    return msg ? { ...msg, ...nodePacing(node) } : null;
+  }
+  const body = resolveMessage(flow, node, profile, stepData);
+  if (node.type === 'message' && node.media && MEDIA_TYPES.includes(node.media.type)) {
+    return buildMediaMessage(flow, node, body, profile, stepData);
+  }
+  if (!body) return null;
+  const render = node.type === 'menu' ? node.render : null;
+  if (render !== 'buttons' && render !== 'list') return textMessage(node, body);
+
+  const isList = render === 'list';
+  const options = (node.options || [])
+    .slice(0, isList ? INTERACTIVE_LIMITS.listRows : INTERACTIVE_LIMITS.buttons)
+    .map((o) => {
+      const label = fillTemplate(flow, String(o.title || o.label || o.value), profile, stepData, nodeId);
+      const title = truncate(label, isList ? INTERACTIVE_LIMITS.rowTitle : INTERACTIVE_LIMITS.buttonTitle);
+      const description = isList
+        ? (o.description ? fillTemplate(flow, o.description, profile, stepData, nodeId) : (title !== label.trim() ? label : ''))
+        : '';
+      return {
+        id: menuOptionId(nodeId, o),
+        title,
+        ...(description && { description: truncate(description, INTERACTIVE_LIMITS.rowDescription) })
+      };
+    });
+  return {
+    type: 'interactive',
+    body,
+    render,
+    options,
+    ...(isList && { buttonText: truncate(node.buttonText || 'Choose', INTERACTIVE_LIMITS.listButtonText) }),
+    ...nodePacing(node)
+  };
+}
+
+/**
+ * Emit a node's message and keep following message nodes (welcome -> intro -> menu prompt) until a node that
+ * waits for the user: a menu (its prompt is sent), an action or condition, or a message without next.
+ * @param {object} flow
+ * @param {string} nodeId - First node to emit
+ * @param {object} profile
+ * @param {object} stepData
+ * @param {Array<object>} outMessages - Appended to
+ * @param {string[]} [trace] - Node ids sent are appended (flow simulator)
+ * @returns {string} Node id the conversation rests on
+ */
+function emitMessages(flow, nodeId, profile, stepData, outMessages, trace) {
+  const nodes = flow.nodes || {};
+  const seen = new Set();
+  let id = nodeId;
+  while (nodes[id] && !seen.has(id)) {
+    seen.add(id);
+    const node = nodes[id];
+    if (!isSendNode(node) && node.type !== 'menu') return id;
+    if (trace) trace.push(id);
+    const msg = buildNodeMessage(flow, id, profile, stepData);
+    if (msg) outMessages.push(msg);
+    if (node.type === 'menu' || !node.next) return id;
+    id = node.next;
+  }
+  return id;
+}
+
+/**
+ * Send an action node's messageKey (e.g. the community link after trigger_activation_meetups).
+ * @param {object} flow
+ * @param {object} node
+ * @param {{ profile: object, stepData: object, outMessages: Array<object> }} ctx
+ */
+function emitActionMessage(flow, node, ctx) {
+  if (!node.messageKey) return;
+  const body = resolveMessage(flow, node, ctx.profile, ctx.stepData);
+  if (body) ctx.outMessages.push(textMessage(node, body));
+}
+
+/**
+ * Fields the flow's input nodes write, without the scope prefix.
+ * @param {object} flow
+ * @param {'profile'|'stepData'} [scope] - Only fields stored in this scope (profile fields are also in stepData)
+ * @returns {string[]}
+ */
+function listInputFields(flow, scope) {
+  const fields = new Set();
+  for (const node of Object.values((flow && flow.nodes) || {})) {
+    if (!node || node.type !== 'input' || typeof node.field !== 'string') continue;
+    const [prefix, name] = node.field.includes('.') ? node.field.split('.') : ['stepData', node.field];
+    if (!scope || scope === prefix || scope === 'stepData') fields.add(name);
+  }
+  return [...fields];
+}
+
+/**
+ * Inactivity timeout for the node the conversation rests on: node.timeout fields override flow.timeout
+ * ({ minutes, resume, messageKey }). resume defaults to the flow start; messageKey is the "welcome back" text
+ * and can use {{resumeFrom}}: the expired node's title in the user's locale (node.titleKey, a message key), else
+ * node.title, else its id.
+ * @param {object} flow
+ * @param {object} node
+ * @returns {{ minutes: number, resume: string, messageKey?: string }|null} null when neither sets minutes
+ */
+function getSessionTimeout(flow, node) {
+  const timeout = { ...(flow.timeout || {}), ...((node && node.timeout) || {}) };
+  if (!(timeout.minutes > 0)) return null;
+  return { ...timeout, resume: timeout.resume || flow.start || 'start' };
+}
+
+/** Reply as compared with intent synonyms: normalized, surrounding punctuation dropped ("Menu!" -> "menu"). */
+function normalizeIntentText(text) {
+  return normalizeText(text).replace(/^[\s\p{P}]+|[\s\p{P}]+$/gu, '');
+}
+
+/**
+ * Global intent whose synonyms the whole reply matches (not just contains, so "stop" inside an answer is kept).
+ * @param {object} flow - flow.intents: [{ id, synonyms, behavior?, next?, messageKey? }]
+ * @param {string} input
+ * @returns {object|null}
+ */
+function matchIntent(flow, input) {
+  const text = normalizeIntentText(input);
+  if (!text || !Array.isArray(flow.intents)) return null;
+  return flow.intents.find((intent) => (intent.synonyms || []).some((s) => normalizeIntentText(String(s)) === text)) || null;
+}
+
+/**
+ * Run a matched global intent instead of the current node: its behaviour, its messageKey, then its next node
+ * (restart: the flow start). Without a next node the conversation stays where it was.
+ * @param {object} intent
+ * @param {string} currentStep
+ * @param {object} ctx - runFlow context
+ */
+async function runIntent(intent, currentStep, ctx) {
+  const { flow, state, effects } = ctx;
+  console.log(JSON.stringify({ event: 'flow_intent', mobile: state.mobile, intent: intent.id, behavior: intent.behavior, fromStep: currentStep }));
+  let target = intent.next;
+  if (intent.behavior === 'restart') {
+    for (const key of Object.keys(ctx.stepData)) delete ctx.stepData[key];
+    delete state.inputRetries;
+    target = flow.start || 'start';
+  } else if (intent.behavior === 'human') {
+    effects.supportEscalation = true;
+  } else if (intent.behavior === 'stop') {
+    effects.optOut = true;
+  }
+  if (intent.messageKey) {
+    const body = fillTemplate(flow, getMessageText(flow, intent.messageKey, ctx.profile) || '', ctx.profile, ctx.stepData, intent.messageKey);
+    if (body) ctx.outMessages.push({ type: 'text', body });
+  }
+  // Entered as a transition, so a condition target (e.g. check_crm for "menu") is evaluated right away
+  state.currentStep = target && (flow.nodes || {})[target] ? await advance(target, ctx, true) : currentStep;
+}
+
+/** Node that can take the user's reply: an action (input actions validate it) or an input node. */
+function isCaptureNode(node) {
+  return !!node && (node.type === 'action' || node.type === 'input');
+}
+
+/**
+ * Store an input node's value. "profile.x" goes to the profile (and stepData, so {{x}} works either way);
+ * "stepData.x" or a bare "x" goes to stepData only.
+ */
+function writeInputField(field, value, ctx) {
+  const [scope, name] = field.includes('.') ? field.split('.') : ['stepData', field];
+  if (scope === 'profile') ctx.profile[name] = value;
+  ctx.stepData[name] = value;
+}
+
+/**
+ * Apply the user's reply to an action or input node the conversation rests on.
+ * Accepted: store / run, send messageKey, continue from next. Rejected: send the retry message; after maxRetries
+ * failed replies a node with onFail moves there instead (escalate, or skip the question).
+ * @param {object} node
+ * @param {string} nodeId
+ * @param {object} ctx - runFlow context
+ */
+async function consumeReply(node, nodeId, ctx) {
+  const { flow, state } = ctx;
+  let accepted;
+  if (node.type === 'input') {
+    const value = validateInput(node.validator, ctx.input);
+    accepted = value != null;
+    if (accepted) writeInputField(node.field, value, ctx);
+  } else {
+    accepted = await executeAction(node, ctx);
+  }
+  const retries = { ...(state.inputRetries || {}) };
+  if (accepted) {
+    delete retries[nodeId];
+    state.inputRetries = retries;
+    emitActionMessage(flow, node, ctx);
+    state.currentStep = node.next ? await advance(node.next, ctx, true) : nodeId;
+    return;
+  }
+  retries[nodeId] = (retries[nodeId] || 0) + 1;
+  const maxRetries = node.maxRetries || DEFAULT_MAX_RETRIES;
+  if (node.onFail && retries[nodeId] >= maxRetries) {
+    delete retries[nodeId];
+    state.inputRetries = retries;
+    console.log(JSON.stringify({ event: 'flow_input_failed', nodeId, attempts: maxRetries, onFail: node.onFail }));
+    state.currentStep = await advance(node.onFail, ctx, true);
+    return;
+  }
+  state.inputRetries = retries;
+  state.currentStep = nodeId;
+  const retryKey = node.retryMessageKey || node.messageKey;
+  const body = retryKey
+    ? fillTemplate(flow, getMessageText(flow, retryKey, ctx.profile) || retryKey, ctx.profile, ctx.stepData, retryKey)
+    : null;
+  ctx.outMessages.push({ type: 'text', body: body || getMessageText(flow, 'input_retry', ctx.profile) || DEFAULT_RETRY_MESSAGE });
+}
+
+/**
+ * Move the conversation into a node and keep going while nothing needs the user: message / template / menu nodes
+ * are sent (emitMessages), actions that take no input run with their messageKey, and a condition right after an
+ * action is evaluated. Every transition goes through here, so an action behaves the same however it is reached.
+ * Stops on a node that waits for the user: a menu, an input action, a message without next, or a condition reached
+ * from a message (it is evaluated on the next reply).
+ * @param {string} nodeId
+ * @param {object} ctx - runFlow context { flow, input, profile, stepData, userProfile, state, effects, outMessages, trace? }
+ * @param {boolean} [afterAction] - nodeId is the next of an action that just ran
+ * @returns {Promise<string>} Node id the conversation rests on
+ */
+async function advance(nodeId, ctx, afterAction = false) {
+  const { flow } = ctx;
+  const nodes = flow.nodes || {};
+  const seen = new Set();
+  let id = nodeId;
+  let fromAction = afterAction;
+  while (nodes[id] && !seen.has(id)) {
+    seen.add(id);
+    const node = nodes[id];
+    if (isSendNode(node) || node.type === 'menu') {
+      const restId = emitMessages(flow, id, ctx.profile, ctx.stepData, ctx.outMessages, ctx.trace);
+      if (restId === id || !nodes[restId] || nodes[restId].type !== 'action') return restId;
+      id = restId;
+      fromAction = false;
+      continue;
+    }
+    if (ctx.trace) ctx.trace.push(id);
+    if (node.type === 'action') {
+      const action = getAction(node.action);
+      if (!action || action.consumesInput) return id;
+      await executeAction(node, ctx);
+      emitActionMessage(flow, node, ctx);
+      // Terminal action (e.g. end_conversation without next): the conversation rests on it
+      if (!node.next) return id;
+      id = node.next;
+      fromAction = true;
+      continue;
+    }
+    if (node.type === 'condition' && fromAction) {
+      id = pickConditionBranch(node, ctx.state, ctx.input, ctx.userProfile, id);
+      fromAction = false;
+      continue;
+    }
+    return id;
+  }
+  return id;
+}
+
+/**
+ * First condition whose "when" holds, else defaultNext (else stay).
+ * @returns {string} Next node id
+ */
+function pickConditionBranch(node, state, input, userProfile, currentStep) {
+  for (const c of node.conditions || []) {
+    if (evaluateCondition(c.when, state, input, userProfile)) return c.next;
+  }
+  return node.defaultNext || currentStep;
+}
+
+/**
+ * Named conditions (BUILT_IN_CONDITIONS).
+ */
+function evaluateBuiltInCondition(when, state, userInput, userProfile) {
   const profile = state.userProfile || {};
   const stepData = state.stepData || {};
   const step = state.currentStep || '';
@@ -91,22 +586,48 @@ function evaluateCondition(when, state, userInput, userProfile) {
   }
 }
 
+/**
+ * Evaluate a condition's "when": a named condition (crm_lead, age_under_50, city_bangalore, ...) or an expression
+ * such as `profile.age >= 60 && stepData.interest == "music"` (see flowExpression). Invalid expressions are false.
+ * @param {string} when
+ * @param {object} state - Conversation state (userProfile, stepData)
+ * @param {string} userInput
+ * @param {object|null} userProfile - CRM profile (crm.* in expressions)
+ * @returns {boolean}
+ */
+function evaluateCondition(when, state, userInput, userProfile) {
+  if (BUILT_IN_CONDITIONS.includes(when)) return !!evaluateBuiltInCondition(when, state, userInput, userProfile);
+  try {
+    const ast = compileExpression(when, BUILT_IN_CONDITIONS);
+    return evaluateExpression(
+      ast,
+      { profile: state.userProfile, stepData: state.stepData, crm: userProfile, input: userInput },
+      (name) => !!evaluateBuiltInCondition(name, state, userInput, userProfile)
+    );
+  } catch (err) {
+    console.warn(JSON.stringify({ event: 'flow_condition_error', when, error: err.message }));
+    return false;
+  }
+}
+
 /**
  * Run one step of the flow. Modifies state in place where needed; returns response and next step.
  * @param {object} state - { mobile, conversationId, currentStep, flowState, userProfile, stepData }
  * @param {string} userInput - Raw user message
  * @param {object} userProfile - From CRM (getUserProfile)
  * @param {object} flow - Flow definition from loadFlow()
- * @returns {Promise<{ messages: Array<{ type: string, body: string }>, nextStep: string, updatedState: object, shouldEscalate?: boolean }>}
+ * @param {{ replyId?: string, now?: number, trace?: string[] }} [context] - replyId from an interactive button/list reply;
+ *   now for the idle check; trace collects the node ids passed through (flow simulator)
+ * @returns {Promise<{ messages: Array<{ type: string, body: string, delayMs?: number, typing?: boolean }>, nextStep: string, updatedState: object, shouldEscalate: boolean, supportEscalation?: boolean, referralEscalation?: object }>} Side effects raised by actions are spread onto the result
  */
-async function runFlow(state, userInput, userProfile, flow) {
+async function runFlow(state, userInput, userProfile, flow, context = {}) {
   const nodes = flow.nodes || {};
   let currentStep = state.currentStep || flow.start || 'start';
   const outMessages = [];
-  let shouldEscalate = false;
   const updatedState = { ...state, userProfile: state.userProfile || {}, stepData: state.stepData || {} };
   const profile = updatedState.userProfile;
   const stepData = updatedState.stepData;
+  const effects = {};
 
   let node = nodes[currentStep];
   if (currentStep === 'end_flow' && input) {
@@ -131,171 +652,83 @@ async function runFlow(state, userInput, userProfile, flow) {
   }
 
   const input = (userInput || '').trim();
+  const ctx = { flow, input, profile, stepData, userProfile, state: updatedState, effects, outMessages, trace: context.trace };
+  if (ctx.trace) ctx.trace.push(currentStep);
+
+  // No language yet: a reply in Hindi / Kannada / Tamil script picks it (an explicit choice is never overridden)
+  if (flow.locales && flow.locales.detect && !profile[LOCALE_FIELD]) {
+    const detected = detectScriptLocale(input);
+    if (detected && (flow.locales.supported || []).includes(detected)) {
+      profile[LOCALE_FIELD] = detected;
+      console.log(JSON.stringify({ event: 'flow_locale_detected', mobile: state.mobile, locale: detected }));
+    }
+  }
+
+  // Global intents (menu, restart, human, stop) win over the node, except for button / list replies and nodes
+  // that opt out with globalIntents: false (e.g. a free-text question where "help" is a fair answer)
+  const intent = !context.replyId && node.globalIntents !== false ? matchIntent(flow, input) : null;
+  if (intent) {
+    await runIntent(intent, currentStep, ctx);
+    return buildRunResult(updatedState, outMessages, effects);
+  }
+
+  const timeout = getSessionTimeout(flow, node);
+  // A follow-up nudge (nudge.js) counts as activity: a reply to it answers the question it re-asked
+  const lastActive = Math.max(state.lastInteraction || 0, ...(state.nudges || []).map((n) => n.at || 0));
+  const idleMs = (context.now || Date.now()) - lastActive;
+  if (timeout && state.lastInteraction && idleMs > timeout.minutes * 60 * 1000 && nodes[timeout.resume]) {
+    // Stale conversation: don't read this reply as the answer to a question asked long ago
+    console.log(JSON.stringify({
+      event: 'flow_session_expired',
+      mobile: state.mobile,
+      expiredStep: currentStep,
+      idleMinutes: Math.round(idleMs / 60000),
+      resume: timeout.resume
+    }));
+    stepData.resumeFrom = (node.titleKey && getMessageText(flow, node.titleKey, profile)) || node.title || currentStep;
+    if (timeout.messageKey) {
+      const body = fillTemplate(flow, getMessageText(flow, timeout.messageKey, profile) || '', profile, stepData, timeout.messageKey);
+      if (body) outMessages.push({ type: 'text', body });
+    }
+    // Enter the resume node as a transition, so a condition there (e.g. check_crm) is evaluated right away
+    updatedState.currentStep = await advance(timeout.resume, ctx, true);
+    return buildRunResult(updatedState, outMessages, effects);
+  }
 
   switch (node.type) {
+    case 'template':
     case 'message': {
+      // Resting on the prompt itself (e.g. after a restart): the reply is for the capture node right after it
       const nextNode = nodes[node.next];
-      if (nextNode && nextNode.type === 'action' && input) {
-        updatedState.currentStep = node.next;
-        node = nextNode;
+      if (nextNode && isCaptureNode(nextNode) && input) {
+        currentStep = node.next;
+        updatedState.currentStep = currentStep;
+        if (ctx.trace) ctx.trace.push(currentStep);
+        await consumeReply(nextNode, currentStep, ctx);
       } else {
-        const body = resolveMessage(flow, node, profile, stepData);
-        if (body) outMessages.push({ type: 'text', body });
-        updatedState.currentStep = node.next || currentStep;
-        break;
+        updatedState.currentStep = await advance(currentStep, ctx);
       }
+      break;
     }
-    case 'action': {
-      let actionSucceeded = false;
-      if (node.action === 'save_name' && input) {
-        const name = extractName(input);
-        if (name) {
-          profile.name = name;
-          stepData.name = name;
-          actionSucceeded = true;
-        }
-      }
-      if (node.action === 'save_dob' && input) {
-        const dob = extractDOB(input) || (normalizeDOB(input.trim()) || null);
-        if (dob) {
-          profile.dob = stepData.dob = dob;
-          const age = calculateAge(dob);
-          if (age !== null) {
-            stepData.age = age;
-            profile.age = age;
-          }
-          actionSucceeded = true;
-        }
-      }
-      if (node.action === 'save_city' && input) {
-        const raw = extractCity(input) || input.trim();
-        if (raw && raw.length >= 2) {
-          const city = isBangaloreFuzzy(raw) ? 'Bengaluru' : normalizeNameForDisplay(raw);
-          profile.city = stepData.city = city;
-          if (isBangaloreFuzzy(raw)) profile.area = stepData.area = null;
-          actionSucceeded = true;
-        }
-      }
-      if (node.action === 'save_area' && input) {
-        const area = normalizeNameForDisplay(input.trim());
-        if (area) {
-          profile.area = stepData.area = area;
-          actionSucceeded = true;
-        }
-      }
-      if (node.action === 'save_referral_name' && input) {
-        const raw = extractName(input) || input.trim();
-        const name = raw ? normalizeNameForDisplay(raw) : '';
-        if (name.length >= 2) {
-          stepData.referral_name = name;
-          actionSucceeded = true;
-        }
-      }
-      if (node.action === 'save_referral_mobile' && input) {
-        const m = String(input).replace(/\D/g, '');
-        if (m.length >= 10) {
-          stepData.referral_mobile = m;
-          actionSucceeded = true;
-        }
-      }
-      if (node.action === 'save_referral_city' && input) {
-        const raw = extractCity(input) || input.trim();
-        const city = raw ? (isBangaloreFuzzy(raw) ? 'Bengaluru' : normalizeNameForDisplay(raw)) : '';
-        if (city) {
-          stepData.referral_city = city;
-          actionSucceeded = true;
-        }
-      }
-      if (node.action === 'tag_referral_lead' || node.action === 'referral_end') {
-        shouldEscalate = true;
-        updatedState.referralEscalation = {
-          referralName: stepData.referral_name,
-          referralMobile: stepData.referral_mobile,
-          referralCity: stepData.referral_city
-        };
-        actionSucceeded = true;
-      }
-      if (node.action === 'escalate_support' || node.action === 'trigger_support_flow') {
-        shouldEscalate = true;
-        updatedState.supportEscalation = true;
-        actionSucceeded = true;
-      }
-      if (node.action === 'trigger_activation_meetups' || node.action === 'trigger_activation_holidays') {
-        actionSucceeded = true;
-      }
-      if (node.action === 'end_conversation') {
-        actionSucceeded = true;
-      }
-      if (actionSucceeded) {
-        if (node.messageKey) {
-          const body = resolveMessage(flow, node, profile, stepData);
-          if (body) outMessages.push({ type: 'text', body });
-        }
-        let next = node.next || currentStep;
-        let chainNode = nodes[next];
-        while (chainNode && chainNode.type === 'action') {
-          const noInputAction = chainNode.action === 'tag_referral_lead' || chainNode.action === 'referral_end' ||
-            chainNode.action === 'trigger_activation_meetups' || chainNode.action === 'trigger_activation_holidays' ||
-            chainNode.action === 'trigger_support_flow' || chainNode.action === 'end_conversation';
-          if (!noInputAction) break;
-          if (chainNode.action === 'tag_referral_lead' || chainNode.action === 'referral_end') {
-            shouldEscalate = true;
-            updatedState.referralEscalation = {
-              referralName: stepData.referral_name,
-              referralMobile: stepData.referral_mobile,
-              referralCity: stepData.referral_city
-            };
-          }
-          if (chainNode.action === 'trigger_support_flow') {
-            shouldEscalate = true;
-            updatedState.supportEscalation = true;
-          }
-          if (chainNode.messageKey) {
-            const body = resolveMessage(flow, chainNode, profile, stepData);
-            if (body) outMessages.push({ type: 'text', body });
-          }
-          next = chainNode.next || next;
-          chainNode = nodes[next];
-        }
-        updatedState.currentStep = next;
-        const nextNode = nodes[next];
-        if (nextNode && nextNode.type === 'message') {
-          const body = resolveMessage(flow, nextNode, profile, stepData);
-          if (body) outMessages.push({ type: 'text', body });
-          if (nextNode.next) updatedState.currentStep = nextNode.next;
-        } else if (nextNode && nextNode.type === 'condition') {
-          const conditions = nextNode.conditions || [];
-          let condNext = nextNode.defaultNext || next;
-          for (const c of conditions) {
-            if (evaluateCondition(c.when, updatedState, input, userProfile)) {
-              condNext = c.next;
-              break;
-            }
-          }
-          updatedState.currentStep = condNext;
-          const targetNode = nodes[condNext];
-          if (targetNode && (targetNode.type === 'message' || targetNode.type === 'menu')) {
-            const body = resolveMessage(flow, targetNode, profile, stepData);
-            if (body) outMessages.push({ type: 'text', body });
-            if (targetNode.next) updatedState.currentStep = targetNode.next;
-          }
-        }
-      } else {
-        const retryKey = node.retryMessageKey || node.messageKey;
-        const messages = flow.messages || {};
-        const body = retryKey ? substituteTemplate(messages[retryKey] || retryKey, profile, stepData, flow.links || {}) : null;
-        if (body) {
-          outMessages.push({ type: 'text', body });
-        } else {
-          outMessages.push({ type: 'text', body: 'Could you please provide that again?' });
-        }
-      }
+    case 'action':
+    case 'input': {
+      await consumeReply(node, currentStep, ctx);
       break;
     }
     case 'menu': {
       const options = node.options || [];
-      let matchedNext = node.defaultNext || null;
-      if (options.length > 0) {
+      let matchedNext = null;
+      // Button/list reply for this menu: match by id, never by fuzzy title
+      const reply = parseReplyId(context.replyId);
+      const replied = reply && reply.nodeId === currentStep
+        ? options.find(o => String(o.value) === reply.value)
+        : null;
+      const byLabel = !replied && input
+        ? options.find(o => o.label && normalizeText(o.label) === normalizeText(input))
+        : null;
+      if (replied || byLabel) {
+        matchedNext = (replied || byLabel).next;
+      } else if (options.length > 0) {
         const choice = getMenuOption(input);
         if (choice !== null) {
           const opt = options.find(o => o.value === choice || o.value === String(choice) || o.label === String(choice));
@@ -304,85 +737,96 @@ async function runFlow(state, userInput, userProfile, flow) {
         if (isYes(input)) matchedNext = matchedNext || (options.find(o => o.value === 'yes') || {}).next;
         if (isNo(input)) matchedNext = matchedNext || (options.find(o => o.value === 'no') || {}).next;
       }
+      // Unmatched reply: defaultNext (only after yes / no had their chance)
+      matchedNext = matchedNext || node.defaultNext || null;
       if (matchedNext) {
         const targetNode = nodes[matchedNext];
-        if (targetNode && targetNode.type === 'message' && targetNode.next) {
-          const body = resolveMessage(flow, targetNode, profile, stepData);
-          if (body) outMessages.push({ type: 'text', body });
-          updatedState.currentStep = targetNode.next;
-        } else if (targetNode && targetNode.type === 'action' && targetNode.next) {
-          if (targetNode.action === 'escalate_support' || targetNode.action === 'trigger_support_flow') {
-            shouldEscalate = true;
-            updatedState.supportEscalation = true;
-          }
-          if (targetNode.messageKey) {
-            const body = resolveMessage(flow, targetNode, profile, stepData);
-            if (body) outMessages.push({ type: 'text', body });
-          } else {
-            const nextNode = nodes[targetNode.next];
-            if (nextNode && nextNode.type === 'message') {
-              const body = resolveMessage(flow, nextNode, profile, stepData);
-              if (body) outMessages.push({ type: 'text', body });
-            }
+        if (targetNode && (isSendNode(targetNode) || targetNode.type === 'menu' || targetNode.type === 'action')) {
+          const sentBefore = outMessages.length;
+          updatedState.currentStep = await advance(matchedNext, ctx);
+          // Nothing to say on the way (e.g. straight to end_conversation): answer with the menu's own message
+          if (outMessages.length === sentBefore) {
+            const body = resolveMessage(flow, node, profile, stepData);
+            if (body) outMessages.push(textMessage(node, body));
           }
-          updatedState.currentStep = targetNode.next;
-        } else if (targetNode && targetNode.type === 'menu') {
-          const body = resolveMessage(flow, targetNode, profile, stepData);
-          if (body) outMessages.push({ type: 'text', body });
-          updatedState.currentStep = matchedNext;
         } else {
           const body = resolveMessage(flow, node, profile, stepData);
-          if (body) outMessages.push({ type: 'text', body });
+          if (body) outMessages.push(textMessage(node, body));
           updatedState.currentStep = matchedNext || node.next || currentStep;
         }
       } else {
-        const body = resolveMessage(flow, node, profile, stepData);
-        if (body) outMessages.push({ type: 'text', body });
+        const msg = buildNodeMessage(flow, currentStep, profile, stepData);
+        if (msg) outMessages.push(msg);
         updatedState.currentStep = node.next || currentStep;
       }
       break;
     }
     case 'condition': {
-      const conditions = node.conditions || [];
-      let next = node.defaultNext || currentStep;
-      for (const c of conditions) {
-        if (evaluateCondition(c.when, updatedState, input, userProfile)) {
-          next = c.next;
-          break;
-        }
-      }
+      const next = pickConditionBranch(node, updatedState, input, userProfile, currentStep);
       updatedState.currentStep = next;
-      // Send the target node's message (e.g. check_crm -> hook_intro sends hook_namaste)
+      // Send the target node's message and move past it (e.g. check_crm -> hook_intro sends hook_namaste,
+      // then rests on the hook_ask_yes_no prompt) so the same message is not sent twice
       const nextNode = nodes[next];
-      if (nextNode && (nextNode.type === 'message' || nextNode.type === 'menu')) {
-        const body = resolveMessage(flow, nextNode, profile, stepData);
-        if (body) outMessages.push({ type: 'text', body });
-        // Advance to that node's next so we don't re-send same message (e.g. hook_intro -> hook_ask_yes_no)
-        if (nextNode.next) updatedState.currentStep = nextNode.next;
-      } else if (node.messageKey) {
+      const sentBefore = outMessages.length;
+      if (nextNode && nextNode.type !== 'condition') {
+        updatedState.currentStep = await advance(next, ctx);
+      }
+      if (outMessages.length === sentBefore && node.messageKey) {
         const body = resolveMessage(flow, node, profile, stepData);
-        if (body) outMessages.push({ type: 'text', body });
+        if (body) outMessages.push(textMessage(node, body));
       }
       break;
     }
     default: {
       const body = resolveMessage(flow, node, profile, stepData);
-      if (body) outMessages.push({ type: 'text', body });
+      if (body) outMessages.push(textMessage(node, body));
       updatedState.currentStep = node.next || currentStep;
     }
   }
 
+  return buildRunResult(updatedState, outMessages, effects);
+}
+
+/**
+ * Stamp the interaction and shape runFlow's result.
+ * @returns {{ messages: object[], nextStep: string, updatedState: object, shouldEscalate: boolean }}
+ */
+function buildRunResult(updatedState, outMessages, effects) {
   updatedState.lastInteraction = Date.now();
   updatedState.flowState = updatedState.currentStep;
-  const out = {
+  return {
     messages: outMessages,
     nextStep: updatedState.currentStep,
     updatedState,
-    shouldEscalate
+    shouldEscalate: ESCALATION_EFFECTS.some((k) => effects[k]),
+    ...effects
   };
-  if (updatedState.referralEscalation) out.referralEscalation = updatedState.referralEscalation;
-  if (updatedState.supportEscalation) out.supportEscalation = updatedState.supportEscalation;
-  return out;
 }
 
-module.exports = { runFlow, substituteTemplate, resolveMessage, evaluateCondition };
+module.exports = {
+  runFlow,
+  substituteTemplate,
+  fillTemplate,
+  getLocale,
+  getMessageText,
+  resolveMessage,
+  buildNodeMessage,
+  buildTemplateMessage,
+  menuOptionId,
+  evaluateCondition,
+  listInputFields,
+  getSessionTimeout,
+  matchIntent,
+  normalizeIntentText,
+  NODE_TYPES,
+  MEDIA_TYPES,
+  INTENT_BEHAVIORS,
+  DEFAULT_LOCALE,
+  LOCALE_FIELD,
+  MENU_RENDERS,
+  INTERACTIVE_LIMITS,
+  MAX_NODE_DELAY_MS,
+  INPUT_ACTIONS,
+  NO_INPUT_ACTIONS,
+  BUILT_IN_CONDITIONS
+};
@@ -0,0 +1,141 @@
+/**
+ * Flow simulator (POST /api/flows/{flowId}/simulate): plays a scripted list of user replies through runFlow against
+ * an in-memory conversation, the way the webhook would, and returns what the bot would have said.
+ * Nothing is sent and nothing is written: no WhatsApp, no DynamoDB. The CRM profile is the one passed in and
+ * does not change between turns. Webhook-level handling (STOP / START, agent handover, kill switch) is not simulated.
+ */
+const { runFlow, LOCALE_FIELD } = require('./flowRunner');
+const { isConversationEnded } = require('./flowRouter');
+
+const MAX_SIMULATION_INPUTS = 50;
+const MAX_INPUT_LENGTH = 1000;
+const SIMULATED_MOBILE = '910000000000';
+
+/**
+ * Normalise one scripted input: "hello" or { text, replyId?, afterMinutes? }.
+ * replyId is an interactive reply id ("nodeId:value"); afterMinutes moves the simulated clock before the reply.
+ * @returns {{ text: string, replyId: string|null, afterMinutes: number }|null} null when the entry is not usable
+ */
+function normalizeInput(entry) {
+  if (typeof entry === 'string') return { text: entry, replyId: null, afterMinutes: 0 };
+  if (!entry || typeof entry !== 'object') return null;
+  if (entry.text !== undefined && typeof entry.text !== 'string') return null;
+  if (entry.replyId !== undefined && typeof entry.replyId !== 'string') return null;
+  const afterMinutes = entry.afterMinutes === undefined ? 0 : Number(entry.afterMinutes);
+  if (!Number.isFinite(afterMinutes) || afterMinutes < 0) return null;
+  if (!entry.text && !entry.replyId) return null;
+  return { text: entry.text || '', replyId: entry.replyId || null, afterMinutes };
+}
+
+/**
+ * Check a simulate request's inputs.
+ * @param {*} inputs
+ * @returns {string|null} Error message, or null when valid
+ */
+function checkSimulationInputs(inputs) {
+  if (!Array.isArray(inputs) || inputs.length === 0) return 'inputs must be a non-empty array';
+  if (inputs.length > MAX_SIMULATION_INPUTS) return `inputs can have at most ${MAX_SIMULATION_INPUTS} entries`;
+  for (let i = 0; i < inputs.length; i++) {
+    const input = normalizeInput(inputs[i]);
+    if (!input) return `inputs[${i}] must be a string or { text, replyId?, afterMinutes? }`;
+    if (input.text.length > MAX_INPUT_LENGTH) return `inputs[${i}] is longer than ${MAX_INPUT_LENGTH} characters`;
+  }
+  return null;
+}
+
+/** New conversation state, seeded from the CRM profile like the webhook does. */
+function newConversation(flow, flowId, mobile, userProfile, now) {
+  return {
+    mobile,
+    conversationId: `sim_${mobile}_${now}`,
+    flowId,
+    currentStep: flow.start || 'start',
+    flowState: flow.start || 'start',
+    userProfile: userProfile
+      ? { name: userProfile.name, dob: userProfile.dob, city: userProfile.city, age: userProfile.age, [LOCALE_FIELD]: userProfile[LOCALE_FIELD], mobile }
+      : {},
+    stepData: {},
+    lastInteraction: now,
+    createdAt: now
+  };
+}
+
+/** Consecutive duplicates removed (a node can be entered and then sent in the same step). */
+function compactPath(ids) {
+  return ids.filter((id, i) => id && id !== ids[i - 1]);
+}
+
+/**
+ * Run scripted replies through a flow.
+ * @param {object} flow - Flow definition (published, stored version or draft)
+ * @param {object} options
+ * @param {Array<string|object>} options.inputs - Checked with checkSimulationInputs
+ * @param {object} [options.profile] - CRM profile (UserProfile item: name, dob, city, status, ...); none = new user
+ * @param {string} [options.flowId]
+ * @param {string} [options.mobile]
+ * @param {number} [options.now] - Simulated clock start (ms)
+ * @returns {Promise<{ transcript: object[], path: string[], finalState: object }>}
+ */
+async function simulateConversation(flow, options = {}) {
+  const flowId = options.flowId || flow.id;
+  const mobile = options.mobile || SIMULATED_MOBILE;
+  const userProfile = options.profile ? { ...options.profile, mobile } : null;
+  let clock = Number(options.now) || Date.now();
+  let state = null;
+  const transcript = [];
+  const path = [];
+
+  for (const entry of options.inputs || []) {
+    const input = normalizeInput(entry);
+    clock += input.afterMinutes * 60 * 1000;
+    const startsNew = !state || isConversationEnded(flow, state);
+    if (startsNew) state = newConversation(flow, flowId, mobile, userProfile, clock);
+    if (userProfile && (userProfile.name || userProfile.dob || userProfile.city)) {
+      state.userProfile = { ...(state.userProfile || {}), mobile, ...userProfile };
+    }
+    const fromStep = state.currentStep;
+    const trace = [];
+    const turn = { turn: transcript.length + 1, input: input.text, ...(input.replyId && { replyId: input.replyId }) };
+    if (startsNew) turn.newConversation = true;
+    try {
+      const result = await runFlow(state, input.text, userProfile, flow, { replyId: input.replyId, now: clock, trace });
+      state = result.updatedState;
+      state.lastInteraction = clock;
+      state.lastInboundAt = clock;
+      const turnPath = compactPath([...trace, result.nextStep]);
+      path.push(...turnPath);
+      Object.assign(turn, {
+        fromStep,
+        toStep: result.nextStep,
+        path: turnPath,
+        messages: result.messages,
+        ...(result.shouldEscalate && { shouldEscalate: true }),
+        ...(result.supportEscalation && { supportEscalation: true }),
+        ...(result.referralEscalation && { referralEscalation: result.referralEscalation }),
+        ...(result.optOut && { optOut: true })
+      });
+    } catch (err) {
+      // The webhook answers with its generic fallback and keeps the state as it was
+      Object.assign(turn, { fromStep, toStep: fromStep, path: [fromStep], messages: [], error: err.message });
+    }
+    transcript.push(turn);
+  }
+
+  return {
+    transcript,
+    path: compactPath(path),
+    finalState: state && {
+      conversationId: state.conversationId,
+      currentStep: state.currentStep,
+      userProfile: state.userProfile,
+      stepData: state.stepData,
+      ...(state.inputRetries !== undefined && { inputRetries: state.inputRetries })
+    }
+  };
+}
+
+module.exports = {
+  simulateConversation,
+  checkSimulationInputs,
+  MAX_SIMULATION_INPUTS
+};
@@ -0,0 +1,307 @@
+/**
+ * Versioned flow storage in BotConfig.
+ * Items (configKey):
+ *   flow_{flowId}              - currently published flow; the only item flowLoader reads
+ *   flowver_{flowId}_{version} - immutable snapshot { flowId, version, flow, note, createdAt }
+ *   flowmeta_{flowId}          - index { latestVersion, publishedVersion, versions[], publishHistory[] }; versions[]
+ *                                lists the last MAX_LISTED_VERSIONS (plus the published one), publishHistory the
+ *                                last 50, so the item stays far below DynamoDB's 400 KB; older snapshots stay readable
+ * Meta writes are optimistic (condition on updatedAt) so two editors cannot silently overwrite each other;
+ * a lost race surfaces as ConditionalCheckFailedException.
+ */
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, PutCommand, ScanCommand, TransactWriteCommand } = require('@aws-sdk/lib-dynamodb');
+
+const BOT_CONFIG_TABLE = process.env.BOT_CONFIG_TABLE_NAME || '';
+const dynamoClient = DynamoDBDocumentClient.from(new DynamoDBClient({}), {
+  marshallOptions: { removeUndefinedValues: true }
+});
+
+const MAX_LISTED_VERSIONS = 100;
+const MAX_PUBLISH_HISTORY = 50;
+
+const publishedKey = (flowId) => `flow_${flowId}`;
+const versionKey = (flowId, version) => `flowver_${flowId}_${version}`;
+const metaKey = (flowId) => `flowmeta_${flowId}`;
+
+async function getItem(configKey) {
+  const res = await dynamoClient.send(new GetCommand({
+    TableName: BOT_CONFIG_TABLE,
+    Key: { configKey }
+  }));
+  return res.Item || null;
+}
+
+function parseFlow(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Trim the version list to the newest MAX_LISTED_VERSIONS, keeping the published version's entry.
+ * @param {object[]} versions - Oldest first
+ * @param {number|null} publishedVersion
+ * @returns {object[]}
+ */
+function capVersions(versions, publishedVersion) {
+  if (versions.length <= MAX_LISTED_VERSIONS) return versions;
+  const kept = versions.slice(-MAX_LISTED_VERSIONS);
+  const published = versions.find((v) => v.version === publishedVersion);
+  if (!published || kept.includes(published)) return kept;
+  return [published, ...kept.slice(1)];
+}
+
+/**
+ * Put parameters for a meta write conditioned on the meta we read.
+ * @param {object} meta - Full meta item (without configKey)
+ * @param {number|null} prevUpdatedAt - updatedAt we read, or null when creating
+ */
+function metaPut(meta, prevUpdatedAt) {
+  return {
+    TableName: BOT_CONFIG_TABLE,
+    Item: { ...meta, configKey: metaKey(meta.flowId), updatedAt: Date.now() },
+    ...(prevUpdatedAt == null
+      ? { ConditionExpression: 'attribute_not_exists(configKey)' }
+      : {
+        ConditionExpression: 'updatedAt = :prev',
+        ExpressionAttributeValues: { ':prev': prevUpdatedAt }
+      })
+  };
+}
+
+/**
+ * Write meta; fails with ConditionalCheckFailedException if someone else wrote it since we read it.
+ * @param {object} meta - Full meta item (without configKey)
+ * @param {number|null} prevUpdatedAt - updatedAt we read, or null when creating
+ */
+async function saveMeta(meta, prevUpdatedAt) {
+  const put = metaPut(meta, prevUpdatedAt);
+  await dynamoClient.send(new PutCommand(put));
+  return put.Item;
+}
+
+/**
+ * Write items in one transaction. A failed condition (another request wrote first) is rethrown as
+ * ConditionalCheckFailedException, like a meta write conflict.
+ * @param {Array<object>} transactItems - TransactWriteCommand TransactItems
+ */
+async function transactWrite(transactItems) {
+  try {
+    await dynamoClient.send(new TransactWriteCommand({ TransactItems: transactItems }));
+  } catch (err) {
+    if (err.name === 'TransactionCanceledException' && (err.CancellationReasons || []).some((r) => r.Code === 'ConditionalCheckFailed')) {
+      const conflict = new Error('Flow was modified by another request');
+      conflict.name = 'ConditionalCheckFailedException';
+      throw conflict;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Get version index for a flow. A flow saved before versioning existed (bare flow_{id} item)
+ * is imported once as version 1, published.
+ * @param {string} flowId
+ * @returns {Promise<object|null>} Meta item or null if the flow has never been saved to DB
+ */
+async function getFlowMeta(flowId) {
+  const meta = await getItem(metaKey(flowId));
+  if (meta) return meta;
+  const legacy = await getItem(publishedKey(flowId));
+  if (!legacy || legacy.flow == null) return null;
+
+  const now = Date.now();
+  await dynamoClient.send(new PutCommand({
+    TableName: BOT_CONFIG_TABLE,
+    Item: {
+      configKey: versionKey(flowId, 1),
+      flowId,
+      version: 1,
+      flow: parseFlow(legacy.flow),
+      note: 'Imported from unversioned flow',
+      createdAt: legacy.updatedAt || now
+    }
+  }));
+  try {
+    return await saveMeta({
+      flowId,
+      latestVersion: 1,
+      publishedVersion: 1,
+      versions: [{ version: 1, status: 'published', createdAt: legacy.updatedAt || now, publishedAt: legacy.updatedAt || now, note: 'Imported from unversioned flow' }],
+      publishHistory: [{ version: 1, publishedAt: legacy.updatedAt || now }]
+    }, null);
+  } catch (err) {
+    if (err.name !== 'ConditionalCheckFailedException') throw err;
+    return getItem(metaKey(flowId));
+  }
+}
+
+/**
+ * Store a new immutable version as a draft.
+ * @param {string} flowId
+ * @param {object} flow - Already validated flow JSON
+ * @param {{ note?: string }} [opts]
+ * @returns {Promise<{ version: number, meta: object }>}
+ */
+async function createFlowVersion(flowId, flow, opts = {}) {
+  const meta = await getFlowMeta(flowId);
+  const version = (meta?.latestVersion || 0) + 1;
+  const now = Date.now();
+  const next = {
+    flowId,
+    latestVersion: version,
+    publishedVersion: meta?.publishedVersion ?? null,
+    versions: capVersions(
+      [...(meta?.versions || []), { version, status: 'draft', createdAt: now, ...(opts.note && { note: String(opts.note).slice(0, 500) }) }],
+      meta?.publishedVersion ?? null
+    ),
+    publishHistory: meta?.publishHistory || []
+  };
+  // Snapshot and meta in one transaction: the meta never lists a version without its snapshot
+  const put = metaPut(next, meta ? meta.updatedAt : null);
+  await transactWrite([
+    {
+      Put: {
+        TableName: BOT_CONFIG_TABLE,
+        Item: {
+          configKey: versionKey(flowId, version),
+          flowId,
+          version,
+          flow,
+          ...(opts.note && { note: String(opts.note).slice(0, 500) }),
+          createdAt: now
+        },
+        ConditionExpression: 'attribute_not_exists(configKey)'
+      }
+    },
+    { Put: put }
+  ]);
+  return { version, meta: put.Item };
+}
+
+/**
+ * @param {string} flowId
+ * @param {number} version
+ * @returns {Promise<object|null>} { flowId, version, flow, note?, createdAt }
+ */
+async function getFlowVersion(flowId, version) {
+  const item = await getItem(versionKey(flowId, Number(version)));
+  if (!item) return null;
+  const { configKey, ...rest } = item;
+  return { ...rest, flow: parseFlow(item.flow) };
+}
+
+/**
+ * Make a stored version the live flow (copies it to flow_{flowId}).
+ * @param {string} flowId
+ * @param {number} version
+ * @param {{ rolledBackFrom?: number }} [opts]
+ * @returns {Promise<object|null>} Updated meta, or null if meta/version not found
+ */
+async function publishFlowVersion(flowId, version, opts = {}) {
+  const meta = await getFlowMeta(flowId);
+  const snapshot = meta ? await getFlowVersion(flowId, version) : null;
+  if (!meta || !snapshot) return null;
+
+  const now = Date.now();
+  const target = Number(version);
+  const versions = (meta.versions || []).map((v) => {
+    if (v.version === target) return { ...v, status: 'published', publishedAt: now };
+    if (v.status === 'published') return { ...v, status: 'superseded' };
+    return v;
+  });
+  // A version trimmed from the list (capVersions) is listed again while it is published
+  if (!versions.some((v) => v.version === target)) {
+    versions.push({ version: target, status: 'published', createdAt: snapshot.createdAt, publishedAt: now, ...(snapshot.note && { note: snapshot.note }) });
+    versions.sort((a, b) => a.version - b.version);
+  }
+  const next = {
+    ...meta,
+    publishedVersion: target,
+    versions: capVersions(versions, target),
+    publishHistory: [
+      ...(meta.publishHistory || []),
+      { version: target, publishedAt: now, ...(opts.rolledBackFrom != null && { rolledBackFrom: opts.rolledBackFrom }) }
+    ].slice(-MAX_PUBLISH_HISTORY)
+  };
+  delete next.configKey;
+  // Meta and live flow in one transaction: the meta never reports a version live that the webhook does not run
+  const put = metaPut(next, meta.updatedAt);
+  await transactWrite([
+    { Put: put },
+    {
+      Put: {
+        TableName: BOT_CONFIG_TABLE,
+        Item: {
+          configKey: publishedKey(flowId),
+          flow: snapshot.flow,
+          version: target,
+          publishedAt: now,
+          updatedAt: now
+        }
+      }
+    }
+  ]);
+  return put.Item;
+}
+
+/**
+ * Version a rollback would publish: the given one, else the version published before the current one.
+ * @param {object} meta - Flow meta
+ * @param {number} [version]
+ * @returns {number|null} null when there is nothing to roll back to
+ */
+function rollbackTarget(meta, version) {
+  let target = version != null ? Number(version) : null;
+  if (target == null) {
+    const history = meta.publishHistory || [];
+    const previous = [...history].reverse().find(h => h.version !== meta.publishedVersion);
+    target = previous ? previous.version : null;
+  }
+  return target == null || target === meta.publishedVersion ? null : target;
+}
+
+/**
+ * Re-publish an earlier version. Without a version, goes back to the version published before the current one.
+ * @param {string} flowId
+ * @param {number} [version]
+ * @returns {Promise<object|null>} Updated meta, or null if there is nothing to roll back to
+ */
+async function rollbackFlow(flowId, version) {
+  const meta = await getFlowMeta(flowId);
+  const target = meta ? rollbackTarget(meta, version) : null;
+  if (target == null) return null;
+  return publishFlowVersion(flowId, target, { rolledBackFrom: meta.publishedVersion });
+}
+
+/**
+ * Ids of every flow saved to DB (versioned or legacy unversioned). BotConfig is small, so a filtered scan is fine.
+ * @returns {Promise<string[]>}
+ */
+async function listStoredFlowIds() {
+  const ids = new Set();
+  let lastKey;
+  do {
+    const res = await dynamoClient.send(new ScanCommand({
+      TableName: BOT_CONFIG_TABLE,
+      FilterExpression: 'begins_with(configKey, :meta) OR begins_with(configKey, :flow)',
+      ExpressionAttributeValues: { ':meta': 'flowmeta_', ':flow': 'flow_' },
+      ProjectionExpression: 'configKey',
+      ExclusiveStartKey: lastKey
+    }));
+    for (const item of res.Items || []) {
+      ids.add(item.configKey.replace(/^flow(meta)?_/, ''));
+    }
+    lastKey = res.LastEvaluatedKey;
+  } while (lastKey);
+  return [...ids].sort();
+}
+
+module.exports = {
+  listStoredFlowIds,
+  getFlowMeta,
+  createFlowVersion,
+  getFlowVersion,
+  publishFlowVersion,
+  rollbackTarget,
+  rollbackFlow
+};
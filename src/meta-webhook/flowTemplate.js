@@ -0,0 +1,194 @@
+/**
+ * Text templates for flow messages:
+ *   {{name}}                        value from profile, stepData or flow.links (in that order)
+ *   {{name|there}}                  default when the value is missing or empty
+ *   {{name|first|title|friend}}     filters run left to right; a segment that is not a filter is the default
+ *   {{dob|date}} {{dob|date:short}} date in the user's language (profile.language); numeric gives 05/05/1960
+ *   {{amountPaise|currency}}        ₹1,234.50 from paise; currency:rupees for amounts already in rupees
+ *   {{#city}}...{{/city}}           section shown only when city has a value; {{^city}}...{{/city}} when it has none
+ * Filters: first (first word), title, upper, lower, date[:long|short|numeric], currency[:paise|rupees], default:text.
+ * Strict mode (flow.strictTemplates) logs the variables that had neither a value nor a default.
+ * Pure apart from that log; no eval.
+ */
+const { toDate } = require('./flowExpression');
+const { normalizeNameForDisplay } = require('./utils/helpers');
+
+const MAX_SECTION_PASSES = 5;
+const SECTION_RE = /\{\{([#^])\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+const VARIABLE_RE = /\{\{\s*(\w+)((?:\s*\|[^{}|]*)*)\s*\}\}/g;
+
+const isPresent = (v) => v !== undefined && v !== null && v !== '' && v !== false;
+
+/** Intl locale for a profile language; Indian formats (lakh grouping, day-month order). */
+function intlLocale(language) {
+  return `${/^[a-z]{2,3}$/.test(language || '') ? language : 'en'}-IN`;
+}
+
+const DATE_STYLES = {
+  long: { day: 'numeric', month: 'long', year: 'numeric' },
+  short: { day: 'numeric', month: 'short', year: 'numeric' },
+  numeric: { day: '2-digit', month: '2-digit', year: 'numeric' }
+};
+
+/**
+ * filter name -> { apply(value, arg, profile) => value, checkArg?(arg) => error message|null }
+ * A filter gets the current value (never missing: missing values skip straight to the default).
+ */
+const TEMPLATE_FILTERS = {
+  first: {
+    apply: (value) => String(value).trim().split(/\s+/)[0]
+  },
+  title: {
+    apply: (value) => normalizeNameForDisplay(String(value))
+  },
+  upper: {
+    apply: (value) => String(value).toUpperCase()
+  },
+  lower: {
+    apply: (value) => String(value).toLowerCase()
+  },
+  date: {
+    apply(value, arg, profile) {
+      const d = toDate(value);
+      return d ? new Intl.DateTimeFormat(intlLocale(profile.language), DATE_STYLES[arg || 'long']).format(d) : value;
+    },
+    checkArg: (arg) => (arg && !DATE_STYLES[arg] ? `date style must be one of ${Object.keys(DATE_STYLES).join(', ')}` : null)
+  },
+  currency: {
+    // Amounts are stored in paise (PaymentOrder.amountPaise); whole rupees print without decimals
+    apply(value, arg) {
+      const n = Number(value);
+      if (!Number.isFinite(n)) return value;
+      const rupees = arg === 'rupees' ? n : n / 100;
+      return new Intl.NumberFormat('en-IN', {
+        style: 'currency',
+        currency: 'INR',
+        minimumFractionDigits: Number.isInteger(rupees) ? 0 : 2,
+        maximumFractionDigits: 2
+      }).format(rupees);
+    },
+    checkArg: (arg) => (arg && arg !== 'paise' && arg !== 'rupees' ? 'currency unit must be paise or rupees' : null)
+  },
+  default: {
+    apply: (value) => value
+  }
+};
+
+/** Template filter names. */
+const TEMPLATE_FILTER_NAMES = Object.keys(TEMPLATE_FILTERS);
+
+/**
+ * Split "|first|date:short|there" into filters and the default text.
+ * @returns {{ filters: Array<{ name: string, arg: string }>, fallback: string|null }}
+ */
+function parsePipes(pipes) {
+  const filters = [];
+  let fallback = null;
+  for (const raw of pipes.split('|').slice(1)) {
+    const segment = raw.trim();
+    const colon = segment.indexOf(':');
+    const name = colon === -1 ? segment : segment.slice(0, colon).trim();
+    const arg = colon === -1 ? '' : segment.slice(colon + 1).trim();
+    if (name === 'default') fallback = arg;
+    else if (TEMPLATE_FILTERS[name]) filters.push({ name, arg });
+    else fallback = segment;
+  }
+  return { filters, fallback };
+}
+
+function lookup(key, profile, stepData, links) {
+  if (profile[key] !== undefined && profile[key] !== null) return profile[key];
+  if (stepData[key] !== undefined && stepData[key] !== null) return stepData[key];
+  if (links[key] !== undefined && links[key] !== null) return links[key];
+  return undefined;
+}
+
+/**
+ * Substitute a template (see the module comment) with values from profile, stepData and flow.links.
+ * @param {string} template - e.g. "Lovely to meet you, {{name|first|there}}!"
+ * @param {object} profile - userProfile from state
+ * @param {object} stepData - state.stepData
+ * @param {object} links - flow.links (URLs for {{link_key}} placeholders)
+ * @param {{ strict?: boolean, flowId?: string, source?: string }} [options] - strict: log missing variables
+ *   (source says where the text came from, e.g. the message key)
+ * @returns {string}
+ */
+function substituteTemplate(template, profile = {}, stepData = {}, links = {}, options = {}) {
+  if (!template || typeof template !== 'string') return '';
+  const missing = [];
+  let text = template;
+  // Innermost sections resolve first, so a few passes cover nesting
+  for (let pass = 0; pass < MAX_SECTION_PASSES && text.includes('{{/'); pass++) {
+    const next = text.replace(SECTION_RE, (_, kind, key, body) => {
+      const shown = isPresent(lookup(key, profile, stepData, links));
+      return (kind === '#') === shown ? body : '';
+    });
+    if (next === text) break;
+    text = next;
+  }
+  text = text.replace(VARIABLE_RE, (_, key, pipes) => {
+    const { filters, fallback } = parsePipes(pipes);
+    let value = lookup(key, profile, stepData, links);
+    if (!isPresent(value)) {
+      if (fallback === null) missing.push(key);
+      return fallback || '';
+    }
+    for (const f of filters) value = TEMPLATE_FILTERS[f.name].apply(value, f.arg, profile);
+    return isPresent(value) ? String(value) : (fallback || '');
+  });
+  if (options.strict && missing.length) {
+    console.warn(JSON.stringify({
+      event: 'template_variable_missing',
+      flowId: options.flowId,
+      source: options.source,
+      variables: [...new Set(missing)]
+    }));
+  }
+  return text;
+}
+
+/**
+ * Variables a template uses, for the flow validator.
+ * @param {string} template
+ * @returns {Array<{ name: string, hasDefault: boolean, section: boolean }>} section: used as {{#name}} / {{^name}}
+ */
+function listTemplateVariables(template) {
+  if (!template || typeof template !== 'string') return [];
+  const vars = [];
+  for (const m of template.matchAll(/\{\{([#^])\s*(\w+)\s*\}\}/g)) vars.push({ name: m[2], hasDefault: false, section: true });
+  for (const m of template.matchAll(VARIABLE_RE)) {
+    vars.push({ name: m[1], hasDefault: parsePipes(m[2]).fallback !== null, section: false });
+  }
+  return vars;
+}
+
+/**
+ * Syntax problems in a template: unclosed or stray sections, bad filter arguments.
+ * @param {string} template
+ * @returns {string[]} Error messages
+ */
+function checkTemplateText(template) {
+  if (!template || typeof template !== 'string') return [];
+  const problems = [];
+  const open = [];
+  for (const m of template.matchAll(/\{\{([#^/])\s*(\w+)\s*\}\}/g)) {
+    if (m[1] !== '/') open.push(m[2]);
+    else if (open[open.length - 1] === m[2]) open.pop();
+    else problems.push(`{{/${m[2]}}} closes a section that is not open`);
+  }
+  open.forEach((name) => problems.push(`section {{#${name}}} is never closed with {{/${name}}}`));
+  for (const m of template.matchAll(VARIABLE_RE)) {
+    for (const f of parsePipes(m[2]).filters) {
+      const err = TEMPLATE_FILTERS[f.name].checkArg && TEMPLATE_FILTERS[f.name].checkArg(f.arg);
+      if (err) problems.push(`{{${m[1]}${m[2]}}}: ${err}`);
+    }
+  }
+  return problems;
+}
+
+module.exports = {
+  substituteTemplate,
+  listTemplateVariables,
+  checkTemplateText,
+  TEMPLATE_FILTER_NAMES
+};
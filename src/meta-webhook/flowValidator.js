@@ -0,0 +1,563 @@
+/**
+ * Flow validator: static checks on a flow definition before it is saved (Flow API) or run (flowLoader).
+ * Errors make a flow unsafe to run (dangling next, unknown node type/action/condition, invalid condition expression,
+ * undefined message key or placeholder, malformed template or template text, cycle the user can never leave, menu without
+ * defaultNext); warnings are suspicious but runnable (unreachable nodes, incomplete translations).
+ * Pure function, no I/O.
+ */
+const {
+  NODE_TYPES,
+  MENU_RENDERS,
+  INTERACTIVE_LIMITS,
+  MAX_NODE_DELAY_MS,
+  MEDIA_TYPES,
+  INPUT_ACTIONS,
+  NO_INPUT_ACTIONS,
+  BUILT_IN_CONDITIONS,
+  INTENT_BEHAVIORS,
+  DEFAULT_LOCALE,
+  LOCALE_FIELD,
+  listInputFields,
+  normalizeIntentText
+} = require('./flowRunner');
+const { listWrittenFields } = require('./actions');
+const { compileExpression } = require('./flowExpression');
+const { checkValidatorSpec } = require('./utils/inputValidators');
+const { listTemplateVariables, checkTemplateText } = require('./flowTemplate');
+
+/** Variables the runner fills from userProfile / stepData (actions' declared writes plus the meta-webhook profile merge). */
+const KNOWN_VARIABLES = [...new Set([
+  'name',
+  'dob',
+  'age',
+  'city',
+  'area',
+  'mobile',
+  'status',
+  'resumeFrom',
+  LOCALE_FIELD,
+  ...listWrittenFields()
+])];
+
+const TEMPLATE_NAME_RE = /^[a-z0-9_]+$/;
+const TEMPLATE_LANGUAGE_RE = /^[a-z]{2,3}(_[A-Z]{2})?$/;
+const INPUT_FIELD_RE = /^((profile|stepData)\.)?\w+$/;
+const LOCALE_RE = /^[a-z]{2,3}$/;
+// UserProfile keys the webhook owns; an input node must not overwrite them
+const RESERVED_PROFILE_FIELDS = ['mobile', 'profileType', 'status', 'createdAt', 'updatedAt'];
+
+/**
+ * List every node id a node can move to, with the field it came from.
+ * @param {object} node
+ * @returns {Array<{ field: string, target: string }>}
+ */
+function getNodeEdges(node) {
+  const edges = [];
+  if (node.next != null) edges.push({ field: 'next', target: node.next });
+  if (node.defaultNext != null) edges.push({ field: 'defaultNext', target: node.defaultNext });
+  if (node.onFail != null) edges.push({ field: 'onFail', target: node.onFail });
+  if (node.timeout && node.timeout.resume != null) edges.push({ field: 'timeout.resume', target: node.timeout.resume });
+  (Array.isArray(node.conditions) ? node.conditions : []).forEach((c, i) => {
+    if (c && c.next != null) edges.push({ field: `conditions[${i}].next`, target: c.next });
+  });
+  (Array.isArray(node.options) ? node.options : []).forEach((o, i) => {
+    if (o && o.next != null) edges.push({ field: `options[${i}].next`, target: o.next });
+  });
+  return edges;
+}
+
+/** A node the conversation pauses on until the user replies. */
+function isInputNode(node) {
+  if (!node) return false;
+  if (node.type === 'menu' || node.type === 'input') return true;
+  return node.type === 'action' && INPUT_ACTIONS.includes(node.action);
+}
+
+/**
+ * Strongly connected components (Tarjan), iterative to stay safe on large flows.
+ * @param {string[]} ids
+ * @param {Map<string, string[]>} adjacency
+ * @returns {string[][]}
+ */
+function findStronglyConnected(ids, adjacency) {
+  let counter = 0;
+  const index = new Map();
+  const low = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+
+  for (const root of ids) {
+    if (index.has(root)) continue;
+    const work = [{ id: root, i: 0 }];
+    index.set(root, counter);
+    low.set(root, counter);
+    counter++;
+    stack.push(root);
+    onStack.add(root);
+    while (work.length) {
+      const frame = work[work.length - 1];
+      const targets = adjacency.get(frame.id) || [];
+      if (frame.i < targets.length) {
+        const t = targets[frame.i++];
+        if (!index.has(t)) {
+          index.set(t, counter);
+          low.set(t, counter);
+          counter++;
+          stack.push(t);
+          onStack.add(t);
+          work.push({ id: t, i: 0 });
+        } else if (onStack.has(t)) {
+          low.set(frame.id, Math.min(low.get(frame.id), index.get(t)));
+        }
+        continue;
+      }
+      work.pop();
+      if (work.length) {
+        const parent = work[work.length - 1].id;
+        low.set(parent, Math.min(low.get(parent), low.get(frame.id)));
+      }
+      if (low.get(frame.id) === index.get(frame.id)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.id);
+        components.push(component);
+      }
+    }
+  }
+  return components;
+}
+
+/**
+ * Validate a flow definition.
+ * @param {object} flow - { id?, start, nodes, messages?, links?, variables?, fallbackTemplate? }
+ * @returns {{ valid: boolean, errors: Array<{ code: string, nodeId?: string, message: string }>, warnings: Array<{ code: string, nodeId?: string, message: string }> }}
+ */
+function validateFlow(flow) {
+  const errors = [];
+  const warnings = [];
+  const error = (code, message, nodeId) => errors.push({ code, ...(nodeId && { nodeId }), message });
+  const warn = (code, message, nodeId) => warnings.push({ code, ...(nodeId && { nodeId }), message });
+
+  if (!flow || typeof flow !== 'object' || Array.isArray(flow)) {
+    error('flow_not_object', 'Flow must be a JSON object');
+    return { valid: false, errors, warnings };
+  }
+  const nodes = flow.nodes;
+  if (!nodes || typeof nodes !== 'object' || Array.isArray(nodes) || Object.keys(nodes).length === 0) {
+    error('flow_no_nodes', 'Flow must have a non-empty "nodes" object');
+    return { valid: false, errors, warnings };
+  }
+  const messages = flow.messages && typeof flow.messages === 'object' ? flow.messages : {};
+  const links = flow.links && typeof flow.links === 'object' ? flow.links : {};
+  const declared = Array.isArray(flow.variables) ? flow.variables : [];
+  const knownVars = new Set([...KNOWN_VARIABLES, ...declared, ...Object.keys(links), ...listInputFields(flow)]);
+  const start = flow.start || 'start';
+  const knownActions = [...INPUT_ACTIONS, ...NO_INPUT_ACTIONS];
+
+  if (!nodes[start]) error('start_missing', `Start node "${start}" does not exist`);
+
+  if (flow.strictTemplates != null && typeof flow.strictTemplates !== 'boolean') {
+    error('strict_templates_invalid', 'strictTemplates must be true or false');
+  }
+  // Placeholders, sections and filters of a text; strict flows also flag user data used without a default
+  const checkText = (text, where, nodeId) => {
+    checkTemplateText(text).forEach((problem) => error('template_text_invalid', `${where}: ${problem}`, nodeId));
+    const vars = listTemplateVariables(text);
+    const guarded = new Set(vars.filter((v) => v.section).map((v) => v.name));
+    const reported = new Set();
+    for (const v of vars) {
+      if (reported.has(v.name)) continue;
+      if (!knownVars.has(v.name)) {
+        reported.add(v.name);
+        error('placeholder_undefined', `${where} uses undefined placeholder {{${v.name}}}`, nodeId);
+      } else if (flow.strictTemplates === true && !v.section && !v.hasDefault && !guarded.has(v.name) && links[v.name] == null) {
+        reported.add(v.name);
+        warn('placeholder_no_default', `${where} uses {{${v.name}}} without a default; add one like {{${v.name}|...}}`, nodeId);
+      }
+    }
+  };
+
+  // Locales: { default?, supported: [codes], detect? }; the default locale is the language of flow.messages
+  const locales = flow.locales && typeof flow.locales === 'object' && !Array.isArray(flow.locales) ? flow.locales : {};
+  const supportedLocales = Array.isArray(locales.supported) ? locales.supported : [];
+  const defaultLocale = locales.default || DEFAULT_LOCALE;
+  const translations = flow.translations && typeof flow.translations === 'object' && !Array.isArray(flow.translations)
+    ? flow.translations
+    : {};
+  if (flow.locales != null) {
+    if (flow.locales !== locales) {
+      error('locales_invalid', '"locales" must be an object { default?, supported, detect? }');
+    } else if (!Array.isArray(locales.supported) || supportedLocales.some((code) => typeof code !== 'string' || !LOCALE_RE.test(code))) {
+      error('locales_invalid', 'locales.supported must be an array of language codes like en, hi, kn');
+    } else if (!supportedLocales.includes(defaultLocale)) {
+      error('locales_invalid', `locales.supported must include the default locale "${defaultLocale}"`);
+    }
+    if (locales.detect != null && typeof locales.detect !== 'boolean') error('locales_invalid', 'locales.detect must be true or false');
+  }
+  if (flow.translations != null && flow.translations !== translations) {
+    error('translations_invalid', '"translations" must be an object { locale: { key: text } }');
+  }
+
+  const checkMessageKey = (nodeId, field, key) => {
+    if (key == null) return;
+    if (typeof key !== 'string' || !key) {
+      error('message_key_invalid', `${field} must be a non-empty string`, nodeId);
+    } else if (messages[key] == null) {
+      error('message_key_undefined', `${field} "${key}" is not defined in flow.messages`, nodeId);
+    }
+  };
+
+  // Template spec: { name, language?, header?: [binding], body?: [binding], buttons?: [{ index, subType?, param }] }
+  const checkTemplate = (spec, field, nodeId) => {
+    if (!spec || typeof spec !== 'object' || !spec.name) {
+      error('template_name_missing', `${field} needs a template "name"`, nodeId);
+      return;
+    }
+    if (!TEMPLATE_NAME_RE.test(spec.name)) {
+      error('template_name_invalid', `${field}.name "${spec.name}" must be lowercase letters, digits and underscores`, nodeId);
+    }
+    if (spec.language != null && !TEMPLATE_LANGUAGE_RE.test(spec.language)) {
+      error('template_language_invalid', `${field}.language "${spec.language}" is not a language code like en or en_US`, nodeId);
+    }
+    const checkBinding = (binding, where) => {
+      const text = binding && typeof binding === 'object' ? binding.value : binding;
+      if (typeof text !== 'string') {
+        error('template_param_invalid', `${where} must be a string or { value, default }`, nodeId);
+        return;
+      }
+      checkText(text, where, nodeId);
+    };
+    for (const part of ['header', 'body']) {
+      if (spec[part] == null) continue;
+      if (!Array.isArray(spec[part])) error('template_param_invalid', `${field}.${part} must be an array`, nodeId);
+      else spec[part].forEach((b, i) => checkBinding(b, `${field}.${part}[${i}]`));
+    }
+    if (spec.buttons != null) {
+      if (!Array.isArray(spec.buttons)) {
+        error('template_param_invalid', `${field}.buttons must be an array`, nodeId);
+      } else {
+        spec.buttons.forEach((b, i) => {
+          if (!b || !Number.isInteger(b.index) || b.index < 0 || b.index > 9) {
+            error('template_param_invalid', `${field}.buttons[${i}].index must be 0-9`, nodeId);
+          }
+          if (b && b.subType != null && b.subType !== 'quick_reply' && b.subType !== 'url') {
+            error('template_param_invalid', `${field}.buttons[${i}].subType must be quick_reply or url`, nodeId);
+          }
+          if (b) checkBinding(b.param, `${field}.buttons[${i}].param`);
+        });
+      }
+    }
+  };
+
+  if (flow.fallbackTemplate != null) checkTemplate(flow.fallbackTemplate, 'fallbackTemplate');
+
+  // Inactivity timeout { minutes, resume?, messageKey? }; a node's timeout.resume is checked as an edge
+  const checkTimeout = (timeout, field, nodeId) => {
+    if (!timeout || typeof timeout !== 'object' || Array.isArray(timeout)) {
+      error('timeout_invalid', `${field} must be an object { minutes, resume?, messageKey? }`, nodeId);
+      return;
+    }
+    if (timeout.minutes != null && !(typeof timeout.minutes === 'number' && timeout.minutes > 0)) {
+      error('timeout_minutes_invalid', `${field}.minutes must be a positive number`, nodeId);
+    }
+    checkMessageKey(nodeId, `${field}.messageKey`, timeout.messageKey);
+  };
+  // Global intents: [{ id, synonyms, behavior?, next?, messageKey? }], checked before every node
+  const intentTargets = [];
+  if (flow.intents != null) {
+    if (!Array.isArray(flow.intents)) {
+      error('intents_invalid', '"intents" must be an array');
+    } else {
+      const intentIds = new Set();
+      const synonymOwner = new Map();
+      flow.intents.forEach((intent, i) => {
+        const field = `intents[${i}]`;
+        if (!intent || typeof intent !== 'object') {
+          error('intent_invalid', `${field} must be an object`);
+          return;
+        }
+        if (typeof intent.id !== 'string' || !intent.id) error('intent_id_missing', `${field} needs an "id"`);
+        else if (intentIds.has(intent.id)) error('intent_id_duplicate', `${field}.id "${intent.id}" is used twice`);
+        else intentIds.add(intent.id);
+        if (!Array.isArray(intent.synonyms) || intent.synonyms.length === 0) {
+          error('intent_synonyms_missing', `${field}.synonyms must be a non-empty array of strings`);
+        } else {
+          intent.synonyms.forEach((syn) => {
+            const key = typeof syn === 'string' ? normalizeIntentText(syn) : '';
+            if (!key) {
+              error('intent_synonym_invalid', `${field}.synonyms has an empty or non-string entry`);
+            } else if (synonymOwner.has(key) && synonymOwner.get(key) !== i) {
+              error('intent_synonym_duplicate', `${field} synonym "${syn}" is also used by intents[${synonymOwner.get(key)}]`);
+            } else {
+              synonymOwner.set(key, i);
+            }
+          });
+        }
+        if (intent.behavior != null && !INTENT_BEHAVIORS.includes(intent.behavior)) {
+          error('intent_behavior_unknown', `${field}.behavior "${intent.behavior}" is not one of ${INTENT_BEHAVIORS.join(', ')}`);
+        }
+        if (intent.next != null) {
+          if (!nodes[intent.next]) error('next_dangling', `${field}.next points to missing node "${intent.next}"`);
+          else intentTargets.push(intent.next);
+          if (intent.behavior === 'restart') warn('intent_next_ignored', `${field}.next is ignored: restart always goes to the flow start`);
+        }
+        if (intent.behavior == null && intent.next == null) error('intent_target_missing', `${field} needs a behavior and/or a next node`);
+        checkMessageKey(undefined, `${field}.messageKey`, intent.messageKey);
+      });
+    }
+  }
+
+  // Follow-up nudges sent by nudge.js: [{ id, nodes, afterHours, messageKey?, template? }]
+  if (flow.nudges != null) {
+    if (!Array.isArray(flow.nudges)) {
+      error('nudges_invalid', '"nudges" must be an array');
+    } else {
+      const nudgeIds = new Set();
+      flow.nudges.forEach((n, i) => {
+        const field = `nudges[${i}]`;
+        if (!n || typeof n !== 'object') {
+          error('nudge_invalid', `${field} must be an object`);
+          return;
+        }
+        if (typeof n.id !== 'string' || !n.id) error('nudge_id_missing', `${field} needs an "id"`);
+        else if (nudgeIds.has(n.id)) error('nudge_id_duplicate', `${field}.id "${n.id}" is used twice`);
+        else nudgeIds.add(n.id);
+        if (!Array.isArray(n.nodes) || n.nodes.length === 0) {
+          error('nudge_nodes_missing', `${field}.nodes must be a non-empty array of node ids`);
+        } else {
+          n.nodes.filter((id) => !nodes[id]).forEach((id) => error('next_dangling', `${field}.nodes points to missing node "${id}"`));
+        }
+        if (!(typeof n.afterHours === 'number' && n.afterHours >= 1)) {
+          error('nudge_after_invalid', `${field}.afterHours must be a number of hours, at least 1`);
+        }
+        if (!n.messageKey && !n.template) error('nudge_message_missing', `${field} needs a messageKey and/or a template`);
+        checkMessageKey(undefined, `${field}.messageKey`, n.messageKey);
+        if (n.template != null) checkTemplate(n.template, `${field}.template`);
+        if (n.messageKey && !n.template && n.afterHours >= 24) {
+          warn('nudge_outside_window', `${field} has no template, so it is never sent once the 24h session window has closed`);
+        }
+      });
+    }
+  }
+
+  if (flow.timeout != null) {
+    checkTimeout(flow.timeout, 'timeout');
+    if (flow.timeout && flow.timeout.resume != null && !nodes[flow.timeout.resume]) {
+      error('next_dangling', `timeout.resume points to missing node "${flow.timeout.resume}"`);
+    }
+  }
+
+  const adjacency = new Map();
+  for (const [nodeId, node] of Object.entries(nodes)) {
+    if (!node || typeof node !== 'object') {
+      error('node_not_object', 'Node must be an object', nodeId);
+      adjacency.set(nodeId, []);
+      continue;
+    }
+    if (!NODE_TYPES.includes(node.type)) {
+      error('node_type_unknown', `Unknown node type "${node.type}" (expected one of ${NODE_TYPES.join(', ')})`, nodeId);
+    }
+
+    const edges = getNodeEdges(node);
+    for (const { field, target } of edges) {
+      if (typeof target !== 'string' || !nodes[target]) {
+        error('next_dangling', `${field} points to missing node "${target}"`, nodeId);
+      }
+    }
+    adjacency.set(nodeId, edges.map(e => e.target).filter(t => nodes[t]));
+
+    if (node.delayMs != null && (typeof node.delayMs !== 'number' || !(node.delayMs >= 0))) {
+      error('delay_invalid', 'delayMs must be a non-negative number of milliseconds', nodeId);
+    } else if (node.delayMs > MAX_NODE_DELAY_MS) {
+      warn('delay_capped', `delayMs is capped at ${MAX_NODE_DELAY_MS}ms when sending`, nodeId);
+    }
+    if (node.globalIntents != null && typeof node.globalIntents !== 'boolean') {
+      error('global_intents_invalid', 'globalIntents must be true or false', nodeId);
+    }
+    if (node.typing != null && typeof node.typing !== 'boolean') {
+      error('typing_invalid', 'typing must be true or false', nodeId);
+    }
+
+    checkMessageKey(nodeId, 'messageKey', node.messageKey);
+    checkMessageKey(nodeId, 'retryMessageKey', node.retryMessageKey);
+    checkMessageKey(nodeId, 'titleKey', node.titleKey);
+    if (node.timeout != null) checkTimeout(node.timeout, 'timeout', nodeId);
+
+    if (node.type === 'action') {
+      if (!node.action) error('action_missing', 'Action node has no "action"', nodeId);
+      else if (!knownActions.includes(node.action)) error('action_unknown', `Unknown action "${node.action}"`, nodeId);
+    }
+    if (node.type === 'input') {
+      if (typeof node.field !== 'string' || !INPUT_FIELD_RE.test(node.field)) {
+        error('input_field_invalid', 'Input node needs a "field" like profile.email, stepData.budget or budget', nodeId);
+      } else if (RESERVED_PROFILE_FIELDS.some(f => node.field === `profile.${f}`)) {
+        error('input_field_reserved', `${node.field} is managed by the webhook and cannot be set by an input node`, nodeId);
+      }
+      const validatorError = checkValidatorSpec(node.validator);
+      if (validatorError) error('input_validator_invalid', validatorError, nodeId);
+      if (node.validator && node.validator.type === 'language' && Array.isArray(node.validator.values)) {
+        node.validator.values.filter((code) => !supportedLocales.includes(code)).forEach((code) => {
+          warn('input_language_unsupported', `validator value "${code}" is not in locales.supported, so messages stay in ${defaultLocale}`, nodeId);
+        });
+      }
+    }
+    if (node.type === 'input' || node.type === 'action') {
+      if (node.maxRetries != null && !(Number.isInteger(node.maxRetries) && node.maxRetries > 0)) {
+        error('input_max_retries_invalid', 'maxRetries must be a positive integer', nodeId);
+      }
+      if (node.maxRetries != null && node.onFail == null) {
+        warn('input_max_retries_ignored', 'maxRetries has no effect without onFail; the prompt repeats until answered', nodeId);
+      }
+    } else if (node.onFail != null) {
+      warn('on_fail_ignored', 'onFail is only used by input and action nodes', nodeId);
+    }
+    if (node.type === 'condition') {
+      if (!Array.isArray(node.conditions) || node.conditions.length === 0) {
+        error('conditions_missing', 'Condition node has no "conditions" array', nodeId);
+      } else {
+        node.conditions.forEach((c, i) => {
+          if (!c || !c.when) error('condition_when_missing', `conditions[${i}] has no "when"`, nodeId);
+          else if (!BUILT_IN_CONDITIONS.includes(c.when)) {
+            if (typeof c.when === 'string' && /^\w+$/.test(c.when)) {
+              error('condition_unknown', `conditions[${i}] uses unknown condition "${c.when}"`, nodeId);
+            } else {
+              try {
+                compileExpression(c.when, BUILT_IN_CONDITIONS);
+              } catch (err) {
+                error('condition_invalid', `conditions[${i}].when is not a valid expression: ${err.message}`, nodeId);
+              }
+            }
+          }
+          if (!c || c.next == null) error('condition_next_missing', `conditions[${i}] has no "next"`, nodeId);
+        });
+      }
+    }
+    if (node.type === 'menu') {
+      if (!Array.isArray(node.options) || node.options.length === 0) {
+        error('options_missing', 'Menu node has no "options" array', nodeId);
+      } else {
+        node.options.forEach((o, i) => {
+          if (!o || o.value == null) error('option_value_missing', `options[${i}] has no "value"`, nodeId);
+          if (!o || o.next == null) error('option_next_missing', `options[${i}] has no "next"`, nodeId);
+        });
+      }
+      if (node.render != null && !MENU_RENDERS.includes(node.render)) {
+        error('render_unknown', `Unknown render "${node.render}" (expected one of ${MENU_RENDERS.join(', ')})`, nodeId);
+      } else if (node.render === 'buttons' || node.render === 'list') {
+        const isList = node.render === 'list';
+        const max = isList ? INTERACTIVE_LIMITS.listRows : INTERACTIVE_LIMITS.buttons;
+        const titleMax = isList ? INTERACTIVE_LIMITS.rowTitle : INTERACTIVE_LIMITS.buttonTitle;
+        const options = Array.isArray(node.options) ? node.options : [];
+        if (options.length > max) {
+          error('render_too_many_options', `render "${node.render}" allows at most ${max} options (has ${options.length})`, nodeId);
+        }
+        options.forEach((o, i) => {
+          const title = o && String(o.title || o.label || o.value || '');
+          if (title && title.length > titleMax) {
+            warn('option_title_truncated', `options[${i}] title is longer than ${titleMax} characters and will be cut`, nodeId);
+          }
+        });
+        if (isList && node.buttonText && String(node.buttonText).length > INTERACTIVE_LIMITS.listButtonText) {
+          warn('button_text_truncated', `buttonText is longer than ${INTERACTIVE_LIMITS.listButtonText} characters and will be cut`, nodeId);
+        }
+      }
+      if (node.defaultNext == null) {
+        // Say where unmatched replies go; the menu's own id re-sends the prompt
+        error('menu_no_default', 'Menu has no defaultNext; set it to the node for unmatched replies (its own id re-asks)', nodeId);
+      }
+    }
+    if (node.type === 'template') checkTemplate(node.template, 'template', nodeId);
+    if (node.media != null) {
+      const media = node.media;
+      if (node.type !== 'message') {
+        error('media_not_allowed', 'Only message nodes can carry media', nodeId);
+      } else if (!media || !MEDIA_TYPES.includes(media.type)) {
+        error('media_type_unknown', `media.type must be one of ${MEDIA_TYPES.join(', ')}`, nodeId);
+      } else if (!media.url && !media.id) {
+        error('media_source_missing', 'media needs a url or an uploaded Meta media id', nodeId);
+      } else if (media.url) {
+        if (typeof media.url !== 'string' || !/^(https:\/\/|\{\{\w+\}\})/.test(media.url)) {
+          error('media_url_invalid', 'media.url must start with https:// or a {{link}} placeholder', nodeId);
+        } else {
+          checkText(media.url, 'media.url', nodeId);
+        }
+      }
+      if (media && media.filename != null && media.type !== 'document') {
+        warn('media_filename_ignored', 'media.filename is only used for documents', nodeId);
+      }
+    }
+    if (node.type === 'message' && !node.messageKey && !node.text && !node.media) {
+      warn('message_empty', 'Message node has neither messageKey nor text', nodeId);
+    }
+    if (typeof node.text === 'string') {
+      checkText(node.text, 'text', nodeId);
+    }
+  }
+
+  for (const [key, text] of Object.entries(messages)) {
+    if (typeof text !== 'string') {
+      error('message_not_string', `Message "${key}" must be a string`);
+      continue;
+    }
+    checkText(text, `Message "${key}"`);
+  }
+
+  // Per-locale catalogs: { hi: { key: text } }; a missing key falls back to flow.messages
+  for (const [locale, catalog] of Object.entries(translations)) {
+    if (!catalog || typeof catalog !== 'object' || Array.isArray(catalog)) {
+      error('translations_invalid', `translations.${locale} must be an object of message key -> text`);
+      continue;
+    }
+    if (!supportedLocales.includes(locale)) {
+      warn('translation_locale_unsupported', `translations.${locale} is never used: "${locale}" is not in locales.supported`);
+    }
+    for (const [key, text] of Object.entries(catalog)) {
+      if (messages[key] == null) {
+        warn('translation_key_unknown', `translations.${locale}.${key} has no message in flow.messages`);
+      } else if (typeof text !== 'string') {
+        error('message_not_string', `translations.${locale}.${key} must be a string`);
+      } else {
+        checkText(text, `translations.${locale}.${key}`);
+      }
+    }
+    const missing = Object.keys(messages).filter((key) => catalog[key] == null);
+    if (missing.length) {
+      warn('translation_incomplete', `translations.${locale} lacks ${missing.length} of ${Object.keys(messages).length} messages (sent in ${defaultLocale}): ${missing.slice(0, 5).join(', ')}${missing.length > 5 ? ', ...' : ''}`);
+    }
+  }
+
+  if (nodes[start]) {
+    // Intent targets and the flow's timeout resume node can be entered from any node
+    const timeoutResume = flow.timeout && nodes[flow.timeout.resume] ? [flow.timeout.resume] : [];
+    const seen = new Set([start, ...intentTargets, ...timeoutResume]);
+    const queue = [...seen];
+    while (queue.length) {
+      for (const t of adjacency.get(queue.shift()) || []) {
+        if (!seen.has(t)) {
+          seen.add(t);
+          queue.push(t);
+        }
+      }
+    }
+    for (const nodeId of Object.keys(nodes)) {
+      if (!seen.has(nodeId)) warn('node_unreachable', `Node is not reachable from start "${start}"`, nodeId);
+    }
+  }
+
+  for (const component of findStronglyConnected(Object.keys(nodes), adjacency)) {
+    const isCycle = component.length > 1 || (adjacency.get(component[0]) || []).includes(component[0]);
+    if (!isCycle) continue;
+    if (!component.some(id => isInputNode(nodes[id]))) {
+      error('cycle_without_input', `Cycle without an input node (menu, input node or input action): ${component.join(' -> ')}`, component[0]);
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+module.exports = { validateFlow, KNOWN_VARIABLES };
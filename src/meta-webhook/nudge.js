@@ -0,0 +1,242 @@
+/**
+ * Follow-up nudge Lambda (scheduled): re-engages users who stopped mid-flow.
+ * Scans UserConversationState (lastInteraction-index) for conversations idle in a node listed by one of the
+ * flow's nudges and sends that nudge: its messageKey text inside the 24h session window, its template outside it
+ * (no template: skipped). Each send is logged to WhatsAppMessageLog like the webhook's outbound messages.
+ * Flow spec: nudges: [{ id, nodes: ['collect_dob'], afterHours: 20, messageKey?, template? }]. Nudges for the same
+ * node go out in afterHours order, one per run, each at most once per idle period; NUDGE_MAX_PER_USER caps the total
+ * per user (all conversations) within NUDGE_CAP_DAYS, counted in BotConfig nudge_count_{mobile}. Users who opted
+ * out (UserConsent) are never nudged. The conversation stays on its node, so the user's reply is handled as the answer.
+ * A send that failed with a retryable error goes to sendRetry.js (dropped there if the user writes first).
+ * Deployed from the meta-webhook code so it loads flows and sends messages exactly like the webhook.
+ */
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { loadFlow } = require('./flowLoader');
+const { fillTemplate, getMessageText, buildTemplateMessage } = require('./flowRunner');
+const { sendFlowMessage } = require('./utils/meta');
+const { isRetryableSend, handOffFailedSend } = require('./sendRetry');
+const {
+  getLatestConversationState,
+  hasPendingEscalationForUser,
+  getConsent,
+  scanIdleConversations,
+  getNudgeCounter,
+  claimNudge
+} = require('./utils/dynamodb');
+
+const dynamoClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+const MESSAGE_LOG_TABLE = process.env.MESSAGE_LOG_TABLE_NAME || '';
+const BOT_CONFIG_TABLE = process.env.BOT_CONFIG_TABLE_NAME || '';
+const CONVERSATION_STATE_TABLE = process.env.CONVERSATION_STATE_TABLE_NAME || '';
+const ESCALATION_TABLE = process.env.ESCALATION_TABLE_NAME || '';
+const CONSENT_TABLE = process.env.USER_CONSENT_TABLE_NAME || '';
+const META_PHONE_NUMBER_ID = process.env.META_PHONE_NUMBER_ID || '';
+const DEFAULT_FLOW_ID = process.env.DEFAULT_FLOW_ID || 'marzi-lead';
+const NUDGE_MAX_PER_USER = Number(process.env.NUDGE_MAX_PER_USER || '2') || 2;
+// Window the per-user cap applies to; a new window starts with the first nudge after the last one ended
+const NUDGE_CAP_DAYS = Number(process.env.NUDGE_CAP_DAYS || '30') || 30;
+const NUDGE_MAX_PER_RUN = Number(process.env.NUDGE_MAX_PER_RUN || '200') || 200;
+// Conversations idle longer than this are left alone (and keep the scan bounded)
+const NUDGE_LOOKBACK_HOURS = Number(process.env.NUDGE_LOOKBACK_HOURS || '168') || 168;
+
+const HOUR_MS = 60 * 60 * 1000;
+const SESSION_WINDOW_MS = 24 * HOUR_MS;
+const NUDGE_CAP_WINDOW_MS = NUDGE_CAP_DAYS * 24 * HOUR_MS;
+const AGENT_COOLDOWN_MS = 60 * 60 * 1000; // 1 hour, as in the webhook
+// Stop picking up work this close to the Lambda timeout
+const TIME_RESERVE_MS = 15 * 1000;
+
+/**
+ * Global kill switch (BotConfig botEnabled); default true. Read once per run.
+ * @returns {Promise<boolean>}
+ */
+async function isBotEnabled() {
+  if (!BOT_CONFIG_TABLE) return true;
+  try {
+    const res = await dynamoClient.send(new GetCommand({ TableName: BOT_CONFIG_TABLE, Key: { configKey: 'botEnabled' } }));
+    return typeof res.Item?.enabled === 'boolean' ? res.Item.enabled : true;
+  } catch (err) {
+    console.warn(JSON.stringify({ event: 'nudge_bot_enabled_check_failed', error: err.message }));
+    return true;
+  }
+}
+
+async function isAgentCooldownActive(mobile) {
+  if (!BOT_CONFIG_TABLE) return false;
+  try {
+    const res = await dynamoClient.send(new GetCommand({ TableName: BOT_CONFIG_TABLE, Key: { configKey: `agent_cooldown_${mobile}` } }));
+    const ts = res.Item?.timestamp;
+    return typeof ts === 'number' && Date.now() - ts < AGENT_COOLDOWN_MS;
+  } catch (err) {
+    console.warn(JSON.stringify({ event: 'nudge_agent_cooldown_check_failed', mobile, error: err.message }));
+    return false;
+  }
+}
+
+/**
+ * Next nudge due for a conversation, if any: the nudges for its current node sorted by afterHours, skipping the
+ * ones already sent since the user's last interaction.
+ * @param {object} flow
+ * @param {object} state - Conversation state (nudges: [{ id, step, at }])
+ * @param {number} now
+ * @returns {object|null} Nudge spec from flow.nudges
+ */
+function pickNudge(flow, state, now) {
+  const due = (Array.isArray(flow.nudges) ? flow.nudges : [])
+    .filter((n) => n && Array.isArray(n.nodes) && n.nodes.includes(state.currentStep))
+    .sort((a, b) => a.afterHours - b.afterHours);
+  const sentSinceReply = (state.nudges || []).filter((n) => n.at > state.lastInteraction).length;
+  const next = due[sentSinceReply];
+  if (!next || now - state.lastInteraction < next.afterHours * HOUR_MS) return null;
+  return next;
+}
+
+/**
+ * Message for a nudge: text (in the user's locale) inside the session window, template outside it.
+ * @returns {object|null} flowRunner-style message, or null when nothing may be sent
+ */
+function buildNudgeMessage(flow, nudge, state, now) {
+  const profile = state.userProfile || {};
+  const stepData = state.stepData || {};
+  const lastInboundAt = state.lastInboundAt || state.lastInteraction;
+  if (now - lastInboundAt < SESSION_WINDOW_MS && nudge.messageKey) {
+    const body = fillTemplate(flow, getMessageText(flow, nudge.messageKey, profile) || '', profile, stepData, nudge.messageKey);
+    if (body) return { type: 'text', body };
+  }
+  return nudge.template ? buildTemplateMessage(flow, nudge.template, profile, stepData) : null;
+}
+
+async function logNudge(item) {
+  if (!MESSAGE_LOG_TABLE) return;
+  const clean = Object.fromEntries(Object.entries(item).filter(([, v]) => v !== undefined && v !== null));
+  try {
+    await dynamoClient.send(new PutCommand({ TableName: MESSAGE_LOG_TABLE, Item: clean }));
+  } catch (err) {
+    console.error(JSON.stringify({ event: 'message_log_save_error', table: MESSAGE_LOG_TABLE, error: err.message }));
+  }
+}
+
+/**
+ * Check one idle conversation and send its nudge if it is due.
+ * @returns {Promise<string>} Outcome, counted in the run summary
+ */
+async function processConversation(state, now, flows) {
+  const { mobile } = state;
+  const flowId = state.flowId || DEFAULT_FLOW_ID;
+  if (!flows.has(flowId)) flows.set(flowId, await loadFlow(flowId));
+  const flow = flows.get(flowId);
+  if (!flow) return 'no_flow';
+  const nudge = pickNudge(flow, state, now);
+  if (!nudge) return 'not_due';
+
+  // Older conversations of the same user are idle too; only the one the webhook would continue counts
+  const latest = await getLatestConversationState(CONVERSATION_STATE_TABLE, mobile);
+  if (!latest || latest.conversationId !== state.conversationId) return 'superseded';
+  const counter = await getNudgeCounter(BOT_CONFIG_TABLE, mobile);
+  if (counter && now - counter.windowStart < NUDGE_CAP_WINDOW_MS && counter.count >= NUDGE_MAX_PER_USER) return 'capped';
+  if (CONSENT_TABLE && (await getConsent(CONSENT_TABLE, mobile))?.status === 'opted_out') return 'opted_out';
+  if (ESCALATION_TABLE && await hasPendingEscalationForUser(ESCALATION_TABLE, mobile)) return 'agent_handling';
+  if (await isAgentCooldownActive(mobile)) return 'agent_handling';
+
+  const message = buildNudgeMessage(flow, nudge, state, now);
+  if (!message) {
+    console.log(JSON.stringify({ event: 'nudge_skipped_window_closed', mobile, flowId, nudgeId: nudge.id }));
+    return 'window_closed';
+  }
+  const cap = { tableName: BOT_CONFIG_TABLE, counter, windowMs: NUDGE_CAP_WINDOW_MS };
+  if (!(await claimNudge(CONVERSATION_STATE_TABLE, state, { id: nudge.id, step: state.currentStep, at: now }, cap))) {
+    return 'moved_on';
+  }
+
+  const phoneNumberId = state.phoneNumberId || META_PHONE_NUMBER_ID;
+  const sendResult = await sendFlowMessage(phoneNumberId, mobile, message);
+  const retry = !sendResult.success && isRetryableSend(sendResult);
+  const timestamp = Date.now();
+  await logNudge({
+    mobile,
+    timestamp,
+    conversationId: state.conversationId,
+    flowId,
+    flowStep: state.currentStep,
+    direction: 'outbound',
+    source: 'meta',
+    type: message.type,
+    messageText: message.body,
+    nudgeId: nudge.id,
+    ...(message.type === 'template' && { templateName: message.template.name, templateLanguage: message.template.language }),
+    metaMessageId: sendResult.metaMessageId || null,
+    ...(!sendResult.success && {
+      sendError: sendResult.error,
+      sendErrorCode: sendResult.errorCode,
+      sendStatus: retry ? 'retrying' : 'failed',
+      sendAttempts: 1,
+      ...(!retry && { sendFailedReason: 'permanent' })
+    }),
+    waNumber: mobile
+  });
+  const retrying = retry && (await handOffFailedSend({
+    mobile,
+    phoneNumberId,
+    inboundAt: state.lastInboundAt || state.lastInteraction,
+    entries: [{ message, logKey: { mobile, timestamp } }]
+  }, sendResult)) === 'retrying';
+  console.log(JSON.stringify({
+    event: sendResult.success ? 'nudge_sent' : 'nudge_send_failed',
+    mobile,
+    flowId,
+    nudgeId: nudge.id,
+    step: state.currentStep,
+    type: message.type,
+    idleHours: Math.round((now - state.lastInteraction) / HOUR_MS),
+    ...(!sendResult.success && { error: sendResult.error, errorCode: sendResult.errorCode, retrying })
+  }));
+  if (sendResult.success) return 'sent';
+  return retrying ? 'send_retrying' : 'send_failed';
+}
+
+/**
+ * Scheduled handler (EventBridge). Returns the run summary for the logs / manual invokes.
+ */
+exports.handler = async (event, context) => {
+  const now = Date.now();
+  const summary = { scanned: 0, sent: 0 };
+  if (!CONVERSATION_STATE_TABLE || !BOT_CONFIG_TABLE) {
+    // BotConfig holds the per-user nudge counters: without it the cap could not be kept
+    const missing = !CONVERSATION_STATE_TABLE ? 'CONVERSATION_STATE_TABLE_NAME' : 'BOT_CONFIG_TABLE_NAME';
+    console.warn(JSON.stringify({ event: 'nudge_not_configured', reason: `${missing} missing` }));
+    return summary;
+  }
+  if (!(await isBotEnabled())) {
+    console.log(JSON.stringify({ event: 'nudge_skipped_bot_disabled' }));
+    return summary;
+  }
+  const outOfTime = () => context && context.getRemainingTimeInMillis && context.getRemainingTimeInMillis() < TIME_RESERVE_MS;
+  const flows = new Map();
+  let startKey = null;
+  do {
+    const page = await scanIdleConversations(CONVERSATION_STATE_TABLE, {
+      from: now - NUDGE_LOOKBACK_HOURS * HOUR_MS,
+      to: now - HOUR_MS,
+      startKey
+    });
+    startKey = page.lastKey;
+    for (const state of page.items) {
+      if (summary.sent >= NUDGE_MAX_PER_RUN || outOfTime()) {
+        startKey = null;
+        break;
+      }
+      summary.scanned++;
+      try {
+        const outcome = await processConversation(state, now, flows);
+        summary[outcome] = (summary[outcome] || 0) + 1;
+      } catch (err) {
+        summary.errors = (summary.errors || 0) + 1;
+        console.error(JSON.stringify({ event: 'nudge_error', mobile: state.mobile, error: err.message }));
+      }
+    }
+  } while (startKey);
+  console.log(JSON.stringify({ event: 'nudge_run_complete', ...summary, durationMs: Date.now() - now }));
+  return summary;
+};
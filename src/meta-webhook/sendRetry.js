@@ -0,0 +1,210 @@
+/**
+ * Outbound send retries (SQS MetaSendRetryQueue): flow replies and nudges whose Graph send failed with a
+ * retryable error (utils/meta.js classifySendError: throttling, Meta-side failures, token errors) are sent again
+ * with exponential backoff, through the queue's per-message delay (30s, 60s, 120s, ... up to 15 min).
+ * A job holds the failed message and the replies that were waiting behind it, all already logged
+ * (sendStatus 'retrying' / 'queued'), so a user never gets a later reply before an earlier one.
+ * The log items follow along: sendStatus 'sent' (with its metaMessageId, so delivery statuses find it) or 'failed'
+ * with sendFailedReason: permanent | attempts_exhausted | superseded | opted_out | session_window_closed |
+ * previous_failed | retry_not_configured | retry_not_queued.
+ * A job is dropped as superseded once the user has written again (the old replies would arrive out of context), and
+ * as opted_out once the user has opted out (STOP or dashboard; neither counts as writing again).
+ * Deployed from the meta-webhook code like FlowAPI and FollowUpNudge.
+ */
+const { SQSClient, SendMessageCommand } = require('@aws-sdk/client-sqs');
+const { sendFlowMessage } = require('./utils/meta');
+const { getLatestConversationState, getConsent, updateMessageSend } = require('./utils/dynamodb');
+
+const sqsClient = new SQSClient({});
+
+const SEND_RETRY_QUEUE_URL = process.env.META_SEND_RETRY_QUEUE_URL || '';
+const MESSAGE_LOG_TABLE = process.env.MESSAGE_LOG_TABLE_NAME || '';
+const CONVERSATION_STATE_TABLE = process.env.CONVERSATION_STATE_TABLE_NAME || '';
+const CONSENT_TABLE = process.env.USER_CONSENT_TABLE_NAME || '';
+// Tries in total, the first (failed) send included
+const MAX_ATTEMPTS = Math.max(1, Number(process.env.META_SEND_MAX_ATTEMPTS || '5') || 5);
+const BASE_DELAY_SECONDS = 30;
+const MAX_DELAY_SECONDS = 900; // SQS DelaySeconds limit
+const SESSION_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/** Whether a failed send (utils/meta.js result) is worth another try; results without errorClass are not. */
+function isRetryableSend(result) {
+  return result.errorClass === 'retryable' || result.errorClass === 'auth';
+}
+
+/**
+ * Delay before the next try, with +/-20% jitter so sends throttled together do not come back together.
+ * @param {number} attempt - Tries made so far (1 after the first failure)
+ * @returns {number} Seconds
+ */
+function retryDelaySeconds(attempt) {
+  const base = Math.min(MAX_DELAY_SECONDS, BASE_DELAY_SECONDS * 2 ** (attempt - 1));
+  return Math.min(MAX_DELAY_SECONDS, Math.round(base * (0.8 + Math.random() * 0.4)));
+}
+
+/** Update a log item; never throws (a job must not be retried from SQS after some of its messages went out). */
+async function recordSend(logKey, fields, remove) {
+  if (!MESSAGE_LOG_TABLE) return;
+  try {
+    await updateMessageSend(MESSAGE_LOG_TABLE, logKey, fields, remove);
+  } catch (err) {
+    console.error(JSON.stringify({ event: 'meta_send_log_update_error', mobile: logKey.mobile, timestamp: logKey.timestamp, error: err.message }));
+  }
+}
+
+/**
+ * Mark a job's messages failed for good: the first with the reason and last error, the rest as previous_failed
+ * (or with the same reason when it applies to the whole job).
+ * @param {Array<{ message: object, logKey: object }>} entries
+ * @param {string} reason
+ * @param {object|null} result - Last send result
+ * @param {number} attempts - Tries made for the first entry
+ * @param {string} [restReason]
+ */
+async function markFailed(entries, reason, result, attempts, restReason = 'previous_failed') {
+  for (let i = 0; i < entries.length; i++) {
+    await recordSend(entries[i].logKey, i === 0
+      ? { sendStatus: 'failed', sendFailedReason: reason, sendAttempts: attempts, sendError: result?.error, sendErrorCode: result?.errorCode ?? undefined }
+      : { sendStatus: 'failed', sendFailedReason: restReason });
+  }
+  console.warn(JSON.stringify({
+    event: 'meta_send_failed_permanently',
+    mobile: entries[0]?.logKey.mobile,
+    reason,
+    attempts,
+    messages: entries.length,
+    error: result?.error,
+    errorCode: result?.errorCode
+  }));
+}
+
+/**
+ * Queue a job for its next try.
+ * @param {object} job - { mobile, phoneNumberId, inboundAt?, requestId?, entries: [{ message, logKey: { mobile, timestamp } }] }
+ * @param {number} attempt - Tries made so far for the first entry
+ * @returns {Promise<boolean>} false when the job could not be queued
+ */
+async function scheduleSendRetry(job, attempt) {
+  if (!SEND_RETRY_QUEUE_URL) return false;
+  const delaySeconds = retryDelaySeconds(attempt);
+  try {
+    await sqsClient.send(new SendMessageCommand({
+      QueueUrl: SEND_RETRY_QUEUE_URL,
+      MessageBody: JSON.stringify({ ...job, attempt }),
+      DelaySeconds: delaySeconds
+    }));
+  } catch (err) {
+    console.error(JSON.stringify({ event: 'meta_send_retry_queue_error', requestId: job.requestId, mobile: job.mobile, attempt, error: err.message }));
+    return false;
+  }
+  console.log(JSON.stringify({
+    event: 'meta_send_retry_scheduled',
+    requestId: job.requestId,
+    mobile: job.mobile,
+    attempt,
+    delaySeconds,
+    messages: job.entries.length
+  }));
+  return true;
+}
+
+/**
+ * Hand a retryable first-try failure to the retry queue; marks the job failed when there is no queue or it
+ * cannot be reached. The job's log items must already be saved (sendStatus 'retrying' for the first, 'queued' after).
+ * @param {object} job - See scheduleSendRetry
+ * @param {object} result - The failed send result
+ * @returns {Promise<'retrying'|'failed'>}
+ */
+async function handOffFailedSend(job, result) {
+  const reason = !SEND_RETRY_QUEUE_URL ? 'retry_not_configured' : !(await scheduleSendRetry(job, 1)) ? 'retry_not_queued' : null;
+  if (!reason) return 'retrying';
+  await markFailed(job.entries, reason, result, 1);
+  return 'failed';
+}
+
+/**
+ * One try of a job: send its messages in order, stopping at the first failure (queued again or marked failed).
+ * @param {object} job - Queue message body (scheduleSendRetry)
+ * @returns {Promise<string>} Outcome for the logs
+ */
+async function processJob(job) {
+  const attempt = (Number(job.attempt) || 1) + 1;
+  if (CONSENT_TABLE && (await getConsent(CONSENT_TABLE, job.mobile))?.status === 'opted_out') {
+    await markFailed(job.entries, 'opted_out', null, attempt - 1, 'opted_out');
+    return 'opted_out';
+  }
+  if (CONVERSATION_STATE_TABLE && job.inboundAt) {
+    const state = await getLatestConversationState(CONVERSATION_STATE_TABLE, job.mobile);
+    if (state?.lastInboundAt > job.inboundAt) {
+      await markFailed(job.entries, 'superseded', null, attempt - 1, 'superseded');
+      return 'superseded';
+    }
+  }
+  for (let i = 0; i < job.entries.length; i++) {
+    const { message, logKey } = job.entries[i];
+    const tries = i === 0 ? attempt : 1;
+    const rest = job.entries.slice(i);
+    // Free-form messages are rejected outside the 24h customer service window; templates are not
+    if (job.inboundAt && message.type !== 'template' && Date.now() - job.inboundAt >= SESSION_WINDOW_MS) {
+      await markFailed(rest, 'session_window_closed', null, tries - 1);
+      return 'session_window_closed';
+    }
+    const result = await sendFlowMessage(job.phoneNumberId, job.mobile, message);
+    if (result.success) {
+      await recordSend(logKey, { sendStatus: 'sent', sendAttempts: tries, sentAt: Date.now(), metaMessageId: result.metaMessageId || undefined }, ['sendError', 'sendErrorCode']);
+      continue;
+    }
+    if (!isRetryableSend(result)) {
+      await markFailed(rest, 'permanent', result, tries);
+      return 'failed';
+    }
+    if (tries >= MAX_ATTEMPTS) {
+      await markFailed(rest, 'attempts_exhausted', result, tries);
+      return 'failed';
+    }
+    await recordSend(logKey, { sendStatus: 'retrying', sendAttempts: tries, sendError: result.error, sendErrorCode: result.errorCode ?? undefined });
+    if (!(await scheduleSendRetry({ ...job, entries: rest }, tries))) {
+      await markFailed(rest, 'retry_not_queued', result, tries);
+      return 'failed';
+    }
+    return 'retrying';
+  }
+  return 'sent';
+}
+
+/**
+ * SQS handler. A record is only reported back when it failed before anything was sent (e.g. the state read).
+ * @returns {Promise<{ batchItemFailures: Array<{ itemIdentifier: string }> }>}
+ */
+exports.handler = async (event) => {
+  const batchItemFailures = [];
+  for (const record of event.Records || []) {
+    let job;
+    try {
+      job = JSON.parse(record.body);
+    } catch (err) {
+      console.error(JSON.stringify({ event: 'meta_send_retry_bad_job', sqsMessageId: record.messageId, error: err.message }));
+      continue;
+    }
+    if (!job.mobile || !Array.isArray(job.entries) || !job.entries.length) continue;
+    try {
+      const outcome = await processJob(job);
+      console.log(JSON.stringify({
+        event: 'meta_send_retry_processed',
+        requestId: job.requestId,
+        mobile: job.mobile,
+        attempt: (Number(job.attempt) || 1) + 1,
+        messages: job.entries.length,
+        outcome
+      }));
+    } catch (err) {
+      batchItemFailures.push({ itemIdentifier: record.messageId });
+      console.error(JSON.stringify({ event: 'meta_send_retry_error', sqsMessageId: record.messageId, mobile: job.mobile, error: err.message }));
+    }
+  }
+  return { batchItemFailures };
+};
+
+exports.isRetryableSend = isRetryableSend;
+exports.handOffFailedSend = handOffFailedSend;
+exports.retryDelaySeconds = retryDelaySeconds;
@@ -0,0 +1,167 @@
+/**
+ * Golden-transcript regression tests for flows/marzi-lead.json: every scripted conversation below is played through
+ * runFlow (via the flow simulator, in memory: no WhatsApp, no DynamoDB) and compared with test/golden/marzi-lead/{name}.json.
+ * A change in wording, order of messages, node path or collected profile shows up as a diff.
+ * After an intended flow change, regenerate with: npm run test:update-golden (then review the golden diff).
+ * The clock is fixed so ages and dates do not drift with the calendar.
+ */
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { simulateConversation } = require('../flowSimulator');
+const { validateFlow } = require('../flowValidator');
+const flow = require('../flows/marzi-lead.json');
+
+const GOLDEN_DIR = path.join(__dirname, 'golden', 'marzi-lead');
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+const FIXED_NOW = Date.UTC(2025, 0, 15, 4, 30); // 15 Jan 2025, 10:00 IST
+const MOBILE = '919876500000';
+
+const REGISTERED = { name: 'Sita Devi', dob: '1958-03-12', city: 'Bengaluru', status: 'registered' };
+const ACTIVATED = { name: 'Mohan Rao', dob: '1955-08-01', city: 'Bengaluru', status: 'activated' };
+const LEAD_NAME_ONLY = { name: 'Lakshmi Iyer', status: 'lead' };
+
+/** name -> { profile?, inputs } (inputs as accepted by POST /api/flows/{flowId}/simulate) */
+const SCENARIOS = {
+  'new-user-bengaluru': {
+    inputs: ['hi', 'yes', 'Ramesh Kumar', '05/05/1960', 'Bangalore', 'Indiranagar', '1']
+  },
+  'new-user-bengaluru-buttons': {
+    inputs: [
+      'hello',
+      { text: 'Yes', replyId: 'hook_ask_yes_no:yes' },
+      'my name is Anita Sharma',
+      '12-11-1962',
+      'bengaluru',
+      'Jayanagar',
+      { text: 'Book Club', replyId: 'phase4_interest_groups:4' }
+    ]
+  },
+  'new-user-other-city': {
+    inputs: ['hi', 'yes', 'Sita Ram', '1/1/1960', 'Mumbai', '9']
+  },
+  'under-50-referral': {
+    inputs: ['hi', 'yes', 'Ravi Kumar', '12/05/1990', 'yes', 'Asha', '9876543210', 'Pune']
+  },
+  'under-50-no-referral': {
+    inputs: ['hi', 'yes', 'Ravi Kumar', '12/05/1990', 'no']
+  },
+  'not-interested': {
+    inputs: ['hi', 'no']
+  },
+  'invalid-answers-retry': {
+    inputs: ['hi', 'yes', '123', 'Meena', 'sometime long ago', '03/03/1961', 'Chennai']
+  },
+  'lead-resumes-missing-fields': {
+    profile: LEAD_NAME_ONLY,
+    inputs: ['hi', 'ok', '20/07/1959', 'Mysore']
+  },
+  'registered-meetups': {
+    profile: REGISTERED,
+    inputs: ['hi', '1']
+  },
+  'registered-support': {
+    profile: REGISTERED,
+    inputs: ['hi', '2']
+  },
+  'registered-info': {
+    profile: REGISTERED,
+    inputs: ['hi', '3', '1', '2', '4']
+  },
+  'activated-holidays': {
+    profile: ACTIVATED,
+    inputs: ['hi', '1']
+  },
+  'activated-support': {
+    profile: ACTIVATED,
+    inputs: ['hi', '3']
+  },
+  'info-connect-support': {
+    inputs: ['hi', '3', '3']
+  },
+  'help-intent-mid-flow': {
+    inputs: ['hi', 'yes', 'help']
+  },
+  'restart-and-menu-intents': {
+    inputs: ['hi', 'yes', 'Kavita', 'start over', 'yes', 'menu']
+  },
+  'language-hindi': {
+    inputs: ['नमस्ते', 'हाँ', 'language', '2', 'हाँ']
+  },
+  'session-timeout-resume': {
+    inputs: ['hi', 'yes', 'Gopal Krishnan', { text: '15/08/1950', afterMinutes: 3 * 24 * 60 }]
+  }
+};
+
+/** Date with the clock stopped at FIXED_NOW (age from DOB, date filters, simulator clock). */
+function freezeDate() {
+  const RealDate = Date;
+  class FixedDate extends RealDate {
+    constructor(...args) {
+      super(...(args.length ? args : [FIXED_NOW]));
+    }
+
+    static now() {
+      return FIXED_NOW;
+    }
+  }
+  global.Date = FixedDate;
+  return () => { global.Date = RealDate; };
+}
+
+async function runScenario(scenario) {
+  const result = await simulateConversation(flow, {
+    flowId: flow.id,
+    mobile: MOBILE,
+    now: FIXED_NOW,
+    inputs: scenario.inputs,
+    profile: scenario.profile
+  });
+  // Through JSON so the comparison sees exactly what a golden file can hold
+  return JSON.parse(JSON.stringify({ profile: scenario.profile || null, inputs: scenario.inputs, ...result }));
+}
+
+describe('marzi-lead golden transcripts', () => {
+  let restoreDate;
+  before(() => {
+    restoreDate = freezeDate();
+    // runFlow logs structured events to stdout; keep the test report readable
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+  after(() => {
+    mock.restoreAll();
+    restoreDate();
+  });
+
+  it('ships a flow that passes validation', () => {
+    const { valid, errors } = validateFlow(flow);
+    assert.deepEqual(errors, []);
+    assert.equal(valid, true);
+  });
+
+  for (const [name, scenario] of Object.entries(SCENARIOS)) {
+    it(name, async () => {
+      const actual = await runScenario(scenario);
+      const file = path.join(GOLDEN_DIR, `${name}.json`);
+      if (UPDATE_GOLDEN) {
+        fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+        fs.writeFileSync(file, `${JSON.stringify(actual, null, 2)}\n`);
+        return;
+      }
+      assert.ok(fs.existsSync(file), `No golden transcript for ${name}; run npm run test:update-golden`);
+      const expected = JSON.parse(fs.readFileSync(file, 'utf8'));
+      assert.deepEqual(actual, expected);
+    });
+  }
+
+  it('has no golden files without a scenario', () => {
+    if (UPDATE_GOLDEN || !fs.existsSync(GOLDEN_DIR)) return;
+    const orphans = fs.readdirSync(GOLDEN_DIR)
+      .filter((f) => f.endsWith('.json'))
+      .map((f) => f.slice(0, -'.json'.length))
+      .filter((name) => !SCENARIOS[name]);
+    assert.deepEqual(orphans, []);
+  });
+});
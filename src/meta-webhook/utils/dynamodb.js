@@ -1,6 +1,7 @@
 /**
  * DynamoDB helpers for Meta webhook flow runner.
- * CRM (UserProfile), conversation state (UserConversationState), escalations (HumanEscalation).
+ * CRM (UserProfile), conversation state (UserConversationState), escalations (HumanEscalation), consent (UserConsent),
+ * flow funnel and delivery counters (FlowFunnelStats), webhook delivery dedupe (InboundMessageDedupe), delivery statuses (WhatsAppMessageLog).
  * Single client instance; removeUndefinedValues to keep items small.
  */
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
@@ -9,7 +10,10 @@ const {
   GetCommand,
   PutCommand,
   QueryCommand,
-  UpdateCommand
+  ScanCommand,
+  UpdateCommand,
+  DeleteCommand,
+  TransactWriteCommand
 } = require('@aws-sdk/lib-dynamodb');
 
 const dynamoClient = DynamoDBDocumentClient.from(new DynamoDBClient({}), {
@@ -77,17 +81,21 @@ async function getLatestConversationState(tableName, mobile) {
 }
 
 /**
- * Save conversation state (creates or overwrites). Sets ttl for DynamoDB TTL.
+ * Save conversation state (creates or overwrites). Sets ttl (epoch seconds) so DynamoDB drops the state
+ * ttlDays after the last interaction.
  * @param {string} tableName - UserConversationState table name
  * @param {object} state - { mobile, conversationId, currentStep, flowState, userProfile?, stepData?, ... }
+ * @param {{ ttlDays?: number }} [options] - Default 365
  */
-async function saveConversationState(tableName, state) {
+async function saveConversationState(tableName, state, options = {}) {
   if (!tableName || !state?.mobile || !state?.conversationId) return;
   const now = Date.now();
-  const ttl = Math.floor((now + 365 * 24 * 60 * 60 * 1000) / 1000);
+  const lastInteraction = state.lastInteraction || now;
+  const ttlDays = options.ttlDays > 0 ? options.ttlDays : 365;
+  const ttl = Math.floor((lastInteraction + ttlDays * 24 * 60 * 60 * 1000) / 1000);
   const item = {
     ...state,
-    lastInteraction: state.lastInteraction || now,
+    lastInteraction,
     updatedAt: now,
     createdAt: state.createdAt || now,
     ttl
@@ -155,6 +163,386 @@ async function createEscalation(tableName, escalation) {
   return escalationId;
 }
 
+/**
+ * One page of conversation states whose lastInteraction is in [from, to] (ms), from the lastInteraction-index.
+ * The index is hash-only on lastInteraction, so this is a filtered Scan, not a range Query.
+ * @param {string} tableName - UserConversationState table name
+ * @param {{ from: number, to: number, startKey?: object, limit?: number }} opts
+ * @returns {Promise<{ items: object[], lastKey: object|null }>}
+ */
+async function scanIdleConversations(tableName, opts) {
+  const res = await dynamoClient.send(new ScanCommand({
+    TableName: tableName,
+    IndexName: 'lastInteraction-index',
+    FilterExpression: 'lastInteraction BETWEEN :from AND :to',
+    ExpressionAttributeValues: { ':from': opts.from, ':to': opts.to },
+    ...(opts.limit && { Limit: opts.limit }),
+    ...(opts.startKey && { ExclusiveStartKey: opts.startKey })
+  }));
+  return { items: res.Items || [], lastKey: res.LastEvaluatedKey || null };
+}
+
+/**
+ * Nudges sent to a mobile in its current cap window, across all of its conversations (BotConfig nudge_count_{mobile}).
+ * @param {string} tableName - BotConfig table name
+ * @param {string} mobile
+ * @returns {Promise<{ count: number, windowStart: number }|null>} null when the user was never nudged
+ */
+async function getNudgeCounter(tableName, mobile) {
+  const res = await dynamoClient.send(new GetCommand({ TableName: tableName, Key: { configKey: `nudge_count_${mobile}` } }));
+  return res.Item ? { count: res.Item.count || 0, windowStart: res.Item.windowStart || 0 } : null;
+}
+
+/**
+ * Record a follow-up nudge before it is sent, on the conversation and on the user's nudge counter, in one
+ * transaction. Only succeeds while the conversation's lastInteraction is unchanged (a user who replied in the
+ * meantime, or a parallel run that already nudged, is not nudged) and the counter is as read: counting on from
+ * it inside its window, or starting a new window (count 1) once the old one is over.
+ * @param {string} tableName - UserConversationState table name
+ * @param {object} state - Conversation state as scanned
+ * @param {{ id: string, step: string, at: number }} nudge
+ * @param {{ tableName: string, counter: object|null, windowMs: number }} cap - BotConfig table, counter from
+ *   getNudgeCounter (the caller checked it is below the cap)
+ * @returns {Promise<boolean>} false when the conversation moved on or the counter changed
+ */
+async function claimNudge(tableName, state, nudge, cap) {
+  const counterKey = { configKey: `nudge_count_${state.mobile}` };
+  const { counter } = cap;
+  const counterWrite = counter && nudge.at - counter.windowStart < cap.windowMs
+    ? {
+      Update: {
+        TableName: cap.tableName,
+        Key: counterKey,
+        UpdateExpression: 'SET #count = #count + :one, updatedAt = :at',
+        ConditionExpression: 'windowStart = :windowStart AND #count = :count',
+        ExpressionAttributeNames: { '#count': 'count' },
+        ExpressionAttributeValues: { ':one': 1, ':at': nudge.at, ':windowStart': counter.windowStart, ':count': counter.count }
+      }
+    }
+    : {
+      Put: {
+        TableName: cap.tableName,
+        Item: { ...counterKey, mobile: state.mobile, count: 1, windowStart: nudge.at, updatedAt: nudge.at },
+        ...(counter
+          ? { ConditionExpression: 'windowStart = :windowStart', ExpressionAttributeValues: { ':windowStart': counter.windowStart } }
+          : { ConditionExpression: 'attribute_not_exists(configKey)' })
+      }
+    };
+  try {
+    await dynamoClient.send(new TransactWriteCommand({
+      TransactItems: [
+        {
+          Update: {
+            TableName: tableName,
+            Key: { mobile: state.mobile, conversationId: state.conversationId },
+            UpdateExpression: 'SET nudges = list_append(if_not_exists(nudges, :empty), :nudge)',
+            ConditionExpression: 'lastInteraction = :lastInteraction',
+            ExpressionAttributeValues: { ':empty': [], ':nudge': [nudge], ':lastInteraction': state.lastInteraction }
+          }
+        },
+        counterWrite
+      ]
+    }));
+    return true;
+  } catch (err) {
+    if (err.name === 'TransactionCanceledException' && (err.CancellationReasons || []).some((r) => r.Code === 'ConditionalCheckFailed')) {
+      return false;
+    }
+    throw err;
+  }
+}
+
+/** Entries kept in a consent record's history. */
+const CONSENT_HISTORY_MAX = 50;
+
+/** Tries of a consent read-modify-write that loses the race to a concurrent change. */
+const CONSENT_WRITE_ATTEMPTS = 3;
+
+/**
+ * Condition of a consent put: the record still has the updatedAt we read (not there when new or never updated),
+ * so a concurrent change fails it with ConditionalCheckFailedException instead of being overwritten.
+ * @param {object|null} existing - Record we read
+ * @returns {object} ConditionExpression params
+ */
+function consentUnchanged(existing) {
+  return existing?.updatedAt == null
+    ? { ConditionExpression: 'attribute_not_exists(updatedAt)' }
+    : { ConditionExpression: 'updatedAt = :prev', ExpressionAttributeValues: { ':prev': existing.updatedAt } };
+}
+
+/**
+ * Messaging consent for a mobile (UserConsent). No record means the user never opted out.
+ * @param {string} tableName - UserConsent table name
+ * @param {string} mobile
+ * @returns {Promise<object|null>} { mobile, status: 'opted_in'|'opted_out', channel, optInSource?, optedInAt?, optOutSource?, optOutKeyword?, optedOutAt?, history }
+ */
+async function getConsent(tableName, mobile) {
+  if (!tableName || !mobile) return null;
+  try {
+    const res = await dynamoClient.send(new GetCommand({ TableName: tableName, Key: { mobile } }));
+    return res.Item || null;
+  } catch (err) {
+    console.warn(JSON.stringify({ message: 'getConsent failed', mobile, error: err.message }));
+    return null;
+  }
+}
+
+/**
+ * Record an opt-in or opt-out (keeps the previous one of the other kind and appends to history). Re-reads and
+ * retries when the record changed since it was read, so concurrent changes don't drop each other's history.
+ * @param {string} tableName - UserConsent table name
+ * @param {string} mobile
+ * @param {{ status: 'opted_in'|'opted_out', source: string, keyword?: string, channel?: string, by?: string }} change
+ * @returns {Promise<object>} Saved record
+ */
+async function setConsent(tableName, mobile, change) {
+  for (let attempt = 1; ; attempt++) {
+    const existing = (await getConsent(tableName, mobile)) || {};
+    const now = Date.now();
+    const optingOut = change.status === 'opted_out';
+    const entry = { status: change.status, source: change.source, keyword: change.keyword, by: change.by, at: now };
+    const item = {
+      ...existing,
+      mobile,
+      channel: change.channel || existing.channel || 'whatsapp',
+      status: change.status,
+      ...(optingOut
+        ? { optOutSource: change.source, optOutKeyword: change.keyword, optedOutAt: now }
+        : { optInSource: change.source, optedInAt: now }),
+      history: [...(existing.history || []), entry].slice(-CONSENT_HISTORY_MAX),
+      updatedAt: now,
+      createdAt: existing.createdAt || now
+    };
+    try {
+      await dynamoClient.send(new PutCommand({ TableName: tableName, Item: item, ...consentUnchanged(existing) }));
+      return item;
+    } catch (err) {
+      if (err.name !== 'ConditionalCheckFailedException' || attempt >= CONSENT_WRITE_ATTEMPTS) throw err;
+    }
+  }
+}
+
+/**
+ * First contact: record the implicit opt-in (the user messaged us) unless a record already exists.
+ * @param {string} tableName - UserConsent table name
+ * @param {string} mobile
+ * @param {string} source - e.g. 'inbound_message'
+ */
+async function recordImplicitOptIn(tableName, mobile, source) {
+  const now = Date.now();
+  try {
+    await dynamoClient.send(new PutCommand({
+      TableName: tableName,
+      Item: {
+        mobile,
+        channel: 'whatsapp',
+        status: 'opted_in',
+        optInSource: source,
+        optedInAt: now,
+        history: [{ status: 'opted_in', source, at: now }],
+        updatedAt: now,
+        createdAt: now
+      },
+      ConditionExpression: 'attribute_not_exists(mobile)'
+    }));
+  } catch (err) {
+    if (err.name !== 'ConditionalCheckFailedException') {
+      console.warn(JSON.stringify({ message: 'recordImplicitOptIn failed', mobile, error: err.message }));
+    }
+  }
+}
+
+/**
+ * Claim an inbound message id so a redelivered webhook is not processed twice (conditional put with TTL).
+ * @param {string} tableName - InboundMessageDedupe table name
+ * @param {string} dedupeKey - e.g. meta#{wamid}
+ * @param {{ ttlHours?: number, mobile?: string }} [options] - ttlHours default 168 (Meta retries for up to 7 days)
+ * @returns {Promise<boolean>} false when the message was already claimed
+ */
+async function claimInboundMessage(tableName, dedupeKey, options = {}) {
+  const ttlHours = options.ttlHours > 0 ? options.ttlHours : 168;
+  const now = Date.now();
+  try {
+    await dynamoClient.send(new PutCommand({
+      TableName: tableName,
+      Item: {
+        dedupeKey,
+        mobile: options.mobile,
+        claimedAt: now,
+        ttl: Math.floor((now + ttlHours * 60 * 60 * 1000) / 1000)
+      },
+      ConditionExpression: 'attribute_not_exists(dedupeKey)'
+    }));
+    return true;
+  } catch (err) {
+    if (err.name === 'ConditionalCheckFailedException') return false;
+    throw err;
+  }
+}
+
+/**
+ * Drop a claim (the message could not be handed on, so its redelivery must be processed).
+ * @param {string} tableName - InboundMessageDedupe table name
+ * @param {string} dedupeKey
+ */
+async function releaseInboundMessage(tableName, dedupeKey) {
+  await dynamoClient.send(new DeleteCommand({ TableName: tableName, Key: { dedupeKey } }));
+}
+
+/** sent -> delivered -> read; failed wins over all of them. */
+const DELIVERY_STATUS_RANK = { sent: 1, delivered: 2, read: 3, failed: 4 };
+
+/**
+ * Record a delivery status on the outbound WhatsAppMessageLog item it belongs to (GSI metaMessageId-index).
+ * Each status is recorded once, so a redelivered webhook changes nothing: appended to statusHistory and {status}At
+ * set (failed also sets statusError). Meta does not guarantee the order, so deliveryStatus only moves forward.
+ * @param {string} tableName - WhatsAppMessageLog table name
+ * @param {{ metaMessageId: string, status: string, timestamp: number, errors?: Array<object> }} update - timestamp in ms
+ * @returns {Promise<'recorded'|'duplicate'|'unmatched'>}
+ */
+async function applyMessageStatus(tableName, update) {
+  const { metaMessageId, status, timestamp } = update;
+  if (!DELIVERY_STATUS_RANK[status]) throw new Error(`Unknown delivery status: ${status}`);
+  const found = await dynamoClient.send(new QueryCommand({
+    TableName: tableName,
+    IndexName: 'metaMessageId-index',
+    KeyConditionExpression: 'metaMessageId = :id',
+    ExpressionAttributeValues: { ':id': metaMessageId },
+    Limit: 1
+  }));
+  const item = found.Items?.[0];
+  if (!item) return 'unmatched';
+  const Key = { mobile: item.mobile, timestamp: item.timestamp };
+  const errors = update.errors || [];
+  const entry = { status, timestamp, ...(errors.length && { errors }) };
+  try {
+    await dynamoClient.send(new UpdateCommand({
+      TableName: tableName,
+      Key,
+      UpdateExpression: `SET statusHistory = list_append(if_not_exists(statusHistory, :empty), :entry), #at = :at${errors.length ? ', statusError = :error' : ''}`,
+      ConditionExpression: 'attribute_exists(mobile) AND attribute_not_exists(#at)',
+      ExpressionAttributeNames: { '#at': `${status}At` },
+      ExpressionAttributeValues: {
+        ':empty': [],
+        ':entry': [entry],
+        ':at': timestamp,
+        ...(errors.length && { ':error': errors[0] })
+      }
+    }));
+  } catch (err) {
+    if (err.name === 'ConditionalCheckFailedException') return 'duplicate';
+    throw err;
+  }
+  const earlier = Object.keys(DELIVERY_STATUS_RANK).filter((s) => DELIVERY_STATUS_RANK[s] < DELIVERY_STATUS_RANK[status]);
+  try {
+    await dynamoClient.send(new UpdateCommand({
+      TableName: tableName,
+      Key,
+      UpdateExpression: 'SET deliveryStatus = :status',
+      ConditionExpression: earlier.length
+        ? `attribute_not_exists(deliveryStatus) OR deliveryStatus IN (${earlier.map((_, i) => `:earlier${i}`).join(', ')})`
+        : 'attribute_not_exists(deliveryStatus)',
+      ExpressionAttributeValues: {
+        ':status': status,
+        ...Object.fromEntries(earlier.map((s, i) => [`:earlier${i}`, s]))
+      }
+    }));
+  } catch (err) {
+    // A later status is already there (e.g. read arrived before delivered)
+    if (err.name !== 'ConditionalCheckFailedException') throw err;
+  }
+  return 'recorded';
+}
+
+/**
+ * Update the send fields of a WhatsAppMessageLog item (sendStatus, sendAttempts, metaMessageId, ...) as a
+ * retried send progresses.
+ * @param {string} tableName - WhatsAppMessageLog table name
+ * @param {{ mobile: string, timestamp: number }} key
+ * @param {object} fields - Attributes to set; undefined values are skipped
+ * @param {string[]} [remove] - Attributes to remove (e.g. sendError once the message went out)
+ */
+async function updateMessageSend(tableName, key, fields, remove = []) {
+  const entries = Object.entries(fields).filter(([, v]) => v !== undefined);
+  const names = {};
+  const values = {};
+  const set = entries.map(([k, v], i) => {
+    names[`#f${i}`] = k;
+    values[`:v${i}`] = v;
+    return `#f${i} = :v${i}`;
+  });
+  const removed = remove.map((k, i) => {
+    names[`#r${i}`] = k;
+    return `#r${i}`;
+  });
+  await dynamoClient.send(new UpdateCommand({
+    TableName: tableName,
+    Key: { mobile: key.mobile, timestamp: key.timestamp },
+    UpdateExpression: [set.length && `SET ${set.join(', ')}`, removed.length && `REMOVE ${removed.join(', ')}`].filter(Boolean).join(' '),
+    ConditionExpression: 'attribute_exists(mobile)',
+    ExpressionAttributeNames: names,
+    ...(set.length && { ExpressionAttributeValues: values })
+  }));
+}
+
+/**
+ * Funnel cursors: where each user was last seen in a flow (FlowFunnelStats, statsKey cursor#{mobile}).
+ * @param {string} tableName - FlowFunnelStats table name
+ * @param {string[]} mobiles
+ * @returns {Promise<Map<string, object>>} mobile -> { flowId, step, pending }
+ */
+async function getFunnelCursors(tableName, mobiles) {
+  const cursors = new Map();
+  await Promise.all(mobiles.map(async (mobile) => {
+    const res = await dynamoClient.send(new GetCommand({
+      TableName: tableName,
+      Key: { statsKey: `cursor#${mobile}`, itemKey: 'cursor' }
+    }));
+    if (res.Item) cursors.set(mobile, { flowId: res.Item.flowId, step: res.Item.step, pending: !!res.Item.pending });
+  }));
+  return cursors;
+}
+
+/**
+ * @param {string} tableName - FlowFunnelStats table name
+ * @param {string} mobile
+ * @param {{ flowId: string, step: string, pending: boolean }} cursor
+ * @param {{ ttlDays?: number }} [options] - Default 30; a user idle longer starts a fresh funnel entry
+ */
+async function saveFunnelCursor(tableName, mobile, cursor, options = {}) {
+  const ttlDays = options.ttlDays > 0 ? options.ttlDays : 30;
+  const now = Date.now();
+  await dynamoClient.send(new PutCommand({
+    TableName: tableName,
+    Item: {
+      statsKey: `cursor#${mobile}`,
+      itemKey: 'cursor',
+      ...cursor,
+      updatedAt: now,
+      ttl: Math.floor((now + ttlDays * 24 * 60 * 60 * 1000) / 1000)
+    }
+  }));
+}
+
+/**
+ * Add to a counter item (ADD creates the item and attributes as needed).
+ * @param {string} tableName - FlowFunnelStats table name
+ * @param {string} statsKey - {flowId}#{YYYY-MM-DD} (funnel) or 'delivery' (deliveryStats.js)
+ * @param {string} itemKey - node#{nodeId} or edge#{from}>{to}; the hour for delivery counters
+ * @param {object} counts - attribute -> increment, e.g. { entries: 3, retries: 1 }
+ */
+async function addFunnelCounts(tableName, statsKey, itemKey, counts) {
+  const attrs = Object.keys(counts);
+  if (!attrs.length) return;
+  await dynamoClient.send(new UpdateCommand({
+    TableName: tableName,
+    Key: { statsKey, itemKey },
+    UpdateExpression: `ADD ${attrs.map((a, i) => `#c${i} :c${i}`).join(', ')}`,
+    ExpressionAttributeNames: Object.fromEntries(attrs.map((a, i) => [`#c${i}`, a])),
+    ExpressionAttributeValues: Object.fromEntries(attrs.map((a, i) => [`:c${i}`, counts[a]]))
+  }));
+}
+
 module.exports = {
   getUserProfile,
   saveUserProfile,
@@ -162,5 +550,19 @@ module.exports = {
   saveConversationState,
   updateUserProfile,
   createEscalation,
-  hasPendingEscalationForUser
+  hasPendingEscalationForUser,
+  scanIdleConversations,
+  getNudgeCounter,
+  claimNudge,
+  getConsent,
+  setConsent,
+  recordImplicitOptIn,
+  claimInboundMessage,
+  releaseInboundMessage,
+  applyMessageStatus,
+  DELIVERY_STATUS_RANK,
+  updateMessageSend,
+  getFunnelCursors,
+  saveFunnelCursor,
+  addFunnelCounts
 };
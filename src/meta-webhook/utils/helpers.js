@@ -1,5 +1,7 @@
 /**
- * Helpers for flow runner: age/DOB, intent (yes/no/menu), extractors (name, DOB, city), Bangalore fuzzy.
+ * Helpers for flow runner: age/DOB, intent (yes/no/menu), extractors (name, DOB, city), Bangalore fuzzy,
+ * consent keywords (STOP / START) for the webhook, locale detection from the script of a message.
+ * Replies may be in English, Hindi, Kannada or Tamil (native script or romanized).
  * Pure functions where possible for testability and no side effects.
  */
 
@@ -25,13 +27,25 @@ function calculateAge(dob) {
   }
 }
 
+// First code point of the digit zero in scripts users type dates in (Devanagari, Tamil, Kannada)
+const NATIVE_DIGIT_ZEROS = [0x0966, 0x0be6, 0x0ce6];
+
+/** "१२-०५-१९६०" -> "12-05-1960" */
+function toAsciiDigits(text) {
+  return text.replace(/[\u0966-\u096f\u0be6-\u0bef\u0ce6-\u0cef]/g, (ch) => {
+    const code = ch.codePointAt(0);
+    const zero = NATIVE_DIGIT_ZEROS.find((z) => code >= z && code <= z + 9);
+    return String(code - zero);
+  });
+}
+
 /**
  * Normalize DOB to DD-MM-YYYY for storage. Year-only (e.g. "1968") becomes 01-01-1968.
  * @returns {string|null} DD-MM-YYYY or null
  */
 function normalizeDOB(dob) {
   if (!dob || typeof dob !== 'string') return null;
-  const t = dob.trim();
+  const t = toAsciiDigits(dob.trim());
   const thisYear = new Date().getFullYear();
   const patterns = [
     /(\d{1,2})[-/.\s](\d{1,2})[-/.\s](\d{4})/,
@@ -90,14 +104,22 @@ function isValidDOB(dob) {
   return date.getDate() === day && date.getMonth() === month - 1 && date.getFullYear() === year;
 }
 
+// Whole words only: Hindi / Kannada / Tamil answers, romanized or in their own script
+const YES_WORDS = ['haan', 'han', 'haa', 'हाँ', 'हां', 'हा', 'ಹೌದು', 'ಹೂಂ', 'ஆமாம்', 'ஆம்'];
+const NO_WORDS = ['nahi', 'nahin', 'नहीं', 'नही', 'ना', 'ಇಲ್ಲ', 'ಬೇಡ', 'இல்லை', 'வேண்டாம்'];
+
+function hasWord(n, words) {
+  return n.split(/[\s\p{P}]+/u).some((w) => words.includes(w));
+}
+
 function isYes(message) {
   const n = normalizeText(message);
-  return ['yes', 'y', 'ya', 'yeah', 'yep', 'ok', 'okay', 'sure', 'alright'].some(p => n.includes(p));
+  return ['yes', 'y', 'ya', 'yeah', 'yep', 'ok', 'okay', 'sure', 'alright'].some(p => n.includes(p)) || hasWord(n, YES_WORDS);
 }
 
 function isNo(message) {
   const n = normalizeText(message);
-  return ['no', 'n', 'nah', 'nope', 'not', 'no thanks', 'no thank you'].some(p => n.includes(p));
+  return ['no', 'n', 'nah', 'nope', 'not', 'no thanks', 'no thank you'].some(p => n.includes(p)) || hasWord(n, NO_WORDS);
 }
 
 function getMenuOption(message) {
@@ -126,7 +148,7 @@ function extractName(message) {
   if (!message || typeof message !== 'string') return null;
   const t = message.trim().replace(/\s+/g, ' ');
   if (t.length < 2 || t.length > 100) return null;
-  const excluded = ['yes', 'no', 'hello', 'hi', 'hey', 'ok', 'thanks', 'okay', 'sure', 'alright', 'hmm', 'na'];
+  const excluded = ['yes', 'no', 'hello', 'hi', 'hey', 'ok', 'thanks', 'okay', 'sure', 'alright', 'hmm', 'na', 'namaste', 'नमस्ते', ...YES_WORDS, ...NO_WORDS];
   const lower = t.toLowerCase();
   if (excluded.includes(lower)) return null;
   const patterns = [
@@ -148,6 +170,8 @@ function extractName(message) {
     }
   }
   if (/^[a-zA-Z\s.'-]{2,80}$/.test(t) && /[a-zA-Z]{2,}/.test(t) && !excluded.includes(lower)) return normalizeNameForDisplay(t);
+  // Name typed in Hindi / Kannada / Tamil script (letters plus vowel signs)
+  if (detectScriptLocale(t) && /^[\p{L}\p{M}\s.'-]{2,80}$/u.test(t)) return t.split(/\s+/).slice(0, 4).join(' ');
   return null;
 }
 
@@ -164,17 +188,61 @@ function extractCity(message) {
     .replace(/\s*[.,;:!?]\s*$/, '')
     .replace(/\s+\d{6}\s*$/, '')
     .trim();
-  if (t.length < 2 || t.length > 80 || !/[a-zA-Z]/.test(t)) return null;
+  if (t.length < 2 || t.length > 80 || !/\p{L}/u.test(t)) return null;
   return t;
 }
 
+const BANGALORE_NATIVE = ['बेंगलुरु', 'बेंगलूरु', 'बैंगलोर', 'बंगलौर', 'ಬೆಂಗಳೂರು', 'பெங்களூரு', 'பெங்களூர்'];
+
 /** Bangalore fuzzy match: Bengaluru, Bangalore, B'lore, Blr, Benguluru, etc. */
 function isBangaloreFuzzy(city) {
   if (!city || typeof city !== 'string') return false;
   const n = city.trim().toLowerCase().replace(/\s+/g, ' ').replace(/['']/g, '');
   if (n.length < 2) return false;
   return /^(bangalore|bengaluru|benguluru|blr|blore)$/.test(n) ||
-    /\b(bangalore|bengaluru|benguluru|blr|blore)\b/.test(n);
+    /\b(bangalore|bengaluru|benguluru|blr|blore)\b/.test(n) ||
+    BANGALORE_NATIVE.some((name) => n.includes(name));
+}
+
+/** Locale written in each Indic script we serve; Marathi shares Devanagari, Hindi is the better guess. */
+const SCRIPT_LOCALES = [
+  { locale: 'hi', re: /[\u0900-\u097f]/g },
+  { locale: 'kn', re: /[\u0c80-\u0cff]/g },
+  { locale: 'ta', re: /[\u0b80-\u0bff]/g }
+];
+
+/**
+ * Locale of a message from its script: the Indic script with the most characters, else null (Latin text is
+ * English or romanized Hindi, which can't be told apart reliably).
+ * @param {string} message
+ * @returns {'hi'|'kn'|'ta'|null}
+ */
+function detectScriptLocale(message) {
+  if (!message || typeof message !== 'string') return null;
+  let best = null;
+  let bestCount = 0;
+  for (const { locale, re } of SCRIPT_LOCALES) {
+    const count = (message.match(re) || []).length;
+    if (count > bestCount) {
+      best = locale;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+const OPT_OUT_KEYWORDS = ['stop', 'unsubscribe', 'opt out', 'optout', 'band karo', 'बंद करो'];
+const OPT_IN_KEYWORDS = ['start', 'unstop', 'subscribe', 'opt in', 'optin', 'shuru karo', 'शुरू करो'];
+
+/**
+ * Consent keyword: the whole message is an opt-out / opt-in word (English or Hindi), punctuation ignored.
+ * @returns {'opt_out'|'opt_in'|null}
+ */
+function getConsentKeyword(message) {
+  const n = normalizeText(message).replace(/^[\s\p{P}]+|[\s\p{P}]+$/gu, '');
+  if (OPT_OUT_KEYWORDS.includes(n)) return 'opt_out';
+  if (OPT_IN_KEYWORDS.includes(n)) return 'opt_in';
+  return null;
 }
 
 module.exports = {
@@ -189,5 +257,7 @@ module.exports = {
   extractName,
   extractDOB,
   extractCity,
-  isBangaloreFuzzy
+  isBangaloreFuzzy,
+  getConsentKeyword,
+  detectScriptLocale
 };
@@ -0,0 +1,199 @@
+/**
+ * Typed validators for flow "input" nodes. Each turns the user's reply into the value to store, or null
+ * (the runner then sends the retry message). Built on the extractors in helpers.js.
+ * node.validator is a type name ("email") or { type, ...options } ({ "type": "number", "min": 50, "max": 100 }).
+ */
+const {
+  normalizeText,
+  normalizeDOB,
+  normalizeNameForDisplay,
+  extractName,
+  extractDOB,
+  extractCity,
+  isBangaloreFuzzy,
+  calculateAge
+} = require('./helpers');
+
+const EMAIL_RE = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/;
+// How users name a language when asked to pick one: English, romanized and native spellings
+const LANGUAGE_NAMES = {
+  en: ['english', 'angrezi', 'अंग्रेज़ी', 'अंग्रेजी', 'ಇಂಗ್ಲಿಷ್', 'ஆங்கிலம்'],
+  hi: ['hindi', 'हिंदी', 'हिन्दी'],
+  kn: ['kannada', 'ಕನ್ನಡ'],
+  ta: ['tamil', 'தமிழ்'],
+  te: ['telugu', 'తెలుగు'],
+  mr: ['marathi', 'मराठी'],
+  bn: ['bengali', 'bangla', 'বাংলা'],
+  ml: ['malayalam', 'മലയാളം'],
+  gu: ['gujarati', 'ગુજરાતી']
+};
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+/**
+ * validator type -> { parse(input, options) => value|null, checkOptions?(options) => error message|null }
+ */
+const INPUT_VALIDATORS = {
+  name: {
+    parse: (input) => extractName(input)
+  },
+  phone: {
+    // 10-digit Indian mobiles get the 91 prefix, like the webhook's normalizeMobile
+    parse(input) {
+      const digits = String(input).replace(/\D/g, '');
+      if (digits.length === 10 && /^[6-9]/.test(digits)) return '91' + digits;
+      if (digits.length === 12 && digits.startsWith('91')) return digits;
+      return digits.length >= 11 && digits.length <= 15 ? digits : null;
+    }
+  },
+  date: {
+    // Stored as DD-MM-YYYY; { "past": true } rejects future dates, minAge / maxAge check years since the date
+    parse(input, options) {
+      const date = extractDOB(input) || normalizeDOB(input.trim());
+      if (!date) return null;
+      const age = calculateAge(date);
+      if ((options.past || options.minAge != null || options.maxAge != null) && age === null) return null;
+      if (options.minAge != null && age < options.minAge) return null;
+      if (options.maxAge != null && age > options.maxAge) return null;
+      return date;
+    },
+    checkOptions(options) {
+      if (options.minAge != null && !isNumber(options.minAge)) return 'minAge must be a number';
+      if (options.maxAge != null && !isNumber(options.maxAge)) return 'maxAge must be a number';
+      return null;
+    }
+  },
+  email: {
+    parse(input) {
+      const m = input.match(EMAIL_RE);
+      return m ? m[0].toLowerCase() : null;
+    }
+  },
+  number: {
+    // First number in the reply ("I am 62" -> 62); { min, max, integer }
+    parse(input, options) {
+      const m = input.replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+      if (!m) return null;
+      const n = Number(m[0]);
+      if (options.integer && !Number.isInteger(n)) return null;
+      if (options.min != null && n < options.min) return null;
+      if (options.max != null && n > options.max) return null;
+      return n;
+    },
+    checkOptions(options) {
+      if (options.min != null && !isNumber(options.min)) return 'min must be a number';
+      if (options.max != null && !isNumber(options.max)) return 'max must be a number';
+      if (isNumber(options.min) && isNumber(options.max) && options.min > options.max) return 'min is greater than max';
+      return null;
+    }
+  },
+  pincode: {
+    // Indian PIN code: 6 digits, not starting with 0
+    parse(input) {
+      const m = String(input).match(/\b([1-9]\d{2})\s?(\d{3})\b/);
+      return m ? m[1] + m[2] : null;
+    }
+  },
+  city: {
+    parse(input) {
+      const raw = extractCity(input) || input.trim();
+      if (!raw || raw.length < 2) return null;
+      return isBangaloreFuzzy(raw) ? 'Bengaluru' : normalizeNameForDisplay(raw);
+    }
+  },
+  text: {
+    // { minLength (default 1), maxLength (default 500) }
+    parse(input, options) {
+      const t = input.trim();
+      if (t.length < (options.minLength || 1)) return null;
+      if (options.maxLength != null && t.length > options.maxLength) return null;
+      return t.slice(0, 500);
+    },
+    checkOptions(options) {
+      if (options.minLength != null && !isNumber(options.minLength)) return 'minLength must be a number';
+      if (options.maxLength != null && !isNumber(options.maxLength)) return 'maxLength must be a number';
+      return null;
+    }
+  },
+  language: {
+    // { values: ["en", "hi", "kn", "ta"] }; stores the locale code; matches the code, the language's name in
+    // English or its own script, or the 1-based position in values
+    parse(input, options) {
+      const values = options.values || [];
+      const t = normalizeText(input).replace(/^[\s\p{P}]+|[\s\p{P}]+$/gu, '');
+      if (/^\d+$/.test(t)) return values[Number(t) - 1] || null;
+      return values.find((code) => code === t || (LANGUAGE_NAMES[code] || []).some((name) => t === name || t.split(/\s+/).includes(name))) || null;
+    },
+    checkOptions(options) {
+      if (!Array.isArray(options.values) || options.values.length === 0) return 'values must be a non-empty array of locale codes';
+      const unknown = options.values.filter((code) => !LANGUAGE_NAMES[code]);
+      if (unknown.length) return `Unknown language code(s) ${unknown.join(', ')} (expected ${Object.keys(LANGUAGE_NAMES).join(', ')})`;
+      return null;
+    }
+  },
+  oneOf: {
+    // { values: ["Music", "Travel"] }; stores the listed spelling; matches case-insensitively or by 1-based number
+    parse(input, options) {
+      const values = options.values || [];
+      const t = normalizeText(input);
+      const exact = values.find((v) => normalizeText(String(v)) === t);
+      if (exact != null) return exact;
+      const index = /^\d+$/.test(t) ? Number(t) - 1 : -1;
+      return values[index] != null ? values[index] : null;
+    },
+    checkOptions(options) {
+      if (!Array.isArray(options.values) || options.values.length === 0) return 'values must be a non-empty array';
+      return null;
+    }
+  }
+};
+
+/** Validator type names for input nodes. */
+const INPUT_VALIDATOR_TYPES = Object.keys(INPUT_VALIDATORS);
+
+/**
+ * Split node.validator into type and options.
+ * @param {string|object} spec
+ * @returns {{ type: string, options: object }}
+ */
+function parseValidatorSpec(spec) {
+  if (typeof spec === 'string') return { type: spec, options: {} };
+  if (spec && typeof spec === 'object') {
+    const { type, ...options } = spec;
+    return { type, options };
+  }
+  return { type: undefined, options: {} };
+}
+
+/**
+ * Validate one reply.
+ * @param {string|object} spec - node.validator
+ * @param {string} input - Trimmed user reply
+ * @returns {*} Value to store, or null when the reply is not acceptable
+ */
+function validateInput(spec, input) {
+  const { type, options } = parseValidatorSpec(spec);
+  const validator = INPUT_VALIDATORS[type];
+  if (!validator || !input) return null;
+  const value = validator.parse(input, options);
+  return value === undefined || value === '' ? null : value;
+}
+
+/**
+ * Static check of node.validator for the flow validator.
+ * @param {string|object} spec
+ * @returns {string|null} Error message
+ */
+function checkValidatorSpec(spec) {
+  const { type, options } = parseValidatorSpec(spec);
+  if (!type) return 'validator must be a type name or { "type", ...options }';
+  const validator = INPUT_VALIDATORS[type];
+  if (!validator) return `Unknown validator "${type}" (expected ${INPUT_VALIDATOR_TYPES.join(', ')})`;
+  return validator.checkOptions ? validator.checkOptions(options) : null;
+}
+
+module.exports = {
+  validateInput,
+  checkValidatorSpec,
+  INPUT_VALIDATOR_TYPES
+};
@@ -0,0 +1,315 @@
+/**
+ * Meta WhatsApp Cloud API (Graph) senders for meta-webhook: text, media, interactive (reply buttons / list), template (HSM),
+ * typing indicator; inbound media download.
+ * Token: env META_PAGE_ACCESS_TOKEN (local) or SSM SecureString META_PAGE_ACCESS_TOKEN_SSM_NAME, cached 5 min
+ * and read again from SSM when Graph rejects it (rotated token).
+ * Failed sends carry errorClass (classifySendError) so callers can tell what is worth retrying (sendRetry.js).
+ */
+const { SSMClient, GetParameterCommand } = require('@aws-sdk/client-ssm');
+
+const META_PAT_SSM_NAME = process.env.META_PAGE_ACCESS_TOKEN_SSM_NAME || '';
+const META_PAT_ENV = process.env.META_PAGE_ACCESS_TOKEN || '';
+const META_GRAPH_VERSION = process.env.META_GRAPH_API_VERSION || 'v25.0';
+const META_PHONE_NUMBER_ID = process.env.META_PHONE_NUMBER_ID || '';
+
+const ssmClient = new SSMClient({});
+
+let metaPatCached = null;
+let metaPatCacheTime = 0;
+const META_PAT_CACHE_MS = 5 * 60 * 1000; // 5 minutes
+
+/** Graph error codes worth retrying later: throttling and temporary failures on Meta's side. */
+const RETRYABLE_ERROR_CODES = new Set([
+  1, // unknown error
+  2, // service temporarily unavailable
+  4, // app rate limit
+  80007, // WhatsApp Business Account rate limit
+  130429, // throughput (messages per second) limit
+  131000, // something went wrong
+  131016, // service unavailable
+  131048, // spam rate limit
+  131056, // too many messages to the same user
+  133004 // server temporarily unavailable
+]);
+/** Graph error codes for an expired, revoked or invalid access token. */
+const AUTH_ERROR_CODES = new Set([190]);
+
+/**
+ * Get Meta Page Access Token (for sending messages). Prefers env for local; otherwise SSM SecureString.
+ * @returns {Promise<string>} PAT or empty string if not configured
+ */
+async function getMetaPageAccessToken() {
+  if (META_PAT_ENV) return META_PAT_ENV;
+  if (!META_PAT_SSM_NAME) return '';
+  if (metaPatCached && Date.now() - metaPatCacheTime < META_PAT_CACHE_MS) return metaPatCached;
+  try {
+    const out = await ssmClient.send(new GetParameterCommand({
+      Name: META_PAT_SSM_NAME,
+      WithDecryption: true
+    }));
+    const value = out.Parameter?.Value || '';
+    if (value) {
+      metaPatCached = value;
+      metaPatCacheTime = Date.now();
+    }
+    return value;
+  } catch (err) {
+    console.warn('getMetaPageAccessToken SSM failed:', err.message);
+    return '';
+  }
+}
+
+/** Drop the cached token so the next send reads SSM again. */
+function invalidateMetaPageAccessToken() {
+  metaPatCached = null;
+  metaPatCacheTime = 0;
+}
+
+/**
+ * Classify a failed Graph call.
+ *   retryable  throttling, Meta-side 5xx / temporary errors, network failures: try again later
+ *   auth       Graph rejected the token (expired or invalid): retry after reading the token again
+ *   permanent  anything else (invalid recipient, outside the 24h window, bad template, ...): retrying will not help
+ * @param {number|null} httpStatus - null when no response arrived
+ * @param {number|null} errorCode - Graph error.code
+ * @returns {'retryable'|'auth'|'permanent'}
+ */
+function classifySendError(httpStatus, errorCode) {
+  if (AUTH_ERROR_CODES.has(errorCode) || httpStatus === 401) return 'auth';
+  if (RETRYABLE_ERROR_CODES.has(errorCode)) return 'retryable';
+  if (httpStatus == null || httpStatus === 429 || httpStatus >= 500) return 'retryable';
+  return 'permanent';
+}
+
+/**
+ * POST to Graph /{phoneNumberId}/messages. An auth error with the cached SSM token is retried once with the
+ * token read again.
+ * @param {string} phoneNumberId - From webhook metadata or env
+ * @param {object} payload - Full request body
+ * @returns {Promise<{ success: boolean, metaMessageId?: string, error?: string, errorCode?: number, httpStatus?: number, errorClass?: string }>}
+ */
+async function postMessages(phoneNumberId, payload) {
+  const pid = phoneNumberId || META_PHONE_NUMBER_ID;
+  if (!pid) return { success: false, error: 'missing phoneNumberId', errorClass: 'permanent' };
+  const url = `https://graph.facebook.com/${META_GRAPH_VERSION}/${pid}/messages`;
+  for (let attempt = 1; ; attempt++) {
+    const token = await getMetaPageAccessToken();
+    // No token configured (or SSM unreadable): a config problem that retrying the send will not fix
+    if (!token) return { success: false, error: 'no access token', errorClass: 'permanent', metaMessageId: null };
+    let result;
+    try {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify(payload)
+      });
+      const data = await res.json().catch(() => ({}));
+      if (res.ok) return { success: true, metaMessageId: data.messages?.[0]?.id || null };
+      const errorCode = Number(data.error?.code) || null;
+      result = {
+        success: false,
+        error: data.error?.message || res.statusText,
+        errorCode,
+        httpStatus: res.status,
+        errorClass: classifySendError(res.status, errorCode),
+        metaMessageId: null
+      };
+    } catch (err) {
+      return { success: false, error: err.message, errorClass: classifySendError(null, null), metaMessageId: null };
+    }
+    if (result.errorClass !== 'auth' || attempt > 1 || META_PAT_ENV || !META_PAT_SSM_NAME) return result;
+    console.warn(JSON.stringify({ event: 'meta_token_refresh', errorCode: result.errorCode, httpStatus: result.httpStatus }));
+    invalidateMetaPageAccessToken();
+  }
+}
+
+/**
+ * Send one message to a user.
+ * @param {string} phoneNumberId
+ * @param {string} to - E.164 without +
+ * @param {object} message - Type-specific part of the payload, e.g. { type: 'text', text: {...} }
+ * @returns {Promise<{ success: boolean, metaMessageId?: string, error?: string }>}
+ */
+async function sendMetaMessage(phoneNumberId, to, message) {
+  if (!to) return { success: false, error: 'missing to' };
+  return postMessages(phoneNumberId, {
+    messaging_product: 'whatsapp',
+    recipient_type: 'individual',
+    to: String(to).replace(/\D/g, '').slice(-15),
+    ...message
+  });
+}
+
+/**
+ * Mark the user's message read and show the typing indicator (Meta hides it after 25s or on our next message).
+ * @param {string} phoneNumberId
+ * @param {string} inboundMessageId - wamid of the message being answered
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+async function sendTypingIndicator(phoneNumberId, inboundMessageId) {
+  if (!inboundMessageId) return { success: false, error: 'missing message id' };
+  return postMessages(phoneNumberId, {
+    messaging_product: 'whatsapp',
+    status: 'read',
+    message_id: inboundMessageId,
+    typing_indicator: { type: 'text' }
+  });
+}
+
+/**
+ * Send a text message via Meta WhatsApp Cloud API (Graph API).
+ * @param {string} phoneNumberId - From webhook metadata or env
+ * @param {string} to - E.164 without + (e.g. 919876543210)
+ * @param {string} body - Plain text body
+ * @returns {Promise<{ success: boolean, metaMessageId?: string, error?: string }>}
+ */
+async function sendMetaWhatsAppText(phoneNumberId, to, body) {
+  if (body == null) return { success: false, error: 'missing phoneNumberId, to, or body' };
+  return sendMetaMessage(phoneNumberId, to, {
+    type: 'text',
+    text: { preview_url: false, body: String(body).slice(0, 4096) }
+  });
+}
+
+/**
+ * Send an image, document or video by public URL (link) or uploaded Meta media id, with optional caption.
+ * @param {string} phoneNumberId
+ * @param {string} to
+ * @param {'image'|'document'|'video'} type
+ * @param {{ url?: string, id?: string, filename?: string }} media
+ * @param {string} [caption]
+ * @returns {Promise<{ success: boolean, metaMessageId?: string, error?: string }>}
+ */
+async function sendMetaWhatsAppMedia(phoneNumberId, to, type, media, caption) {
+  if (!['image', 'document', 'video'].includes(type)) return { success: false, error: `unsupported media type ${type}` };
+  if (!media || (!media.url && !media.id)) return { success: false, error: 'missing media url or id' };
+  return sendMetaMessage(phoneNumberId, to, {
+    type,
+    [type]: {
+      ...(media.id ? { id: media.id } : { link: media.url }),
+      ...(caption && { caption: String(caption).slice(0, 1024) }),
+      ...(type === 'document' && media.filename && { filename: String(media.filename).slice(0, 240) })
+    }
+  });
+}
+
+/**
+ * Send an interactive reply-button or list message. Option titles are expected to be within WhatsApp
+ * limits already (flowRunner.buildNodeMessage trims them); body is capped at 1024 chars.
+ * @param {string} phoneNumberId
+ * @param {string} to
+ * @param {{ body: string, render: 'buttons'|'list', options: Array<{ id: string, title: string, description?: string }>, buttonText?: string }} message
+ * @returns {Promise<{ success: boolean, metaMessageId?: string, error?: string }>}
+ */
+async function sendMetaWhatsAppInteractive(phoneNumberId, to, message) {
+  if (!message || !message.body || !Array.isArray(message.options) || message.options.length === 0) {
+    return { success: false, error: 'missing body or options' };
+  }
+  const body = { text: String(message.body).slice(0, 1024) };
+  const interactive = message.render === 'list'
+    ? {
+      type: 'list',
+      body,
+      action: {
+        button: message.buttonText || 'Choose',
+        sections: [{
+          rows: message.options.map((o) => ({
+            id: o.id,
+            title: o.title,
+            ...(o.description && { description: o.description })
+          }))
+        }]
+      }
+    }
+    : {
+      type: 'button',
+      body,
+      action: {
+        buttons: message.options.map((o) => ({ type: 'reply', reply: { id: o.id, title: o.title } }))
+      }
+    };
+  return sendMetaMessage(phoneNumberId, to, { type: 'interactive', interactive });
+}
+
+/**
+ * Send a pre-approved template. Works outside the 24h customer service window.
+ * @param {string} phoneNumberId
+ * @param {string} to
+ * @param {{ name: string, language?: string, components?: object[] }} template - Graph template object (flowRunner.buildTemplateMessage)
+ * @returns {Promise<{ success: boolean, metaMessageId?: string, error?: string }>}
+ */
+async function sendMetaWhatsAppTemplate(phoneNumberId, to, template) {
+  if (!template || !template.name) return { success: false, error: 'missing template name' };
+  return sendMetaMessage(phoneNumberId, to, {
+    type: 'template',
+    template: {
+      name: template.name,
+      language: { code: template.language || 'en' },
+      ...(Array.isArray(template.components) && template.components.length > 0 && { components: template.components })
+    }
+  });
+}
+
+/**
+ * Download media a user sent us. Two Graph calls: GET /{mediaId} for the short-lived URL (valid ~5 min),
+ * then GET that URL with the same bearer token.
+ * @param {string} mediaId - From the inbound message (image.id, audio.id, ...)
+ * @param {{ maxBytes?: number }} [opts] - Skip the download when Meta reports a larger file
+ * @returns {Promise<{ success: boolean, body?: Buffer, mimeType?: string, fileSize?: number, sha256?: string, error?: string }>}
+ */
+async function downloadMetaMedia(mediaId, opts = {}) {
+  if (!mediaId) return { success: false, error: 'missing media id' };
+  const token = await getMetaPageAccessToken();
+  if (!token) return { success: false, error: 'no access token' };
+  const headers = { Authorization: `Bearer ${token}` };
+  try {
+    const infoRes = await fetch(`https://graph.facebook.com/${META_GRAPH_VERSION}/${encodeURIComponent(mediaId)}`, { headers });
+    const info = await infoRes.json();
+    if (!infoRes.ok || !info.url) {
+      return { success: false, error: info.error?.message || infoRes.statusText || 'no media url' };
+    }
+    const fileSize = Number(info.file_size) || undefined;
+    if (opts.maxBytes && fileSize > opts.maxBytes) {
+      return { success: false, mimeType: info.mime_type, fileSize, error: `media too large (${fileSize} bytes)` };
+    }
+    const fileRes = await fetch(info.url, { headers });
+    if (!fileRes.ok) return { success: false, mimeType: info.mime_type, fileSize, error: `media download failed: ${fileRes.status}` };
+    const body = Buffer.from(await fileRes.arrayBuffer());
+    return {
+      success: true,
+      body,
+      mimeType: info.mime_type || fileRes.headers.get('content-type') || 'application/octet-stream',
+      fileSize: fileSize || body.length,
+      sha256: info.sha256
+    };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Send one flowRunner output message with the matching sender.
+ * @param {string} phoneNumberId
+ * @param {string} to
+ * @param {{ type: string, body: string }} message - From runFlow result.messages
+ * @returns {Promise<{ success: boolean, metaMessageId?: string, error?: string }>}
+ */
+async function sendFlowMessage(phoneNumberId, to, message) {
+  if (message.type === 'interactive') return sendMetaWhatsAppInteractive(phoneNumberId, to, message);
+  if (message.type === 'template') return sendMetaWhatsAppTemplate(phoneNumberId, to, message.template);
+  if (message.media) return sendMetaWhatsAppMedia(phoneNumberId, to, message.type, message.media, message.body);
+  return sendMetaWhatsAppText(phoneNumberId, to, message.body);
+}
+
+module.exports = {
+  getMetaPageAccessToken,
+  invalidateMetaPageAccessToken,
+  classifySendError,
+  sendMetaWhatsAppText,
+  sendMetaWhatsAppMedia,
+  sendMetaWhatsAppInteractive,
+  sendMetaWhatsAppTemplate,
+  sendTypingIndicator,
+  sendFlowMessage,
+  downloadMetaMedia
+};
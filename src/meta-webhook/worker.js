@@ -0,0 +1,46 @@
+/**
+ * Meta inbound worker (SQS FIFO MetaInboundQueue.fifo): runs the message events the webhook queued, with the same
+ * processMessageEvent the webhook uses when no queue is configured.
+ * Messages are grouped by mobile, so one user's messages run one at a time and in order. A failed message is
+ * reported back (ReportBatchItemFailures) together with every later message of the same user in the batch, so
+ * nothing overtakes it; after the queue's maxReceiveCount it moves to MetaInboundDLQ.fifo, from where the dashboard
+ * replays it (POST /dashboard/queues/meta-inbound/replay).
+ * Deployed from the meta-webhook code like FlowAPI and FollowUpNudge.
+ */
+const { processMessageEvent } = require('./app');
+
+/**
+ * SQS handler.
+ * @param {object} event - SQS event (FIFO: records arrive in group order)
+ * @returns {Promise<{ batchItemFailures: Array<{ itemIdentifier: string }> }>}
+ */
+exports.handler = async (event) => {
+  const batchItemFailures = [];
+  const failedGroups = new Set();
+  for (const record of event.Records || []) {
+    const group = record.attributes?.MessageGroupId;
+    if (failedGroups.has(group)) {
+      batchItemFailures.push({ itemIdentifier: record.messageId });
+      continue;
+    }
+    try {
+      const body = JSON.parse(record.body);
+      if (!body.event || !body.event.from) throw new Error('Queue message has no event');
+      await processMessageEvent(body.event, body.requestId || record.messageId);
+    } catch (err) {
+      failedGroups.add(group);
+      batchItemFailures.push({ itemIdentifier: record.messageId });
+      console.error(JSON.stringify({
+        event: 'meta_worker_error',
+        sqsMessageId: record.messageId,
+        mobile: group,
+        receiveCount: Number(record.attributes?.ApproximateReceiveCount) || null,
+        error: err.message
+      }));
+    }
+  }
+  if (batchItemFailures.length) {
+    console.log(JSON.stringify({ event: 'meta_worker_batch_failures', records: event.Records.length, failed: batchItemFailures.length }));
+  }
+  return { batchItemFailures };
+};
@@ -11,7 +11,8 @@ const {
   getTeamByPaymentOrderId,
   updateTeamPaymentStatus,
   getPaymentConfig,
-  putPaymentConfig
+  putPaymentConfig,
+  getConsent
 } = require('./utils/dynamodb');
 const { getRazorpay, createOrder, verifyPaymentSignature, verifyWebhookSignature } = require('./utils/razorpay');
 const { verifyAccess } = require('./utils/jwt');
@@ -73,6 +74,20 @@ function getMobileFromAuth(event) {
   }
 }
 
+/**
+ * True when the user opted out of WhatsApp messages (UserConsent). A failed lookup does not block the send.
+ */
+async function isOptedOut(mobile) {
+  const digits = String(mobile).replace(/\D/g, '');
+  try {
+    const consent = await getConsent(digits.length === 10 ? '91' + digits : digits);
+    return !!consent && consent.status === 'opted_out';
+  } catch (e) {
+    log('warn', 'payment_api', { event: 'consent_check_failed', error: e.message });
+    return false;
+  }
+}
+
 // --- Handlers ---
 
 async function handleGetProducts(event) {
@@ -361,6 +376,11 @@ async function handlePostWebhook(event) {
     return respond(200, { success: true });
   }
 
+  if (mobile && await isOptedOut(mobile)) {
+    log('info', 'payment_api', { event: 'webhook_whatsapp_skipped', orderId, reason: 'opted_out' });
+    return respond(200, { success: true });
+  }
+
   if (gupshupModule && mobile && TEMPLATE_ID) {
     const amountNum = order.amountPaise != null ? order.amountPaise / 100 : 0;
     const amountStr = '₹' + (Number(amountNum).toLocaleString('en-IN'));
@@ -15,6 +15,7 @@ const PRODUCT_TABLE = process.env.PAYMENT_PRODUCT_TABLE_NAME;
 const ORDER_TABLE = process.env.PAYMENT_ORDER_TABLE_NAME;
 const CONFIG_TABLE = process.env.PAYMENT_CONFIG_TABLE_NAME;
 const TEAM_TABLE = process.env.ANTAKSHARI_TEAM_TABLE_NAME;
+const CONSENT_TABLE = process.env.USER_CONSENT_TABLE_NAME;
 
 const GSI_ENTITY_CREATED = 'entity-createdAt-index';
 const GSI_MOBILE_CREATED = 'mobile-createdAt-index';
@@ -241,6 +242,25 @@ async function putPaymentConfig(item) {
   );
 }
 
+// --- UserConsent ---
+
+/**
+ * Get WhatsApp messaging consent for a mobile (written by the webhooks and dashboard). Null when not configured or
+ * no record (the user never opted out).
+ * @param {string} mobile - Digits with country code (91...)
+ * @returns {Promise<object|null>}
+ */
+async function getConsent(mobile) {
+  if (!CONSENT_TABLE) return null;
+  const result = await dynamoClient.send(
+    new GetCommand({
+      TableName: CONSENT_TABLE,
+      Key: { mobile }
+    })
+  );
+  return result.Item || null;
+}
+
 module.exports = {
   putProduct,
   getProduct,
@@ -252,5 +272,6 @@ module.exports = {
   getTeamByPaymentOrderId,
   updateTeamPaymentStatus,
   getPaymentConfig,
-  putPaymentConfig
+  putPaymentConfig,
+  getConsent
 };